@@ -0,0 +1,828 @@
+// CleanFeedFB - Background script
+// Owns the statistics: content scripts report hidden posts here, counts are batched in memory
+// and persisted with a debounce, and this is the only place that performs the midnight rollover.
+// Also migrates the stored settings when the extension is updated, and opens the onboarding page on install.
+// Keeps the toolbar badge of every Facebook tab up to date from the status its content script reports.
+// Turns filtering off and on again in every tab when a snooze ends or the weekly schedule says so, and switches
+// the tabs to the filtering profile of the schedule's time window.
+
+// The Chrome service worker loads the shared scripts itself, Firefox lists them in the manifest
+if (typeof importScripts === 'function' && typeof CleanFeedSchedule === 'undefined') {
+    importScripts('schedule.js');
+}
+
+(function() {
+    'use strict';
+
+    // Browser compatibility - use browser API with chrome fallback
+    const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
+
+    // Delay after the last hide event before counts are written
+    const PERSIST_DEBOUNCE_MS = 2000;
+
+    // Maximum delay before pending counts are written while events keep arriving
+    const PERSIST_MAX_WAIT_MS = 10000;
+
+    // Name of the alarm that fires at local midnight
+    const ROLLOVER_ALARM = 'daily-rollover';
+
+    // Name of the alarm that fires when a snooze ends or the schedule turns filtering on or off
+    const FILTERING_ALARM = 'filtering-change';
+
+    // Maximum number of entries kept in the hidden posts log, oldest are dropped first
+    const MAX_LOG_ENTRIES = 200;
+
+    // Session storage survives service worker restarts but not a browser restart, memory is the fallback
+    const sessionStorage = (browserAPI.storage && browserAPI.storage.session) || null;
+
+    // Number of days kept in the statistics history
+    const MAX_HISTORY_DAYS = 365;
+
+    // The daily history is too large for sync storage and only describes this browser, it lives in local storage
+    const historyStorage = (browserAPI.storage && browserAPI.storage.local) || null;
+
+    // What the toolbar badge counts: posts hidden in the tab, posts hidden today, or nothing (states only)
+    const BADGE_MODES = ['tab', 'today', 'off'];
+    const DEFAULT_BADGE_MODE = 'tab';
+
+    // Badge colors: counting normally, and the states reported by the content script
+    // 'no-feed' means the News Feed was not found and the page is scanned with the slower fallback,
+    // 'inactive' means the page has no feed to filter (Messenger, a single post, ...)
+    const BADGE_COLORS = {
+        active: '#1877f2',
+        disabled: '#8a8d91',
+        paused: '#8a8d91',
+        'no-feed': '#8a8d91',
+        inactive: '#8a8d91',
+        error: '#e41e3f'
+    };
+
+    // Default statistics stored in storage.sync
+    // firstInstallDate is the day counting started, used for the average per day
+    const DEFAULT_STATISTICS = {
+        hiddenCount: 0,
+        totalHidden: 0,
+        hiddenByReason: {},
+        lastResetDate: '',
+        firstInstallDate: ''
+    };
+
+    // Version of the stored settings layout, saved as settingsVersion
+    // - 1: versions up to 1.1.0, no settingsVersion key
+    // - 2: firstInstallDate always set, statistics and scan settings checked
+    const SETTINGS_VERSION = 2;
+
+    // Keys stored by old versions that nothing reads any more
+    const OBSOLETE_KEYS = ['filterStrings'];
+
+    // Migrations of the stored settings, keyed by the version they upgrade from
+    // Each receives the stored values and returns { set, remove } with the keys to write and to delete
+    const SETTINGS_MIGRATIONS = {
+        1: stored => {
+            const set = {};
+
+            // The options page used to show today as the install date when the key was missing,
+            // so counting starts now: the real install date of these users is unknown
+            if (!stored.firstInstallDate || isNaN(new Date(stored.firstInstallDate))) {
+                set.firstInstallDate = new Date().toDateString();
+            }
+            if (!stored.hiddenByReason || typeof stored.hiddenByReason !== 'object') {
+                set.hiddenByReason = {};
+            }
+
+            // Keep the scan settings within the ranges the options page allows
+            if (stored.scanInterval !== undefined) {
+                const scanInterval = Math.min(30, Math.max(1, parseInt(stored.scanInterval) || 3));
+                if (scanInterval !== stored.scanInterval) set.scanInterval = scanInterval;
+            }
+            if (stored.hideDelay !== undefined) {
+                const hideDelay = Math.min(1000, Math.max(0, parseInt(stored.hideDelay) || 0));
+                if (hideDelay !== stored.hideDelay) set.hideDelay = hideDelay;
+            }
+
+            return { set: set, remove: OBSOLETE_KEYS.filter(key => stored[key] !== undefined) };
+        }
+    };
+
+    // Extension pages opened on install and update
+    const ONBOARDING_PAGE = 'onboarding.html';
+    const WHATS_NEW_PAGE = 'whats-new.html';
+
+    // Statistics as last read from or written to storage (null until loaded)
+    let statistics = null;
+    let loadingPromise = null;
+
+    // Counts received but not yet written
+    let pending = { count: 0, byReason: {} };
+    let persistTimeout = null;
+    let firstPendingAt = 0;
+
+    // Hidden posts log of this browser session (null until loaded), newest last
+    let hiddenLog = null;
+
+    // Daily statistics history (null until loaded): { 'YYYY-MM-DD': { total, byReason: { follow: 3, ... } } }
+    let history = null;
+
+    // Tab ID -> { status, count } as last reported by its content script
+    // Lost when the service worker stops, content scripts send their count again with every hidden post
+    const tabStates = new Map();
+
+    // Badge mode from storage (null until loaded)
+    let badgeMode = null;
+
+    // Whether posts are filtered, as last sent to the tabs (null until decided)
+    let filteringActive = null;
+
+    // Filtering profile of the schedule, as last sent to the tabs (null until decided)
+    let filteringProfile = null;
+
+    // Function to load statistics from storage once per worker lifetime
+    function loadStatistics() {
+        if (statistics) return Promise.resolve(statistics);
+        if (!loadingPromise) {
+            loadingPromise = browserAPI.storage.sync.get(DEFAULT_STATISTICS).then(result => {
+                statistics = {
+                    hiddenCount: result.hiddenCount || 0,
+                    totalHidden: result.totalHidden || 0,
+                    hiddenByReason: result.hiddenByReason || {},
+                    lastResetDate: result.lastResetDate || '',
+                    firstInstallDate: result.firstInstallDate || ''
+                };
+                loadingPromise = null;
+                return statistics;
+            }).catch(error => {
+                loadingPromise = null;
+                throw error;
+            });
+        }
+        return loadingPromise;
+    }
+
+    // Function to get the statistics including counts that are not written yet
+    function getCurrentStatistics() {
+        const hiddenByReason = { ...statistics.hiddenByReason };
+        Object.keys(pending.byReason).forEach(reason => {
+            hiddenByReason[reason] = (hiddenByReason[reason] || 0) + pending.byReason[reason];
+        });
+
+        return {
+            hiddenCount: statistics.hiddenCount + pending.count,
+            totalHidden: statistics.totalHidden + pending.count,
+            hiddenByReason: hiddenByReason,
+            lastResetDate: statistics.lastResetDate,
+            firstInstallDate: statistics.firstInstallDate
+        };
+    }
+
+    // Function to write pending counts to storage
+    async function persistStatistics() {
+        if (persistTimeout) {
+            clearTimeout(persistTimeout);
+            persistTimeout = null;
+        }
+        if (pending.count === 0) return;
+
+        const current = getCurrentStatistics();
+        const counts = pending;
+        pending = { count: 0, byReason: {} };
+        firstPendingAt = 0;
+        statistics = current;
+
+        try {
+            await browserAPI.storage.sync.set(current);
+        } catch (error) {
+            console.error('[CleanFeedFB] Error saving statistics:', error);
+        }
+
+        // Pending counts belong to the day of the last reset, the rollover writes them before a new day starts
+        await addToHistory(current.lastResetDate, counts);
+    }
+
+    // Function to get the history key of a day, e.g. '2025-06-01' (local time)
+    function getDayKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Function to load the statistics history from local storage
+    async function loadHistory() {
+        if (history) return history;
+
+        let stored = {};
+        if (historyStorage) {
+            try {
+                const result = await historyStorage.get({ statisticsHistory: {} });
+                stored = result.statisticsHistory || {};
+            } catch (error) {
+                console.error('[CleanFeedFB] Error loading statistics history:', error);
+            }
+        }
+        // Another call may have loaded the history while waiting
+        if (!history) history = stored;
+        return history;
+    }
+
+    // Function to write the statistics history to local storage
+    async function saveHistory() {
+        if (!historyStorage) return;
+        try {
+            await historyStorage.set({ statisticsHistory: history });
+        } catch (error) {
+            console.error('[CleanFeedFB] Error saving statistics history:', error);
+        }
+    }
+
+    // Function to add counts { count, byReason } to the history of a day (a Date string), dropping the oldest days
+    async function addToHistory(dateString, counts) {
+        const date = new Date(dateString || Date.now());
+        if (isNaN(date)) return;
+
+        await loadHistory();
+        const key = getDayKey(date);
+        const day = history[key] || { total: 0, byReason: {} };
+        day.total += counts.count;
+        Object.keys(counts.byReason).forEach(reason => {
+            day.byReason[reason] = (day.byReason[reason] || 0) + counts.byReason[reason];
+        });
+        history[key] = day;
+
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - MAX_HISTORY_DAYS);
+        const cutoffKey = getDayKey(cutoff);
+        Object.keys(history).forEach(existing => {
+            if (existing < cutoffKey) delete history[existing];
+        });
+        await saveHistory();
+    }
+
+    // Function to get the history of the last days up to today, oldest first, including counts not yet written
+    // Returns [{ date: 'YYYY-MM-DD', total, byReason }] with an entry for every day
+    async function getHistory(days) {
+        await loadHistory();
+
+        const pendingKey = statistics && statistics.lastResetDate ? getDayKey(new Date(statistics.lastResetDate)) : '';
+        const series = [];
+        const date = new Date();
+        date.setDate(date.getDate() - (days - 1));
+        for (let i = 0; i < days; i++) {
+            const key = getDayKey(date);
+            const stored = history[key] || { total: 0, byReason: {} };
+            const entry = { date: key, total: stored.total, byReason: { ...stored.byReason } };
+            if (key === pendingKey) {
+                entry.total += pending.count;
+                Object.keys(pending.byReason).forEach(reason => {
+                    entry.byReason[reason] = (entry.byReason[reason] || 0) + pending.byReason[reason];
+                });
+            }
+            series.push(entry);
+            date.setDate(date.getDate() + 1);
+        }
+        return series;
+    }
+
+    // Function to schedule a debounced write, bounded by PERSIST_MAX_WAIT_MS
+    function schedulePersist() {
+        if (persistTimeout) {
+            clearTimeout(persistTimeout);
+        }
+
+        const now = Date.now();
+        if (!firstPendingAt) firstPendingAt = now;
+        const delay = Math.min(PERSIST_DEBOUNCE_MS, Math.max(0, firstPendingAt + PERSIST_MAX_WAIT_MS - now));
+
+        persistTimeout = setTimeout(persistStatistics, delay);
+    }
+
+    // Function to reset the daily counter when the date has changed
+    async function rolloverIfNeeded() {
+        await loadStatistics();
+
+        const today = new Date().toDateString();
+        if (statistics.lastResetDate === today) return;
+
+        // Pending counts belong to the day that just ended
+        await persistStatistics();
+
+        statistics.hiddenCount = 0;
+        statistics.lastResetDate = today;
+        await browserAPI.storage.sync.set({
+            hiddenCount: 0,
+            lastResetDate: today
+        });
+    }
+
+    // Function to schedule the rollover alarm at the next local midnight
+    function scheduleRolloverAlarm() {
+        if (!browserAPI.alarms) return;
+
+        const nextMidnight = new Date();
+        nextMidnight.setHours(24, 0, 0, 0);
+        browserAPI.alarms.create(ROLLOVER_ALARM, { when: nextMidnight.getTime() });
+    }
+
+    // Function to record one hidden post
+    async function recordHiddenPost(category) {
+        await rolloverIfNeeded();
+
+        pending.count++;
+        if (category) {
+            pending.byReason[category] = (pending.byReason[category] || 0) + 1;
+        }
+        schedulePersist();
+
+        const current = getCurrentStatistics();
+
+        // Notify popup of count update
+        try {
+            await browserAPI.runtime.sendMessage({
+                type: 'UPDATE_HIDDEN_COUNT',
+                count: current.hiddenCount,
+                total: current.totalHidden
+            });
+        } catch (error) {
+            // Popup not open
+        }
+
+        return current;
+    }
+
+    // Function to load the hidden posts log from session storage
+    async function loadHiddenLog() {
+        if (hiddenLog) return hiddenLog;
+
+        let stored = [];
+        if (sessionStorage) {
+            try {
+                const result = await sessionStorage.get({ hiddenLog: [] });
+                stored = result.hiddenLog || [];
+            } catch (error) {
+                console.error('[CleanFeedFB] Error loading hidden posts log:', error);
+            }
+        }
+        // Another call may have loaded the log while waiting
+        if (!hiddenLog) hiddenLog = stored;
+        return hiddenLog;
+    }
+
+    // Function to write the hidden posts log to session storage
+    async function saveHiddenLog() {
+        if (!sessionStorage) return;
+        try {
+            await sessionStorage.set({ hiddenLog: hiddenLog });
+        } catch (error) {
+            console.error('[CleanFeedFB] Error saving hidden posts log:', error);
+        }
+    }
+
+    // Function to add a hidden post to the log
+    // entry is { postId, author, authorUrl, snippet, permalink, reason, category } as sent by the content script
+    async function logHiddenPost(entry, tab) {
+        await loadHiddenLog();
+
+        hiddenLog.push({
+            id: `${tab.id}:${entry.postId}`,
+            tabId: tab.id,
+            tabTitle: tab.title || '',
+            postId: entry.postId,
+            author: entry.author || '',
+            authorUrl: entry.authorUrl || '',
+            snippet: entry.snippet || '',
+            permalink: entry.permalink || '',
+            reason: entry.reason || '',
+            category: entry.category || '',
+            time: Date.now(),
+            revealed: false
+        });
+        if (hiddenLog.length > MAX_LOG_ENTRIES) {
+            hiddenLog.splice(0, hiddenLog.length - MAX_LOG_ENTRIES);
+        }
+        await saveHiddenLog();
+    }
+
+    // Function to get the log entries, newest first, optionally only those of one tab
+    async function getHiddenLog(tabId) {
+        await loadHiddenLog();
+        return hiddenLog
+            .filter(entry => tabId === undefined || entry.tabId === tabId)
+            .slice()
+            .reverse();
+    }
+
+    // Function to drop log entries, all of them or those of one tab
+    async function clearHiddenLog(tabId) {
+        await loadHiddenLog();
+        hiddenLog = tabId === undefined ? [] : hiddenLog.filter(entry => entry.tabId !== tabId);
+        await saveHiddenLog();
+    }
+
+    // Function to show a logged post again: ask its tab to un-hide it and scroll to it
+    async function revealPost(tabId, postId) {
+        let response = null;
+        try {
+            response = await browserAPI.tabs.sendMessage(tabId, { type: 'REVEAL_POST', postId: postId });
+        } catch (error) {
+            return { success: false, error: 'The tab of this post is closed or was reloaded' };
+        }
+        if (!response || !response.success) {
+            return { success: false, error: (response && response.error) || 'The post is no longer on the page' };
+        }
+
+        await loadHiddenLog();
+        const entry = hiddenLog.find(item => item.tabId === tabId && item.postId === postId);
+        if (entry) {
+            entry.revealed = true;
+            await saveHiddenLog();
+        }
+
+        // Bring the tab to the front so the user sees the post
+        try {
+            const tab = await browserAPI.tabs.update(tabId, { active: true });
+            if (tab && browserAPI.windows) {
+                await browserAPI.windows.update(tab.windowId, { focused: true });
+            }
+        } catch (error) {
+            // The post is shown anyway
+        }
+        return { success: true };
+    }
+
+    // Function to reset all statistics
+    async function resetStatistics() {
+        await loadStatistics();
+
+        if (persistTimeout) {
+            clearTimeout(persistTimeout);
+            persistTimeout = null;
+        }
+        pending = { count: 0, byReason: {} };
+        firstPendingAt = 0;
+
+        const today = new Date().toDateString();
+        statistics = {
+            hiddenCount: 0,
+            totalHidden: 0,
+            hiddenByReason: {},
+            lastResetDate: today,
+            firstInstallDate: today
+        };
+        await browserAPI.storage.sync.set(statistics);
+
+        history = {};
+        await saveHistory();
+        return getCurrentStatistics();
+    }
+
+    // Function to load the badge mode once per worker lifetime
+    async function loadBadgeMode() {
+        if (badgeMode) return badgeMode;
+        try {
+            const result = await browserAPI.storage.sync.get({ badgeCount: DEFAULT_BADGE_MODE });
+            badgeMode = BADGE_MODES.includes(result.badgeCount) ? result.badgeCount : DEFAULT_BADGE_MODE;
+            return badgeMode;
+        } catch (error) {
+            console.error('[CleanFeedFB] Error loading the badge mode:', error);
+            return DEFAULT_BADGE_MODE;
+        }
+    }
+
+    // Function to shorten a count to the four characters a badge can show
+    function formatBadgeCount(count) {
+        if (count <= 0) return '';
+        if (count < 1000) return String(count);
+        return count < 10000 ? `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k` : `${Math.floor(count / 1000)}k`;
+    }
+
+    // Function to describe the badge of a tab: { text, color, title }
+    function getBadge(state, todayCount, mode) {
+        if (state.status === 'disabled') {
+            return { text: 'off', color: BADGE_COLORS.disabled, title: 'CleanFeedFB - Off' };
+        }
+        if (state.status === 'paused') {
+            return { text: '||', color: BADGE_COLORS.paused, title: 'CleanFeedFB - Paused in this tab' };
+        }
+        if (state.status === 'error') {
+            return { text: '!', color: BADGE_COLORS.error, title: 'CleanFeedFB - Could not load the settings in this tab, reload the page' };
+        }
+        if (state.status === 'inactive') {
+            return { text: '', color: BADGE_COLORS.inactive, title: 'CleanFeedFB - Nothing to filter on this page' };
+        }
+
+        const count = mode === 'tab' ? state.count : mode === 'today' ? todayCount : 0;
+        const summary = `${state.count} hidden in this tab, ${todayCount} today`;
+        if (state.status === 'no-feed') {
+            return {
+                text: formatBadgeCount(count) || '?',
+                color: BADGE_COLORS['no-feed'],
+                title: `CleanFeedFB - News Feed not found, using the fallback scan (${summary})`
+            };
+        }
+        return { text: formatBadgeCount(count), color: BADGE_COLORS.active, title: `CleanFeedFB - ${summary}` };
+    }
+
+    // Function to draw the badge of a tab from its last reported state, never rejects
+    async function updateBadge(tabId) {
+        const state = tabStates.get(tabId);
+        if (!state || !browserAPI.action) return;
+
+        try {
+            await rolloverIfNeeded();
+            const badge = getBadge(state, getCurrentStatistics().hiddenCount, await loadBadgeMode());
+            await Promise.all([
+                browserAPI.action.setBadgeText({ tabId: tabId, text: badge.text }),
+                browserAPI.action.setBadgeBackgroundColor({ tabId: tabId, color: badge.color }),
+                browserAPI.action.setTitle({ tabId: tabId, title: badge.title })
+            ]);
+        } catch (error) {
+            // Usually the tab was closed in the meantime, its content script reports again if it was not
+            tabStates.delete(tabId);
+        }
+    }
+
+    // Function to redraw the badges of all known tabs, after today's count or the badge mode changed
+    function updateAllBadges() {
+        return Promise.all(Array.from(tabStates.keys()).map(updateBadge));
+    }
+
+    // Function to record the state a content script reports for its tab
+    // status is kept when only the count is given (POST_HIDDEN)
+    function setTabState(tabId, changes) {
+        const state = tabStates.get(tabId) || { status: 'active', count: 0 };
+        if (changes.status) state.status = changes.status;
+        if (Number.isInteger(changes.count)) state.count = changes.count;
+        tabStates.set(tabId, state);
+    }
+
+    // Function to update the badges after a hidden post: the tab's own count, or every tab when they show today's count
+    async function updateBadgesAfterHide(tabId, tabCount) {
+        if (tabId !== undefined) setTabState(tabId, { count: tabCount });
+        if (await loadBadgeMode() === 'today') {
+            await updateAllBadges();
+        } else if (tabId !== undefined) {
+            await updateBadge(tabId);
+        }
+    }
+
+    // Function to send a message to the content script of every Facebook tab
+    async function sendToFacebookTabs(message) {
+        const tabs = await browserAPI.tabs.query({ url: '*://*.facebook.com/*' });
+        for (const tab of tabs) {
+            try {
+                await browserAPI.tabs.sendMessage(tab.id, message);
+            } catch (error) {
+                // Tab might not have content script loaded
+            }
+        }
+    }
+
+    // Function to decide whether posts are filtered now from the on/off switch, the snooze and the schedule,
+    // turn filtering off or on in every tab through TOGGLE_EXTENSION when that changed, switch the tabs that keep
+    // filtering to the profile of the current time window through SET_FILTERING_PROFILE,
+    // and set the alarm for the next automatic change
+    async function applyFilteringState() {
+        const settings = await browserAPI.storage.sync.get({
+            enabled: true,
+            snoozeUntil: 0,
+            schedule: CleanFeedSchedule.getDefaultSchedule()
+        });
+        const state = CleanFeedSchedule.getState(settings);
+
+        // A snooze that ended is cleared, so the pages no longer show it
+        if (settings.snoozeUntil && state.reason !== 'snoozed') {
+            await browserAPI.storage.sync.remove('snoozeUntil');
+        }
+
+        if (browserAPI.alarms) {
+            if (state.until) {
+                browserAPI.alarms.create(FILTERING_ALARM, { when: state.until });
+            } else {
+                browserAPI.alarms.clear(FILTERING_ALARM);
+            }
+        }
+
+        if (state.active !== filteringActive) {
+            filteringActive = state.active;
+            await sendToFacebookTabs({ type: 'TOGGLE_EXTENSION', enabled: state.active });
+        }
+        // Tabs that already use the profile leave their posts alone
+        if (state.active && state.profile !== filteringProfile) {
+            filteringProfile = state.profile;
+            await sendToFacebookTabs({ type: 'SET_FILTERING_PROFILE', profile: state.profile });
+        }
+        return state;
+    }
+
+    // Function to bring the stored settings up to SETTINGS_VERSION, returns the version they had
+    async function migrateSettings() {
+        const stored = await browserAPI.storage.sync.get(null);
+        const fromVersion = stored.settingsVersion || 1;
+
+        let version = fromVersion;
+        let current = { ...stored };
+        const remove = new Set();
+        while (version < SETTINGS_VERSION) {
+            const migration = SETTINGS_MIGRATIONS[version](current);
+            current = { ...current, ...migration.set };
+            migration.remove.forEach(key => {
+                delete current[key];
+                remove.add(key);
+            });
+            version++;
+        }
+
+        if (fromVersion !== SETTINGS_VERSION) {
+            const changes = {};
+            Object.keys(current).forEach(key => {
+                if (current[key] !== stored[key]) changes[key] = current[key];
+            });
+            await browserAPI.storage.sync.set({ ...changes, settingsVersion: SETTINGS_VERSION });
+            if (remove.size > 0) {
+                await browserAPI.storage.sync.remove(Array.from(remove));
+            }
+            // Keep the cached statistics in step with what was written
+            if (statistics) {
+                Object.keys(DEFAULT_STATISTICS).forEach(key => {
+                    if (key in changes) statistics[key] = changes[key];
+                });
+            }
+        }
+        return fromVersion;
+    }
+
+    // Function to open an extension page in a new tab
+    async function openPage(page) {
+        try {
+            await browserAPI.tabs.create({ url: browserAPI.runtime.getURL(page) });
+        } catch (error) {
+            console.error(`[CleanFeedFB] Error opening ${page}:`, error);
+        }
+    }
+
+    // Function to handle an install or update of the extension
+    // On install the install date is recorded and the onboarding page opens, on update the settings are
+    // migrated and the "what's new" page lists the changes since the previous version
+    async function handleInstalled(details) {
+        if (details.reason === 'install') {
+            const today = new Date().toDateString();
+            await browserAPI.storage.sync.set({ firstInstallDate: today, settingsVersion: SETTINGS_VERSION });
+            if (statistics) statistics.firstInstallDate = today;
+            await openPage(ONBOARDING_PAGE);
+        } else if (details.reason === 'update') {
+            await migrateSettings();
+            const currentVersion = browserAPI.runtime.getManifest().version;
+            if (details.previousVersion && details.previousVersion !== currentVersion) {
+                await openPage(`${WHATS_NEW_PAGE}?from=${encodeURIComponent(details.previousVersion)}`);
+            }
+        }
+
+        await rolloverIfNeeded();
+        scheduleRolloverAlarm();
+        await applyFilteringState();
+    }
+
+    // Listen for messages from content scripts, popup and options page
+    browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === 'POST_HIDDEN') {
+            // Log first, so the log is up to date when UPDATE_HIDDEN_COUNT reaches the popup
+            const logged = (message.entry && sender.tab)
+                ? logHiddenPost({ ...message.entry, category: message.category }, sender.tab).catch(error => {
+                    console.error('[CleanFeedFB] Error logging hidden post:', error);
+                })
+                : Promise.resolve();
+            logged.then(() => recordHiddenPost(message.category)).then(current => {
+                sendResponse(current);
+                updateBadgesAfterHide(sender.tab ? sender.tab.id : undefined, message.tabCount);
+            }, error => {
+                console.error('[CleanFeedFB] Error recording hidden post:', error);
+                sendResponse(null);
+            });
+            return true; // Keep message channel open for async response
+        }
+
+        if (message.type === 'TAB_STATUS') {
+            if (sender.tab) {
+                setTabState(sender.tab.id, { status: message.status, count: message.count });
+                updateBadge(sender.tab.id);
+            }
+            return false;
+        }
+
+        if (message.type === 'GET_STATISTICS') {
+            rolloverIfNeeded().then(() => sendResponse(getCurrentStatistics()), error => {
+                console.error('[CleanFeedFB] Error loading statistics:', error);
+                sendResponse(null);
+            });
+            return true;
+        }
+
+        if (message.type === 'RESET_STATISTICS') {
+            resetStatistics().then(current => {
+                sendResponse(current);
+                updateAllBadges();
+            }, error => {
+                console.error('[CleanFeedFB] Error resetting statistics:', error);
+                sendResponse(null);
+            });
+            return true;
+        }
+
+        if (message.type === 'GET_HISTORY') {
+            rolloverIfNeeded().then(() => getHistory(Math.min(MAX_HISTORY_DAYS, Math.max(1, message.days || 30))))
+                .then(sendResponse, error => {
+                    console.error('[CleanFeedFB] Error loading statistics history:', error);
+                    sendResponse([]);
+                });
+            return true;
+        }
+
+        if (message.type === 'GET_HIDDEN_LOG') {
+            getHiddenLog(message.tabId).then(sendResponse, error => {
+                console.error('[CleanFeedFB] Error loading hidden posts log:', error);
+                sendResponse([]);
+            });
+            return true;
+        }
+
+        if (message.type === 'CLEAR_HIDDEN_LOG') {
+            clearHiddenLog(message.tabId).then(() => sendResponse({ success: true }), error => {
+                console.error('[CleanFeedFB] Error clearing hidden posts log:', error);
+                sendResponse({ success: false });
+            });
+            return true;
+        }
+
+        if (message.type === 'REVEAL_POST') {
+            revealPost(message.tabId, message.postId).then(sendResponse, error => {
+                console.error('[CleanFeedFB] Error revealing post:', error);
+                sendResponse({ success: false, error: error.message });
+            });
+            return true;
+        }
+
+        return false;
+    });
+
+    // A closed or reloaded tab takes its posts with it, so its log entries can no longer be shown
+    // The badge state goes with them, the content script of the new page reports again
+    browserAPI.tabs.onRemoved.addListener(tabId => {
+        clearHiddenLog(tabId);
+        tabStates.delete(tabId);
+    });
+    browserAPI.tabs.onUpdated.addListener((tabId, changeInfo) => {
+        if (changeInfo.status === 'loading') {
+            clearHiddenLog(tabId);
+            tabStates.delete(tabId);
+        }
+    });
+
+    // Redraw the badges when the badge mode is changed on the options page,
+    // and apply the on/off switch, a snooze or a schedule as soon as they change
+    browserAPI.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync') return;
+
+        if (changes.badgeCount) {
+            badgeMode = BADGE_MODES.includes(changes.badgeCount.newValue) ? changes.badgeCount.newValue : DEFAULT_BADGE_MODE;
+            updateAllBadges();
+        }
+        if (changes.enabled || changes.snoozeUntil || changes.schedule) {
+            applyFilteringState().catch(error => {
+                console.error('[CleanFeedFB] Error applying the filtering schedule:', error);
+            });
+        }
+    });
+
+    // Midnight rollover
+    if (browserAPI.alarms) {
+        browserAPI.alarms.onAlarm.addListener(alarm => {
+            if (alarm.name === ROLLOVER_ALARM) {
+                rolloverIfNeeded().then(updateAllBadges).finally(scheduleRolloverAlarm);
+            } else if (alarm.name === FILTERING_ALARM) {
+                applyFilteringState().catch(error => {
+                    console.error('[CleanFeedFB] Error applying the filtering schedule:', error);
+                });
+            }
+        });
+    }
+
+    // Write pending counts before a background page is unloaded (Firefox event pages)
+    if (browserAPI.runtime.onSuspend) {
+        browserAPI.runtime.onSuspend.addListener(() => {
+            persistStatistics();
+        });
+    }
+
+    browserAPI.runtime.onStartup.addListener(() => {
+        rolloverIfNeeded();
+        scheduleRolloverAlarm();
+        applyFilteringState().catch(error => {
+            console.error('[CleanFeedFB] Error applying the filtering schedule:', error);
+        });
+    });
+
+    browserAPI.runtime.onInstalled.addListener(details => {
+        return handleInstalled(details).catch(error => {
+            console.error('[CleanFeedFB] Error handling install/update:', error);
+        });
+    });
+
+})();
@@ -0,0 +1,175 @@
+// CleanFeedFB - Category detectors for feed units that are not regular posts
+// Each category (Reels trays, Stories, "People you may know", ...) has its own detector and on/off switch
+const CleanFeedCategories = (function() {
+    'use strict';
+
+    // Elements whose text can be a unit title
+    const HEADING_SELECTOR = 'h2, h3, h4, [role="heading"], span[dir="auto"]';
+
+    // Maximum number of heading candidates checked per post
+    const MAX_HEADINGS = 30;
+
+    // Category definitions
+    // - term:          locale term holding the unit titles (see locales.js)
+    // - hrefHints:     link patterns that identify the unit type
+    // - minHrefLinks:  how many hinted links are needed for a structural match
+    const CATEGORIES = [
+        {
+            id: 'reels',
+            label: 'Reels',
+            description: 'Reels trays and short video carousels',
+            term: 'reels',
+            hrefHints: ['/reel/'],
+            minHrefLinks: 2
+        },
+        {
+            id: 'stories',
+            label: 'Stories',
+            description: 'The Stories tray',
+            term: 'stories',
+            hrefHints: ['/stories/'],
+            minHrefLinks: 2
+        },
+        {
+            id: 'peopleYouMayKnow',
+            label: 'People You May Know',
+            description: 'Friend suggestion carousels',
+            term: 'peopleYouMayKnow',
+            hrefHints: ['/friends/suggestions'],
+            minHrefLinks: 1
+        },
+        {
+            id: 'suggested',
+            label: 'Suggested for you',
+            description: 'Posts and units marked as suggested for you',
+            term: 'suggested',
+            hrefHints: [],
+            minHrefLinks: 0
+        },
+        {
+            id: 'memories',
+            label: 'Memories',
+            description: 'Memories and "On this day" posts',
+            term: 'memories',
+            hrefHints: ['/onthisday', '/memories/'],
+            minHrefLinks: 1
+        }
+    ];
+
+    // Human-readable names of every hide reason, used by placeholders and statistics
+    const REASON_LABELS = {
+        follow: 'Follow',
+        join: 'Join',
+        custom: 'Custom rule',
+        sponsored: 'Sponsored',
+        blocklist: 'Blocked source',
+        keyword: 'Keyword'
+    };
+    CATEGORIES.forEach(category => {
+        REASON_LABELS[category.id] = category.label;
+    });
+
+    // Function to normalize text for comparison
+    function normalizeText(text) {
+        return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Function to check whether a title equals a label, or starts with it followed by a non-letter
+    function matchesTitle(text, label) {
+        const normalized = normalizeText(text);
+        const normalizedLabel = normalizeText(label);
+        if (!normalized || !normalizedLabel) return false;
+
+        return normalized === normalizedLabel ||
+            (normalized.startsWith(normalizedLabel) && !/[\p{L}\p{N}]/u.test(normalized.charAt(normalizedLabel.length)));
+    }
+
+    // Function to get the default on/off state of every category (all off)
+    function getDefaultSettings() {
+        const settings = {};
+        CATEGORIES.forEach(category => {
+            settings[category.id] = false;
+        });
+        return settings;
+    }
+
+    // Function to merge stored category switches with the defaults
+    function normalizeSettings(stored) {
+        const settings = getDefaultSettings();
+        Object.keys(settings).forEach(id => {
+            if (stored && typeof stored[id] === 'boolean') {
+                settings[id] = stored[id];
+            }
+        });
+        return settings;
+    }
+
+    // Function to run one category detector, returns { matchedBy: 'title' | 'links', evidence } or null
+    function detectCategory(category, post, titles) {
+        const heading = titles.find(text => category.labels.some(label => matchesTitle(text, label)));
+        if (heading) {
+            return { matchedBy: 'title', evidence: `title "${heading.trim()}"` };
+        }
+
+        if (category.minHrefLinks > 0) {
+            const linkCount = category.hrefHints.reduce((count, hint) =>
+                count + post.querySelectorAll(`a[href*="${hint}"]`).length, 0);
+            if (linkCount >= category.minHrefLinks) {
+                return { matchedBy: 'links', evidence: `${linkCount} ${category.hrefHints.join('/')} link(s)` };
+            }
+        }
+
+        return null;
+    }
+
+    // Function to detect the category of a post, returns { category, label, matchedBy, evidence } or null
+    // enabled holds the category switches, locale is the active language pack code
+    function detectPostCategory(post, enabled, locale) {
+        if (!post || !enabled) return null;
+
+        const active = CATEGORIES.filter(category => enabled[category.id]);
+        if (active.length === 0) return null;
+
+        const titles = Array.from(post.querySelectorAll(HEADING_SELECTOR))
+            .slice(0, MAX_HEADINGS)
+            .map(element => element.textContent || '')
+            .filter(text => text.length > 0 && text.length < 80);
+
+        for (const category of active) {
+            const match = detectCategory({
+                ...category,
+                labels: CleanFeedLocales.getTermTexts(locale, category.term)
+            }, post, titles);
+
+            if (match) {
+                return { category: category.id, label: category.label, matchedBy: match.matchedBy, evidence: match.evidence };
+            }
+        }
+
+        return null;
+    }
+
+    // Function to get the display name of a hide reason category
+    function getReasonLabel(category) {
+        return REASON_LABELS[category] || category;
+    }
+
+    // Function to get every hide reason category, in display order
+    function getReasonCategories() {
+        return Object.keys(REASON_LABELS);
+    }
+
+    // Function to get the category definitions
+    function getCategories() {
+        return CATEGORIES.map(category => ({ id: category.id, label: category.label, description: category.description }));
+    }
+
+    return {
+        getCategories,
+        getDefaultSettings,
+        normalizeSettings,
+        detectPostCategory,
+        getReasonLabel,
+        getReasonCategories
+    };
+})();
@@ -0,0 +1,124 @@
+// CleanFeedFB - Classifier registry
+// A detector receives a post and returns a verdict, the registry runs the enabled detectors in order
+// and stops at the first verdict. New kinds of filters are added by registering a detector (see detectors.js).
+const CleanFeedClassifiers = (function() {
+    'use strict';
+
+    // Registered detectors, kept sorted by order
+    //
+    // A detector is { id, label, description, order, isActive(context), detect(post, context) }
+    // - isActive:  whether the detector has anything to look for with the current settings
+    // - detect:    returns a verdict or null
+    //
+    // A verdict is { reason, category, confidence, keep, trigger, elements }
+    // - reason:     human-readable explanation, shown in logs and placeholders
+    // - category:   hide reason category, counted in the statistics (see CleanFeedCategories.getReasonLabel)
+    // - confidence: 0..1, how sure the detector is
+    // - keep:       true to keep the post visible and skip the remaining detectors (e.g. allowlisted sources)
+    // - trigger:    optional, the text that matched (button text, label, keyword), shown in audit mode
+    // - elements:   optional, the elements that matched, outlined in audit mode
+    //
+    // The context is { config, locale, debug, reportError } with the content script configuration and active language pack,
+    // reportError(context, error) keeps a failing detector's error for the diagnostics view
+    const detectors = [];
+
+    // Function to check that a verdict has the required fields
+    function isValidVerdict(verdict) {
+        return !!verdict &&
+            typeof verdict.reason === 'string' &&
+            (verdict.keep === true || typeof verdict.category === 'string') &&
+            typeof verdict.confidence === 'number' && verdict.confidence >= 0 && verdict.confidence <= 1;
+    }
+
+    // Function to register a detector, replacing any detector with the same ID
+    function register(detector) {
+        if (!detector || !detector.id || typeof detector.detect !== 'function') {
+            throw new Error('A detector needs an id and a detect function');
+        }
+
+        const index = detectors.findIndex(existing => existing.id === detector.id);
+        if (index !== -1) {
+            detectors.splice(index, 1);
+        }
+
+        detectors.push({
+            label: detector.id,
+            description: '',
+            order: 100,
+            isActive: () => true,
+            ...detector
+        });
+        detectors.sort((a, b) => a.order - b.order);
+    }
+
+    // Function to get the registered detectors in the order they run
+    function getDetectors() {
+        return detectors.map(detector => ({
+            id: detector.id,
+            label: detector.label,
+            description: detector.description,
+            order: detector.order
+        }));
+    }
+
+    // Function to get the default enable flag of every detector (all on)
+    function getDefaultSettings() {
+        const settings = {};
+        detectors.forEach(detector => {
+            settings[detector.id] = true;
+        });
+        return settings;
+    }
+
+    // Function to merge stored detector flags with the defaults
+    function normalizeSettings(stored) {
+        const settings = getDefaultSettings();
+        Object.keys(settings).forEach(id => {
+            if (stored && typeof stored[id] === 'boolean') {
+                settings[id] = stored[id];
+            }
+        });
+        return settings;
+    }
+
+    // Function to get the detectors that are enabled and have something to look for
+    function getActiveDetectors(context, enabled) {
+        const flags = normalizeSettings(enabled);
+        return detectors.filter(detector => flags[detector.id] && detector.isActive(context));
+    }
+
+    // Function to run the detectors on a post, returns the first verdict (with the detector ID) or null
+    // A detector that throws is skipped, so one broken detector cannot stop the others
+    function classify(post, context, enabled) {
+        for (const detector of getActiveDetectors(context, enabled)) {
+            let verdict;
+            try {
+                verdict = detector.detect(post, context);
+            } catch (error) {
+                if (context.reportError) {
+                    context.reportError(`Detector "${detector.id}" failed`, error);
+                } else if (context.debug) {
+                    context.debug(`Detector "${detector.id}" failed: ${error.message}`);
+                }
+                continue;
+            }
+
+            if (!verdict) continue;
+            if (!isValidVerdict(verdict)) {
+                if (context.debug) context.debug(`Detector "${detector.id}" returned an invalid verdict`);
+                continue;
+            }
+            return { ...verdict, detector: detector.id };
+        }
+        return null;
+    }
+
+    return {
+        register,
+        getDetectors,
+        getDefaultSettings,
+        normalizeSettings,
+        getActiveDetectors,
+        classify
+    };
+})();
@@ -8,10 +8,23 @@
 
     // Default configuration
     const DEFAULT_CONFIG = {
-        checkInterval: 3000, // Check every 3 seconds
+        checkInterval: 3000, // Safety-net check every 3 seconds
+        safetyScan: true, // Re-scan the whole feed on every check, in addition to the observer
         debug: false, // Set to false to disable console logs
+        auditMode: false, // Dry run: outline the posts that would be hidden instead of hiding them
         hideDelay: 100, // Small delay before initiating hide transition
-        filterStrings: ['follow', 'join'] // Fixed filter strings (lowercase)
+        hideSponsored: false, // Hide posts carrying the Sponsored label
+        hideCategories: CleanFeedCategories.getDefaultSettings(), // On/off switch per feed unit category
+        allowlist: [], // Compiled sources that are never hidden
+        blocklist: [], // Compiled sources that are always hidden
+        keywordRules: [], // Compiled keyword/phrase rules for the post body text
+        locale: 'auto', // Language pack override, 'auto' follows the page's <html lang>
+        hideStyle: CleanFeedHideStyles.DEFAULT_STYLE, // How filtered posts are hidden, see hide-styles.js
+        reasonHideStyles: {}, // Hide style overrides per hide reason category (e.g. { follow: 'remove' })
+        detectors: CleanFeedClassifiers.getDefaultSettings(), // On/off switch per detector (see detectors.js)
+        surfaceSettings: CleanFeedSurfaces.getDefaultSettings(), // On/off switch and detector overrides per surface (see surfaces.js)
+        selectorPack: CleanFeedSelectors.BUILT_IN_PACK, // Where the posts are in the markup (see selector-packs.js)
+        filterRules: CleanFeedRules.compileRules(CleanFeedRules.getDefaultRules()) // Compiled button-text rules
     };
 
     // Current configuration (will be loaded from storage)
@@ -19,14 +32,58 @@
 
     // State management
     let extensionEnabled = true;
-    let hiddenPostsCount = 0;
+    let filteringProfile = CleanFeedSchedule.DEFAULT_PROFILE; // Profile of the schedule's time window (see schedule.js)
+    let tabPaused = false; // Paused from the popup in this tab only, until the page is reloaded
+    let currentSurface = CleanFeedSurfaces.OTHER_SURFACE; // Surface of the current route (see surfaces.js)
+    let surfaceFiltered = true; // Whether the current surface has posts to filter and is turned on
+    let hiddenPostsCount = 0; // Posts hidden in this tab since the page was loaded
+    let settingsError = false; // The settings could not be loaded, shown on the toolbar badge
+    let reportedStatus = null; // Tab status last sent to the background script for the badge
+    let selectorPackFallback = false; // The imported selector pack found no posts, the built-in one is used instead
+    const health = CleanFeedDiagnostics.createHealth(); // Scans, fallback runs and errors for the diagnostics view
     let observer = null;
     let scanInterval = null;
     let scanTimeout = null; // For debouncing mutation observer scans
+    let activeLocale = CleanFeedLocales.FALLBACK_LOCALE; // Language pack currently in use
+    let storedFilterRules = CleanFeedRules.getDefaultRules(); // Uncompiled rules, kept to recompile on locale change
 
-    // Track processed posts to avoid re-processing
-    let processedPosts = new WeakSet();
-    const hiddenPosts = new Set(); // Keep track of hidden posts for show/hide
+    // Posts are tracked by key (see getPostKey), not by node: Facebook re-renders a post into new nodes
+    // and reuses the nodes of posts scrolled away for other posts
+    const processedPosts = new Set(); // Keys of the posts hidden, revealed or audited, to avoid re-processing
+    const hiddenPosts = new Map(); // Key -> node of the hidden posts on the page, for show/hide
+    let checkedPosts = new WeakSet(); // Posts classified as clean, re-checked only when their content changes
+    const countedPosts = new Set(); // Keys of the posts counted in the statistics, so a post is never counted twice
+
+    // Incremental scanning state
+    let observedContainer = null; // Feed container watched by the mutation observer
+    const pendingPosts = new Set(); // Posts waiting to be classified
+    let idleHandle = null; // Pending idle callback for the classification queue
+
+    // Hidden post key -> { reason, category }, used to apply its hide style and draw its bar
+    // Kept when Facebook drops the node, so the post is hidden again when it comes back in a new node
+    const hiddenReasons = new Map();
+
+    // Post keys are also the IDs of the hidden posts log, which the popup and options page use to reveal a post
+    const postIdPrefix = Date.now().toString(36); // Keeps IDs unique across page loads in the same tab
+    const nodeIds = new WeakMap(); // Node -> key of the posts without a story ID
+    let nextPostId = 1;
+
+    // Posts classified per idle chunk when the browser gives no time estimate
+    const FALLBACK_CHUNK_SIZE = 5;
+
+    // Lifecycle: set up once per page, then started and torn down again on every route change
+    let initialized = false;
+    let readyTimeout = null; // Pending start while waiting for the feed container
+
+    // Attempts to find a feed container after a route change, one per READY_RETRY_MS, before giving up
+    const MAX_READY_ATTEMPTS = 15;
+    const READY_RETRY_MS = 1000;
+
+    // Delay after a route change before starting, lets Facebook render the new page
+    const NAVIGATION_SETTLE_MS = 500;
+
+    // ID of the injected <style> element, so the CSS is added only once
+    const STYLE_ID = 'cleanfeed-styles';
 
     // Function to log debug messages
     function debug(message, element = null) {
@@ -36,189 +93,442 @@
         }
     }
 
+    // Function to log an error and keep it for the diagnostics view of the options page
+    function reportError(context, error) {
+        debug(`${context}:`, error);
+        CleanFeedDiagnostics.recordError(health, context, error);
+    }
+
+    // Function to pick the language pack from the override or the page language, and recompile the rules
+    function applyLocale() {
+        activeLocale = CleanFeedLocales.resolveLocale(document.documentElement.lang, CONFIG.locale);
+        CONFIG.filterRules = CleanFeedRules.compileRules(storedFilterRules, activeLocale);
+        debug(`Active language pack: ${activeLocale} (setting: ${CONFIG.locale}, page: "${document.documentElement.lang}")`);
+    }
+
     // Function to load extension state and settings from storage
     async function loadExtensionState() {
         try {
-            // Reset daily counter if needed
-            const today = new Date().toDateString();
             let result = await browserAPI.storage.sync.get({
                 enabled: true,
-                hiddenCount: 0,
-                totalHidden: 0,
-                lastResetDate: '',
+                snoozeUntil: 0,
+                schedule: CleanFeedSchedule.getDefaultSchedule(),
                 scanInterval: 3,
                 hideDelay: 100,
-                debugMode: false
+                debugMode: false,
+                auditMode: false,
+                safetyScan: true,
+                hideSponsored: false,
+                hideCategories: CleanFeedCategories.getDefaultSettings(),
+                allowlist: [],
+                blocklist: [],
+                keywordRules: [],
+                locale: 'auto',
+                hideStyle: CleanFeedHideStyles.DEFAULT_STYLE,
+                reasonHideStyles: {},
+                detectors: CleanFeedClassifiers.getDefaultSettings(),
+                surfaceSettings: CleanFeedSurfaces.getDefaultSettings(),
+                filterRules: CleanFeedRules.getDefaultRules()
             });
 
-            // Reset daily counter if it's a new day
-            if (result.lastResetDate !== today) {
-                await browserAPI.storage.sync.set({
-                    lastResetDate: today,
-                    hiddenCount: 0
-                });
-                result.hiddenCount = 0;
-            }
-
             // Update configuration from storage
             CONFIG.checkInterval = (result.scanInterval || 3) * 1000; // Convert to milliseconds
             CONFIG.hideDelay = result.hideDelay || 100;
             CONFIG.debug = result.debugMode || false;
-            // Filter strings are now hardcoded
-            CONFIG.filterStrings = DEFAULT_CONFIG.filterStrings;
-
-            extensionEnabled = result.enabled;
-            hiddenPostsCount = result.hiddenCount;
-
-            debug(`Extension state loaded: enabled=${extensionEnabled}, hiddenCount=${hiddenPostsCount}`);
-            debug(`Config updated: interval=${CONFIG.checkInterval}ms, delay=${CONFIG.hideDelay}ms, debug=${CONFIG.debug}`);
-            debug(`Filter strings: [${CONFIG.filterStrings.join(', ')}]`);
+            CONFIG.auditMode = result.auditMode || false;
+            CONFIG.safetyScan = result.safetyScan !== false;
+            CONFIG.hideSponsored = result.hideSponsored || false;
+            CONFIG.hideCategories = CleanFeedCategories.normalizeSettings(result.hideCategories);
+            CONFIG.allowlist = CleanFeedSources.compileList(result.allowlist);
+            CONFIG.blocklist = CleanFeedSources.compileList(result.blocklist);
+            CONFIG.keywordRules = CleanFeedKeywords.compileKeywords(result.keywordRules);
+            CONFIG.locale = result.locale || 'auto';
+            CONFIG.hideStyle = CleanFeedHideStyles.normalizeStyle(result.hideStyle);
+            CONFIG.reasonHideStyles = CleanFeedHideStyles.normalizeReasonStyles(result.reasonHideStyles);
+            CONFIG.detectors = CleanFeedClassifiers.normalizeSettings(result.detectors);
+            CONFIG.surfaceSettings = CleanFeedSurfaces.normalizeSettings(result.surfaceSettings);
+            storedFilterRules = result.filterRules;
+            CONFIG.selectorPack = await loadSelectorPack();
+            selectorPackFallback = false;
+            applyLocale();
+
+            // Filtering is off while snoozed or outside the schedule, the background script turns it on again
+            const filtering = CleanFeedSchedule.getState(result);
+            extensionEnabled = filtering.active;
+            filteringProfile = filtering.profile;
+            settingsError = false;
+
+            debug(`Extension state loaded: enabled=${extensionEnabled}, profile=${filteringProfile}`);
+            debug(`Config updated: interval=${CONFIG.checkInterval}ms, delay=${CONFIG.hideDelay}ms, debug=${CONFIG.debug}, hideSponsored=${CONFIG.hideSponsored}`);
+            debug(`Filter rules: [${CONFIG.filterRules.map(m => CleanFeedRules.describeRule(m.rule)).join(', ')}]`);
 
             return result;
         } catch (error) {
-            debug('Error loading extension state:', error);
+            reportError('Error loading extension state', error);
+            settingsError = true;
             extensionEnabled = true;
-            hiddenPostsCount = 0;
+            filteringProfile = CleanFeedSchedule.DEFAULT_PROFILE;
             CONFIG = { ...DEFAULT_CONFIG };
-            return { enabled: true, hiddenCount: 0, totalHidden: 0 };
+            storedFilterRules = CleanFeedRules.getDefaultRules();
+            applyLocale();
+            return { enabled: true };
         }
     }
 
-    // Function to update hidden posts count
-    async function updateHiddenCount() {
-        hiddenPostsCount++;
+    // Function to load the imported selector pack from local storage, the built-in pack when there is none
+    // The pack is too large for sync storage and belongs to this browser
+    async function loadSelectorPack() {
         try {
-            const today = new Date().toDateString();
-
-            // Get current totalHidden count
-            const currentData = await browserAPI.storage.sync.get(['totalHidden']);
-            const newTotalHidden = (currentData.totalHidden || 0) + 1;
+            const result = await browserAPI.storage.local.get({ selectorPack: null });
+            const pack = CleanFeedSelectors.resolvePack(result.selectorPack);
+            debug(`Selector pack: ${CleanFeedSelectors.describePack(pack)}`);
+            return pack;
+        } catch (error) {
+            reportError('Error loading the selector pack', error);
+            return CleanFeedSelectors.BUILT_IN_PACK;
+        }
+    }
 
-            await browserAPI.storage.sync.set({
-                hiddenCount: hiddenPostsCount,
-                totalHidden: newTotalHidden,
-                lastResetDate: today
+    // Function to report a hidden post to the background script, which owns the statistics and the hidden posts log
+    // category is the hide reason category (e.g. 'follow', 'reels'), entry describes the post for the log
+    async function updateHiddenCount(category, entry) {
+        hiddenPostsCount++;
+        try {
+            const statistics = await browserAPI.runtime.sendMessage({
+                type: 'POST_HIDDEN',
+                category: category,
+                entry: entry,
+                tabCount: hiddenPostsCount
             });
 
-            debug(`Updated hidden count - today: ${hiddenPostsCount}, total: ${newTotalHidden}`);
-
-            // Notify popup of count update
-            try {
-                await browserAPI.runtime.sendMessage({
-                    type: 'UPDATE_HIDDEN_COUNT',
-                    count: hiddenPostsCount,
-                    total: newTotalHidden
-                });
-            } catch (error) {
-                debug('Popup not available for count update:', error.message);
+            if (statistics) {
+                debug(`Updated hidden count - tab: ${hiddenPostsCount}, today: ${statistics.hiddenCount}, total: ${statistics.totalHidden}`);
             }
         } catch (error) {
-            debug('Error updating hidden count:', error);
+            reportError('Error reporting hidden post', error);
         }
     }
 
-    // Function to check if text contains any of the hardcoded filter strings
-    function containsFilteredText(text) {
-        if (!text || CONFIG.filterStrings.length === 0) return false;
-
-        const trimmed = text.trim().toLowerCase();
+    // Function to check whether posts are filtered in this tab: turned on, not paused in this tab,
+    // and showing a surface with posts
+    function isFiltering() {
+        return extensionEnabled && !tabPaused && surfaceFiltered;
+    }
 
-        // Check each filter string
-        return CONFIG.filterStrings.some(filterString => {
-            // Direct string comparison for exact matches (fastest)
-            if (trimmed === filterString) {
-                return true;
-            }
-            
-            // Check if it starts with "filterString " (for extended matches)
-            return trimmed.startsWith(filterString + ' ');
-        });
+    // Function to get the state of this tab, shown in the popup and on the toolbar badge
+    // 'disabled' when turned off, 'paused' when paused in this tab, 'error' when the settings could not be loaded,
+    // 'inactive' on pages without a feed (Messenger, a single post, ...), 'no-feed' when the page is watched with the legacy fallback because the posts of the surface were not found,
+    // 'active' otherwise
+    function getTabStatus() {
+        if (settingsError) return 'error';
+        if (!extensionEnabled) return 'disabled';
+        if (tabPaused) return 'paused';
+        if (!surfaceFiltered) return 'inactive';
+        return observedContainer ? 'active' : 'no-feed';
     }
 
-    // Function to find all clickable elements that might contain filtered strings
-    function findFilteredButtons(container) {
-        if (!extensionEnabled || CONFIG.filterStrings.length === 0) return [];
-
-        const buttons = [];
-
-        // Get all potentially clickable elements
-        const clickableSelectors = [
-            '[role="button"]',
-            '[tabindex="0"]',
-            'div[style*="cursor"]',
-            'span[style*="cursor"]',
-            'div[data-testid]',
-            'span[data-testid]'
-        ];
-
-        clickableSelectors.forEach(selector => {
-            const elements = container.querySelectorAll(selector);
-            elements.forEach(el => {
-                const text = (el.innerText || el.textContent || '').trim();
-                const ariaLabel = el.getAttribute('aria-label') || '';
-
-                // Check if this element contains any filtered text
-                if (containsFilteredText(text) || containsFilteredText(ariaLabel)) {
-                    debug(`Found button candidate: text="${text}", aria-label="${ariaLabel}", selector="${selector}"`);
-                    buttons.push({
-                        element: el,
-                        text: text,
-                        ariaLabel: ariaLabel
-                    });
-                }
-            });
-        });
+    // Function to report the state of this tab to the background script, which draws the toolbar badge
+    function reportTabStatus() {
+        const status = getTabStatus();
+        if (status === reportedStatus) return;
 
-        return buttons;
+        reportedStatus = status;
+        browserAPI.runtime.sendMessage({ type: 'TAB_STATUS', status: status, count: hiddenPostsCount }).catch(error => {
+            reportError('Error reporting tab status', error);
+        });
     }
 
-    // Function to find News Feed Posts Root
-    function findNewsFeedRoot() {
-        try {
-            const target = Array.from(document.querySelectorAll('h3.html-h3')).find(el => 
-                el.textContent.trim() === 'News Feed posts'
-            );
-            
-            if (!target) {
-                debug('News Feed posts header not found');
-                return null;
+    // Function to get the element whose children are the posts of the current surface
+    // When the imported selector pack finds no posts but the built-in one does, the built-in pack is used
+    // for the rest of the page
+    function getPostsContainer() {
+        let container = CleanFeedSurfaces.findContainer(currentSurface, document, activeLocale, CONFIG.selectorPack);
+        if ((!container || container.children.length === 0) && !CleanFeedSelectors.isBuiltIn(CONFIG.selectorPack)) {
+            const builtIn = CleanFeedSurfaces.findContainer(currentSurface, document, activeLocale, CleanFeedSelectors.BUILT_IN_PACK);
+            if (builtIn && builtIn.children.length > 0) {
+                debug(`Selector pack ${CleanFeedSelectors.describePack(CONFIG.selectorPack)} found no posts, using the built-in pack`);
+                CONFIG.selectorPack = CleanFeedSelectors.BUILT_IN_PACK;
+                selectorPackFallback = true;
+                container = builtIn;
             }
-            
-            debug('Found News Feed posts header');
-            return target;
-        } catch (error) {
-            debug('Error finding News Feed root:', error);
-            return null;
         }
+
+        if (!container) {
+            debug(`Posts of surface ${currentSurface} not found, falling back to old method`);
+        }
+        return container;
     }
 
-    // Function to get all posts from the News Feed
+    // Function to get all posts of the current surface
     function getAllPosts() {
-        const target = findNewsFeedRoot();
-        if (!target) {
-            debug('Cannot find News Feed root, falling back to old method');
+        const postsContainer = getPostsContainer();
+        if (!postsContainer) {
             return [];
         }
 
         try {
-            const postsContainer = target.parentElement.childNodes[2];
-            if (!postsContainer || !postsContainer.children) {
-                debug('Posts container not found or has no children');
-                return [];
-            }
-
             const posts = Array.from(postsContainer.children);
-            debug(`Found ${posts.length} posts in News Feed`);
+            debug(`Found ${posts.length} posts on surface ${currentSurface}`);
             return posts;
         } catch (error) {
-            debug('Error getting posts from News Feed:', error);
+            reportError('Error getting posts of the surface', error);
             return [];
         }
     }
 
+    // Function to collect the health of the filtering in this tab for the diagnostics view of the options page
+    // With includeSkeleton, the redacted markup of the posts container (or of the page the fallback scans) is added
+    function getDiagnostics(includeSkeleton) {
+        pruneDetachedPosts();
+        const container = isFiltering() ? getPostsContainer() : null;
+        const diagnostics = {
+            status: getTabStatus(),
+            surface: currentSurface,
+            locale: activeLocale,
+            selectorPack: CleanFeedSelectors.describePack(CONFIG.selectorPack),
+            selectorPackFallback: selectorPackFallback,
+            feedRootFound: !!container,
+            postsFound: container ? container.children.length : 0,
+            observing: !!observedContainer,
+            activeDetectors: CleanFeedClassifiers.getActiveDetectors(getClassifierContext(), getDetectorFlags()).map(detector => detector.id),
+            hiddenOnPage: hiddenPosts.size,
+            pendingPosts: pendingPosts.size,
+            ...health,
+            errors: health.errors.slice()
+        };
+
+        if (includeSkeleton) {
+            const root = container || CleanFeedSelectors.findFirst(document, CONFIG.selectorPack.fallbackRoots) || document.body;
+            diagnostics.skeletonRoot = container ? 'posts container' : (root === document.body ? 'page' : 'fallback root');
+            diagnostics.skeleton = CleanFeedDiagnostics.buildSkeleton(root);
+        }
+        return diagnostics;
+    }
+
+    // Function to get the hide style for a hide reason category: the style of the filtering profile,
+    // or else the per-reason override or the global style
+    function getHideStyle(category) {
+        return CleanFeedSchedule.getProfile(filteringProfile).hideStyle ||
+            CleanFeedHideStyles.resolveStyle(category, CONFIG.hideStyle, CONFIG.reasonHideStyles);
+    }
+
+    // Function to create the debug placeholder shown in front of a hidden post
+    function createDebugPlaceholder(reason, category) {
+        const placeholder = document.createElement('div');
+        placeholder.style.cssText = `
+            background: #e3f2fd;
+            border: 1px solid #1976d2;
+            padding: 8px 12px;
+            margin: 8px 0;
+            border-radius: 4px;
+            color: #1976d2;
+            font-size: 12px;
+            text-align: center;
+        `;
+        placeholder.textContent = `🚫 Hidden [${CleanFeedCategories.getReasonLabel(category)}]: ${reason}`;
+        placeholder.setAttribute('data-follow-placeholder', 'true');
+        return placeholder;
+    }
+
+    // Function to create a bar button that runs an action without letting Facebook see the click
+    function createBarButton(text, title, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cleanfeed-bar-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            action();
+        });
+        return button;
+    }
+
+    // Function to create the slim bar that stands in for a collapsed post, or sits above a labelled one
+    // labelOnly is true for the label style, where the post stays visible and needs no Show button
+    function createCollapsedBar(postContainer, reason, category, labelOnly) {
+        const bar = document.createElement('div');
+        bar.className = labelOnly ? 'cleanfeed-bar cleanfeed-label' : 'cleanfeed-bar';
+        bar.setAttribute('data-follow-placeholder', 'true');
+        bar.setAttribute('data-cleanfeed-bar', 'true');
+
+        const text = document.createElement('span');
+        text.className = 'cleanfeed-bar-text';
+        const label = document.createElement('strong');
+        label.textContent = CleanFeedCategories.getReasonLabel(category);
+        text.append(labelOnly ? 'Filtered · ' : 'Post hidden · ', label, ` · ${reason}`);
+        text.title = reason;
+
+        const actions = document.createElement('span');
+        actions.className = 'cleanfeed-bar-actions';
+        if (!labelOnly) {
+            actions.appendChild(createBarButton('Show', 'Show this post', () => revealPost(getPostId(postContainer))));
+        }
+        if (CleanFeedSources.extractAuthor(postContainer)) {
+            actions.appendChild(createBarButton('Always allow this source', 'Add the author to the allowlist and show their posts', () => allowPostSource(postContainer)));
+            actions.appendChild(createBarButton('Hide similar', 'Add the author to the blocklist and hide all their posts', () => hideSimilar(postContainer)));
+        }
+
+        bar.append(text, actions);
+        return bar;
+    }
+
+    // Function to put the right marker in front of a hidden post: a collapsed bar, the debug placeholder or nothing
+    function updatePostMarker(postContainer) {
+        const previous = postContainer.previousElementSibling;
+        if (previous && previous.hasAttribute('data-follow-placeholder')) {
+            previous.remove();
+        }
+
+        const hidden = postContainer.hasAttribute('data-follow-hidden');
+        const info = hidden ? hiddenReasons.get(postContainer.getAttribute('data-cleanfeed-id')) : null;
+        if (!info || !postContainer.parentNode) return;
+
+        const style = getHideStyle(info.category);
+        if (style === 'collapse' || style === 'label') {
+            postContainer.parentNode.insertBefore(createCollapsedBar(postContainer, info.reason, info.category, style === 'label'), postContainer);
+        } else if (CONFIG.debug) {
+            postContainer.parentNode.insertBefore(createDebugPlaceholder(info.reason, info.category), postContainer);
+        }
+    }
+
+    // Function to apply the hide style of a hidden post: take it out of the layout or restyle it in place, and draw its marker
+    function applyHideStyle(postContainer) {
+        const info = hiddenReasons.get(postContainer.getAttribute('data-cleanfeed-id'));
+        if (!info) return;
+
+        const style = getHideStyle(info.category);
+        postContainer.setAttribute('data-cleanfeed-style', style);
+        postContainer.style.display = CleanFeedHideStyles.removesPost(style) ? 'none' : '';
+        updatePostMarker(postContainer);
+    }
+
+    // Function to add the author of a post to the allowlist and show every hidden post from that source
+    async function allowPostSource(postContainer) {
+        const author = CleanFeedSources.extractAuthor(postContainer);
+        if (!author) return;
+
+        try {
+            const result = await browserAPI.storage.sync.get({ allowlist: [] });
+            const allowlist = CleanFeedSources.normalizeList([...result.allowlist, author.url || author.name]);
+            await browserAPI.storage.sync.set({ allowlist: allowlist });
+            CONFIG.allowlist = CleanFeedSources.compileList(allowlist);
+            debug(`Added "${author.url || author.name}" to the allowlist`);
+        } catch (error) {
+            reportError('Error updating the allowlist', error);
+            return;
+        }
+
+        revealAllowedPosts();
+    }
+
+    // Function to show every hidden post whose source is on the allowlist
+    function revealAllowedPosts() {
+        Array.from(hiddenPosts).forEach(([postId, post]) => {
+            if (CleanFeedSources.findMatch(CONFIG.allowlist, CleanFeedSources.extractAuthor(post))) {
+                revealPost(postId);
+            }
+        });
+    }
+
+    // Function to add the author of a post to the blocklist and hide the other posts from that source,
+    // also those no other detector matched
+    async function hideSimilar(postContainer) {
+        const author = CleanFeedSources.extractAuthor(postContainer);
+        if (!author) return;
+
+        try {
+            const result = await browserAPI.storage.sync.get({ blocklist: [] });
+            const blocklist = CleanFeedSources.normalizeList([...result.blocklist, author.url || author.name]);
+            await browserAPI.storage.sync.set({ blocklist: blocklist });
+            CONFIG.blocklist = CleanFeedSources.compileList(blocklist);
+            debug(`Added "${author.url || author.name}" to the blocklist`);
+        } catch (error) {
+            reportError('Error updating the blocklist', error);
+            return;
+        }
+
+        // Posts from the source that passed the filters must be checked again
+        checkedPosts = new WeakSet();
+        scanForFilteredPosts();
+    }
+
+    // Function to get the key of the post a node shows: from its story ID when it has one,
+    // otherwise the ID of the node
+    function getPostKey(postContainer) {
+        const storyId = CleanFeedPostInfo.getStoryId(postContainer);
+        return storyId ? `${postIdPrefix}-${storyId}` : getNodeId(postContainer);
+    }
+
+    // Function to get the ID of a node, assigned on first use
+    function getNodeId(postContainer) {
+        if (!nodeIds.has(postContainer)) {
+            nodeIds.set(postContainer, `${postIdPrefix}-${nextPostId++}`);
+        }
+        return nodeIds.get(postContainer);
+    }
+
+    // Function to get the key a post was handled under, or its current key when it was not handled yet
+    function getPostId(postContainer) {
+        return postContainer.getAttribute('data-cleanfeed-id') || getPostKey(postContainer);
+    }
+
+    // Function to check whether Facebook reused the node of a handled post for another post
+    // Only story IDs can tell: a node handled under its node ID may just have loaded its permalink since
+    function isRecycled(postContainer) {
+        const postId = postContainer.getAttribute('data-cleanfeed-id');
+        if (!postId || postId === nodeIds.get(postContainer)) return false;
+        return getPostKey(postContainer) !== postId;
+    }
+
+    // Function to let go of a recycled node: show it and forget the post it showed before,
+    // whose state stays with its key
+    function releasePost(postContainer) {
+        const postId = postContainer.getAttribute('data-cleanfeed-id');
+        debug(`Post node reused, releasing post ${postId}`);
+        if (hiddenPosts.get(postId) === postContainer) {
+            hiddenPosts.delete(postId);
+        }
+        unhidePost(postContainer);
+        postContainer.removeAttribute('data-cleanfeed-id');
+        postContainer.removeAttribute('data-cleanfeed-revealed');
+        postContainer.removeAttribute('data-cleanfeed-audit');
+        checkedPosts.delete(postContainer);
+    }
+
+    // Function to hide a hidden post again in the new node Facebook rendered it in, without counting it again
+    function restoreHiddenPost(postContainer, postId) {
+        const info = hiddenReasons.get(postId);
+        if (!info || !isFiltering()) return;
+
+        postContainer.setAttribute('data-cleanfeed-id', postId);
+        markHidden(postContainer, info.reason, info.category);
+        debug(`Post ${postId} rendered again, hidden again`);
+    }
+
+    // Function to drop the hidden posts whose nodes Facebook removed, their keys stay hidden
+    function pruneDetachedPosts() {
+        hiddenPosts.forEach((post, postId) => {
+            if (!post.isConnected) hiddenPosts.delete(postId);
+        });
+    }
+
     // Function to hide a post smoothly
-    function hidePost(postContainer, reason) {
-        if (!postContainer || processedPosts.has(postContainer) || !extensionEnabled) {
+    // category is the hide reason category, recorded in the statistics and shown in the debug placeholder
+    function hidePost(postContainer, reason, category) {
+        if (!postContainer || processedPosts.has(getPostId(postContainer)) || !isFiltering()) {
+            return;
+        }
+
+        // Mark the post right away so a re-scan during the delay or transition does not hide it twice
+        const postId = getPostId(postContainer);
+        processedPosts.add(postId);
+        postContainer.setAttribute('data-cleanfeed-id', postId);
+
+        // Styles that keep the post in place are applied without the fade-out
+        if (!CleanFeedHideStyles.removesPost(getHideStyle(category))) {
+            setTimeout(() => finishHide(postContainer, reason, category), CONFIG.hideDelay);
             return;
         }
 
@@ -229,64 +539,163 @@
         setTimeout(() => {
             postContainer.classList.add('hide');
 
-            // Listen for the end of the transition to set display: none
+            // Listen for the end of the transition to apply the hide style
             const transitionEndHandler = () => {
-                postContainer.style.display = 'none';
-                postContainer.setAttribute('data-follow-hidden', 'true');
-                processedPosts.add(postContainer);
-                hiddenPosts.add(postContainer);
-                debug(`Hidden post: ${reason}`);
-
-                // Update count
-                updateHiddenCount();
-
                 // Remove the event listener and the transition classes
                 postContainer.removeEventListener('transitionend', transitionEndHandler);
                 postContainer.classList.remove('cleanfeed-hide-transition', 'hide');
-
-                // Add a placeholder in debug mode
-                if (CONFIG.debug) {
-                    const placeholder = document.createElement('div');
-                    placeholder.style.cssText = `
-                        background: #e3f2fd;
-                        border: 1px solid #1976d2;
-                        padding: 8px 12px;
-                        margin: 8px 0;
-                        border-radius: 4px;
-                        color: #1976d2;
-                        font-size: 12px;
-                        text-align: center;
-                    `;
-                    placeholder.innerHTML = `🚫 Hidden: ${reason}`;
-                    placeholder.setAttribute('data-follow-placeholder', 'true');
-                    postContainer.parentNode?.insertBefore(placeholder, postContainer);
-                }
+                finishHide(postContainer, reason, category);
             };
             postContainer.addEventListener('transitionend', transitionEndHandler, { once: true });
         }, CONFIG.hideDelay); // Small delay before starting the fade
     }
 
+    // Function to mark a post as hidden, apply its hide style and log it
+    // Skipped when the posts were shown again (or the extension disabled) while the hide was pending
+    function finishHide(postContainer, reason, category) {
+        const postId = postContainer.getAttribute('data-cleanfeed-id');
+        if (!processedPosts.has(postId) || !isFiltering()) {
+            return;
+        }
+
+        markHidden(postContainer, reason, category);
+        debug(`Hidden post [${category}]: ${reason}`);
+
+        // Update count and log the post, once per post however often it is hidden
+        if (countedPosts.has(postId)) return;
+        countedPosts.add(postId);
+        updateHiddenCount(category, {
+            postId: postId,
+            reason: reason,
+            ...CleanFeedPostInfo.extractPostInfo(postContainer)
+        });
+    }
+
+    // Function to mark a node as showing a hidden post and apply the hide style,
+    // with the collapsed bar, label or debug placeholder
+    function markHidden(postContainer, reason, category) {
+        const postId = postContainer.getAttribute('data-cleanfeed-id');
+        postContainer.setAttribute('data-follow-hidden', 'true');
+        postContainer.setAttribute('data-follow-reason', category);
+        hiddenPosts.set(postId, postContainer);
+        hiddenReasons.set(postId, { reason: reason, category: category });
+        applyHideStyle(postContainer);
+    }
+
+    // Function to make a hidden post visible again
+    function unhidePost(postContainer) {
+        if (!postContainer || !postContainer.parentNode) return;
+
+        // Remove the 'hide' class and the transition class first
+        postContainer.classList.remove('hide');
+        postContainer.classList.remove('cleanfeed-hide-transition');
+        postContainer.style.display = ''; // Restore display
+        postContainer.removeAttribute('data-follow-hidden');
+        postContainer.removeAttribute('data-follow-reason');
+        postContainer.removeAttribute('data-cleanfeed-style');
+
+        // Remove the collapsed bar, label or debug placeholder in front of the post if it exists
+        updatePostMarker(postContainer);
+    }
+
+    // Function to show one hidden post from the log, scroll to it and highlight it
+    // The post stays in processedPosts so later scans leave it visible
+    function revealPost(postId) {
+        const postContainer = hiddenPosts.get(postId);
+        if (!postContainer || !postContainer.isConnected) {
+            return { success: false, error: 'The post is no longer on the page' };
+        }
+
+        unhidePost(postContainer);
+        hiddenPosts.delete(postId);
+        hiddenReasons.delete(postId);
+        postContainer.setAttribute('data-cleanfeed-revealed', 'true');
+        postContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        debug(`Revealed post ${postId}`);
+        return { success: true };
+    }
+
+    // Function to show every post hidden on the page until the next rescan
+    // The posts stay in processedPosts so later scans leave them visible, new posts are still filtered
+    function revealAllPosts() {
+        const revealed = Array.from(hiddenPosts.values()).filter(post => post.isConnected);
+        revealed.forEach(post => {
+            unhidePost(post);
+            post.setAttribute('data-cleanfeed-revealed', 'true');
+        });
+        hiddenPosts.clear();
+        hiddenReasons.clear();
+        debug(`Revealed ${revealed.length} hidden post(s)`);
+        return { success: true, count: revealed.length };
+    }
+
+    // Function to pause or resume filtering in this tab only, the synced on/off switch is left alone
+    async function setTabPaused(paused) {
+        if (paused === tabPaused) return;
+
+        tabPaused = paused;
+        debug(`Filtering ${paused ? 'paused' : 'resumed'} in this tab`);
+        if (paused) {
+            stopExtension();
+        } else {
+            await refreshExtensionState();
+        }
+    }
+
+    // Function to outline a post that would be hidden, with a badge naming the reason and what triggered it
+    // Audit mode is a dry run: nothing is hidden, counted or logged
+    function markAuditedPost(postContainer, verdict) {
+        if (!postContainer || processedPosts.has(getPostId(postContainer)) || !isFiltering()) {
+            return;
+        }
+
+        // Mark the post so later scans leave it alone, as for hidden posts
+        const postId = getPostId(postContainer);
+        processedPosts.add(postId);
+        postContainer.setAttribute('data-cleanfeed-id', postId);
+        postContainer.setAttribute('data-cleanfeed-audit', verdict.category);
+        (verdict.elements || []).forEach(element => element.setAttribute('data-cleanfeed-audit-trigger', 'true'));
+
+        const badge = document.createElement('div');
+        badge.className = 'cleanfeed-audit-badge';
+        badge.setAttribute('data-follow-placeholder', 'true');
+        const label = document.createElement('strong');
+        label.textContent = `Would hide · ${CleanFeedCategories.getReasonLabel(verdict.category)}`;
+        const reason = document.createElement('div');
+        reason.textContent = verdict.reason;
+        badge.append(label, reason);
+        if (verdict.trigger) {
+            const trigger = document.createElement('div');
+            trigger.textContent = `Triggered by: ${verdict.trigger}`;
+            badge.appendChild(trigger);
+        }
+        badge.title = `Detector: ${verdict.detector}, confidence ${verdict.confidence}`;
+        postContainer.insertBefore(badge, postContainer.firstChild);
+
+        debug(`Audit [${verdict.category}]: ${verdict.reason}`);
+    }
+
+    // Function to remove the audit outlines and badges
+    function clearAuditMarks() {
+        document.querySelectorAll('.cleanfeed-audit-badge').forEach(el => el.remove());
+        document.querySelectorAll('[data-cleanfeed-audit]').forEach(el => el.removeAttribute('data-cleanfeed-audit'));
+        document.querySelectorAll('[data-cleanfeed-audit-trigger]').forEach(el => el.removeAttribute('data-cleanfeed-audit-trigger'));
+    }
+
     // Function to show all hidden posts
     function showAllHiddenPosts() {
         debug('Showing all hidden posts...');
-        hiddenPosts.forEach(postContainer => {
-            if (postContainer && postContainer.parentNode) {
-                // Remove the 'hide' class and the transition class first
-                postContainer.classList.remove('hide');
-                postContainer.classList.remove('cleanfeed-hide-transition');
-                postContainer.style.display = ''; // Restore display
-                postContainer.removeAttribute('data-follow-hidden');
-
-                // Remove debug placeholder if it exists
-                const placeholder = postContainer.parentNode.querySelector('[data-follow-placeholder="true"]');
-                if (placeholder) {
-                    placeholder.remove();
-                }
-            }
-        });
+        hiddenPosts.forEach(post => unhidePost(post));
         hiddenPosts.clear();
-        // Create new WeakSet for processed posts to allow re-processing
-        processedPosts = new WeakSet();
+        hiddenReasons.clear();
+
+        // Undo whatever is left: posts caught mid-transition, and marks of posts no longer tracked
+        document.querySelectorAll('[data-follow-hidden], [data-cleanfeed-style], .cleanfeed-hide-transition').forEach(unhidePost);
+        document.querySelectorAll('[data-follow-placeholder="true"]').forEach(el => el.remove());
+        clearAuditMarks();
+        // Forget processed posts to allow re-processing, posts already counted are not counted again
+        processedPosts.clear();
+        checkedPosts = new WeakSet();
     }
 
     // Function to hide all previously found posts
@@ -295,66 +704,205 @@
         scanForFilteredPosts();
     }
 
-    // Main function to scan for posts with filtered buttons
-    function scanForFilteredPosts() {
-        if (!extensionEnabled || CONFIG.filterStrings.length === 0) {
-            debug('Extension disabled or no filter strings configured, skipping scan...');
-            return;
+    // Function to build the context passed to the detectors: the settings as the filtering profile changes them,
+    // with the filter rules and keywords of the current surface
+    function getClassifierContext() {
+        const config = {
+            ...CleanFeedSchedule.getProfileConfig(CONFIG, filteringProfile),
+            filterRules: CONFIG.filterRules.filter(entry => CleanFeedSurfaces.appliesTo(entry.rule, currentSurface)),
+            keywordRules: CONFIG.keywordRules.filter(entry => CleanFeedSurfaces.appliesTo(entry.keyword, currentSurface))
+        };
+        return { config: config, locale: activeLocale, debug: debug, reportError: reportError };
+    }
+
+    // Function to get the detector switches of the current surface: the global switches, then the filtering profile,
+    // then the overrides of the surface
+    function getDetectorFlags() {
+        const detectors = CleanFeedSchedule.getProfileDetectors(CONFIG.detectors, filteringProfile);
+        return CleanFeedSurfaces.getDetectorSettings(detectors, CONFIG.surfaceSettings, currentSurface);
+    }
+
+    // Function to check whether any detector is enabled and has something to look for
+    function hasActiveFilters() {
+        return CleanFeedClassifiers.getActiveDetectors(getClassifierContext(), getDetectorFlags()).length > 0;
+    }
+
+    // Function to classify one post and hide it if a detector returns a verdict, returns true when the post is hidden
+    function classifyPost(post, index) {
+        if (post.hasAttribute('data-follow-placeholder')) {
+            return false;
+        }
+        if (isRecycled(post)) {
+            releasePost(post);
+        }
+
+        const postId = getPostId(post);
+        if (processedPosts.has(postId) && !post.hasAttribute('data-cleanfeed-id')) {
+            // A new node for a post already handled: Facebook rendered it again, or another post links to the same story
+            const previous = hiddenPosts.get(postId);
+            if (!previous || !previous.isConnected) {
+                restoreHiddenPost(post, postId);
+                return false;
+            }
+            post.setAttribute('data-cleanfeed-id', getNodeId(post));
+        }
+
+        if (processedPosts.has(getPostId(post)) || checkedPosts.has(post)) {
+            return false;
+        }
+
+        const verdict = CleanFeedClassifiers.classify(post, getClassifierContext(), getDetectorFlags());
+
+        // Nothing matched, or a detector vouched for the post (allowlist) - skip it until its content changes
+        if (!verdict || verdict.keep) {
+            if (verdict) {
+                debug(`✅ Post ${index + 1} kept by ${verdict.detector}: ${verdict.reason}`);
+            }
+            checkedPosts.add(post);
+            return false;
         }
 
-        debug(`Scanning for posts with filtered buttons: [${CONFIG.filterStrings.join(', ')}]`);
+        debug(`📍 Post ${index + 1} matched ${verdict.detector} (confidence ${verdict.confidence})`);
+        handleMatch(post, verdict);
+        return true;
+    }
+
+    // Function to act on a post a detector matched: hide it, or only outline it in audit mode
+    function handleMatch(post, verdict) {
+        if (CONFIG.auditMode) {
+            markAuditedPost(post, verdict);
+        } else {
+            hidePost(post, verdict.reason, verdict.category);
+        }
+    }
+
+    // Function to scan the whole page with the legacy button walker (used when the feed root is not found)
+    function scanLegacyFallback() {
+        const context = getClassifierContext();
+        if (!CleanFeedClassifiers.getActiveDetectors(context, getDetectorFlags()).some(detector => detector.id === 'buttons')) {
+            return;
+        }
 
-        // Get all posts using the new method
-        const posts = getAllPosts();
+        debug('No posts found, trying fallback method...');
+        // Fallback to old method if new method fails
+        const feedContainer = CleanFeedSelectors.findFirst(document, CONFIG.selectorPack.fallbackRoots) || document.body;
+        const filteredButtons = CleanFeedDetectors.findFilteredButtons(feedContainer, context);
+        CleanFeedDiagnostics.recordFallback(health, filteredButtons.length);
         
-        if (posts.length === 0) {
-            debug('No posts found, trying fallback method...');
-            // Fallback to old method if new method fails
-            const feedContainer = document.querySelector('[role="main"], [role="feed"], #stream_pagelet') || document.body;
-            const filteredButtons = findFilteredButtons(feedContainer);
+        debug(`Fallback: Found ${filteredButtons.length} potential filtered buttons`);
+        
+        filteredButtons.forEach((buttonInfo, index) => {
+            debug(`Processing fallback button ${index + 1}: "${buttonInfo.text || buttonInfo.ariaLabel}"`);
             
-            debug(`Fallback: Found ${filteredButtons.length} potential filtered buttons`);
+            // For fallback, we need to find the post container
+            const postContainer = findPostContainerLegacy(buttonInfo.element);
             
-            filteredButtons.forEach((buttonInfo, index) => {
-                debug(`Processing fallback button ${index + 1}: "${buttonInfo.text || buttonInfo.ariaLabel}"`);
-                
-                // For fallback, we need to find the post container
-                const postContainer = findPostContainerLegacy(buttonInfo.element);
-                
-                if (postContainer && !processedPosts.has(postContainer)) {
-                    const reason = `Filtered button "${buttonInfo.text || buttonInfo.ariaLabel}"`;
-                    hidePost(postContainer, reason);
-                } else if (!postContainer) {
-                    debug(`❌ No container found for fallback button: "${buttonInfo.text || buttonInfo.ariaLabel}"`);
+            if (postContainer && !processedPosts.has(getPostId(postContainer))) {
+                // Run the detectors on the container so the allowlist still applies
+                const verdict = CleanFeedClassifiers.classify(postContainer, context, getDetectorFlags());
+                if (verdict && verdict.keep) {
+                    debug(`✅ Fallback post kept by ${verdict.detector}: ${verdict.reason}`);
+                    return;
                 }
-            });
+                handleMatch(postContainer, verdict || {
+                    reason: `Filtered button "${buttonInfo.text || buttonInfo.ariaLabel}"`,
+                    category: CleanFeedDetectors.getButtonCategory([buttonInfo]),
+                    confidence: 0.8,
+                    trigger: buttonInfo.text || buttonInfo.ariaLabel,
+                    elements: [buttonInfo.element],
+                    detector: 'buttons'
+                });
+            } else if (!postContainer) {
+                debug(`❌ No container found for fallback button: "${buttonInfo.text || buttonInfo.ariaLabel}"`);
+            }
+        });
+    }
+
+    // Main function to scan the whole feed for posts to hide
+    function scanForFilteredPosts() {
+        if (!isFiltering() || !hasActiveFilters()) {
+            debug('Extension disabled or no filters configured, skipping scan...');
             return;
         }
 
-        // Process each post individually
-        let foundFilteredPosts = 0;
-        
-        posts.forEach((post, index) => {
-            if (processedPosts.has(post)) {
-                debug(`⏭️ Post ${index + 1} already processed, skipping`);
+        debug(`Scanning for posts with detectors: ${CleanFeedClassifiers.getActiveDetectors(getClassifierContext(), getDetectorFlags()).map(d => d.id).join(', ')}`);
+        const started = performance.now();
+
+        try {
+            // Get all posts using the new method
+            const posts = getAllPosts();
+
+            if (posts.length === 0) {
+                scanLegacyFallback();
                 return;
             }
 
-            // Look for filtered buttons within this specific post
-            const filteredButtons = findFilteredButtons(post);
-            
-            if (filteredButtons.length > 0) {
-                foundFilteredPosts++;
-                debug(`📍 Post ${index + 1} contains ${filteredButtons.length} filtered button(s)`);
-                
-                // Hide this post since it contains filtered buttons
-                const buttonTexts = filteredButtons.map(b => b.text || b.ariaLabel).join(', ');
-                const reason = `Filtered buttons: ${buttonTexts}`;
-                hidePost(post, reason);
+            // Process each post individually
+            let foundFilteredPosts = 0;
+
+            posts.forEach((post, index) => {
+                if (classifyPost(post, index)) {
+                    foundFilteredPosts++;
+                }
+            });
+
+            debug(`Scan complete: Found ${foundFilteredPosts} posts with filtered buttons out of ${posts.length} total posts`);
+        } catch (error) {
+            reportError('Error scanning the feed', error);
+        } finally {
+            CleanFeedDiagnostics.recordScan(health, performance.now() - started);
+        }
+    }
+
+    // Function to schedule work for when the browser is idle
+    function requestIdle(callback) {
+        if (typeof window.requestIdleCallback === 'function') {
+            return window.requestIdleCallback(callback, { timeout: 1000 });
+        }
+        return setTimeout(() => callback({ didTimeout: true, timeRemaining: () => 0 }), 50);
+    }
+
+    // Function to cancel work scheduled with requestIdle
+    function cancelIdle(handle) {
+        if (typeof window.cancelIdleCallback === 'function') {
+            window.cancelIdleCallback(handle);
+        } else {
+            clearTimeout(handle);
+        }
+    }
+
+    // Function to add posts to the classification queue
+    function queuePosts(posts) {
+        posts.forEach(post => pendingPosts.add(post));
+        if (pendingPosts.size > 0 && !idleHandle) {
+            idleHandle = requestIdle(processQueue);
+        }
+    }
+
+    // Function to classify queued posts while the browser is idle, continuing in the next idle period
+    function processQueue(deadline) {
+        idleHandle = null;
+        if (!isFiltering()) {
+            pendingPosts.clear();
+            return;
+        }
+
+        let processed = 0;
+        for (const post of pendingPosts) {
+            const hasTime = deadline.timeRemaining() > 1 || (deadline.didTimeout && processed < FALLBACK_CHUNK_SIZE);
+            if (processed > 0 && !hasTime) break;
+
+            pendingPosts.delete(post);
+            processed++;
+            if (post.isConnected) {
+                classifyPost(post, Array.prototype.indexOf.call(post.parentElement.children, post));
             }
-        });
+        }
 
-        debug(`Scan complete: Found ${foundFilteredPosts} posts with filtered buttons out of ${posts.length} total posts`);
+        debug(`Classified ${processed} queued post(s), ${pendingPosts.size} remaining`);
+        if (pendingPosts.size > 0) {
+            idleHandle = requestIdle(processQueue);
+        }
     }
 
     // Legacy function to find the post container for a given element (fallback only)
@@ -365,6 +913,14 @@
 
         debug(`Looking for post container starting from element with text: "${(element.textContent || '').substring(0, 50)}"`);
 
+        // What a post looks like comes from the selector pack
+        const legacy = CONFIG.selectorPack.legacy;
+        const reliableSelector = legacy.postContainers.join(', ');
+        const isWrappedContainer = element => legacy.wrappedContainers.some(wrapper =>
+            element.matches(wrapper.selector) && element.querySelector(wrapper.contains)
+        );
+        const classPatterns = CleanFeedSelectors.getClassPatterns(CONFIG.selectorPack);
+
         // Walk up the DOM tree to find the post container
         while (current && current !== document.body && attempts < maxAttempts) {
             attempts++;
@@ -374,9 +930,8 @@
 
             // Primary, more reliable indicators for a Facebook post
             const isReliablePostContainer = (
-                current.getAttribute('role') === 'article' ||
-                (current.hasAttribute('data-pagelet') && current.getAttribute('data-pagelet').includes('FeedUnit')) ||
-                (current.hasAttribute('data-ft') && current.querySelector('[role="article"]'))
+                (reliableSelector && current.matches(reliableSelector)) ||
+                isWrappedContainer(current)
             );
 
             if (isReliablePostContainer) {
@@ -385,16 +940,13 @@
             }
 
             // Fallback to broader, but still somewhat specific patterns
-            const isPotentialPostContainer = (
-                classList.includes('userContentWrapper') ||
-                classList.includes('story_body_container') ||
-                (tagName === 'div' && classList.some(cls => cls.startsWith('x') && cls.length > 10)) // Newer Facebook classes (e.g., 'x1yztbdb', 'x1c4vsro')
-            );
+            // (e.g. 'userContentWrapper', or newer Facebook classes like 'x1yztbdb3c4v')
+            const isPotentialPostContainer = classList.some(cls => classPatterns.some(pattern => pattern.test(cls)));
 
             if (isPotentialPostContainer) {
                 const rect = current.getBoundingClientRect();
                 // Ensure it's reasonably sized to be a post, not just a small div
-                if (rect.height > 80 && rect.width > 300) {
+                if (rect.height > legacy.minPostSize.height && rect.width > legacy.minPostSize.width) {
                     debug(`✅ Potential container accepted! Size: ${Math.round(rect.width)}x${Math.round(rect.height)}`);
                     return current;
                 } else {
@@ -411,7 +963,7 @@
             if (!current || current === document.body) break;
 
             const rect = current.getBoundingClientRect();
-            if (current.tagName?.toLowerCase() === 'div' && rect.height > 100 && rect.width > 200) {
+            if (current.tagName?.toLowerCase() === 'div' && rect.height > legacy.minAncestorSize.height && rect.width > legacy.minAncestorSize.width) {
                 debug(`✅ FALLBACK container accepted (large div): ${Math.round(rect.width)}x${Math.round(rect.height)}`);
                 return current;
             }
@@ -422,33 +974,76 @@
         return null;
     }
 
-    // Enhanced mutation observer to catch dynamically loaded content
+    // Function to find the post (direct child of the feed container) that holds a node
+    function findPostForNode(node, container) {
+        let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        while (current && current.parentElement !== container) {
+            if (current === container) return null;
+            current = current.parentElement;
+        }
+        return current;
+    }
+
+    // Mutation observer limited to the feed container: queues only posts that were added or changed
     function startMutationObserver() {
         if (observer) {
             observer.disconnect();
+            observer = null;
         }
+        observedContainer = null;
 
-        observer = new MutationObserver((mutations) => {
-            if (!extensionEnabled) return;
+        const container = getPostsContainer();
+        if (!container) {
+            startFallbackObserver();
+            reportTabStatus();
+            return observer;
+        }
 
-            let shouldScan = false;
+        observer = new MutationObserver((mutations) => {
+            if (!isFiltering()) return;
 
+            const changedPosts = new Set();
             mutations.forEach((mutation) => {
-                if (mutation.addedNodes.length > 0) {
-                    // Check if any added nodes contain substantial content
+                if (mutation.target === container) {
+                    // New posts appended to the feed
                     mutation.addedNodes.forEach(node => {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            const text = node.textContent || '';
-                            if (text.length > 50) { // Substantial content added
-                                shouldScan = true;
-                            }
-                        }
+                        if (node.nodeType === Node.ELEMENT_NODE) changedPosts.add(node);
                     });
+                } else {
+                    // Content loaded into an existing post
+                    const post = findPostForNode(mutation.target, container);
+                    if (post) changedPosts.add(post);
                 }
             });
 
-            if (shouldScan) {
-                debug('DOM changed, debouncing scan...');
+            if (changedPosts.size > 0) {
+                // Changed posts must be classified again
+                changedPosts.forEach(post => checkedPosts.delete(post));
+                queuePosts(changedPosts);
+            }
+        });
+
+        observer.observe(container, {
+            childList: true,
+            subtree: true,
+            attributes: false,
+            characterData: false
+        });
+        observedContainer = container;
+        debug(`Observing the posts container of surface ${currentSurface}`);
+        reportTabStatus();
+
+        return observer;
+    }
+
+    // Fallback mutation observer used when the feed root cannot be found: debounced legacy scans
+    function startFallbackObserver() {
+        const fallbackRoot = CleanFeedSelectors.findFirst(document, CONFIG.selectorPack.fallbackRoots) || document.body;
+
+        observer = new MutationObserver((mutations) => {
+            if (!isFiltering()) return;
+
+            if (mutations.some(mutation => mutation.addedNodes.length > 0)) {
                 // Clear any existing timeout
                 if (scanTimeout) {
                     clearTimeout(scanTimeout);
@@ -457,18 +1052,38 @@
                 scanTimeout = setTimeout(() => {
                     scanForFilteredPosts();
                     scanTimeout = null; // Clear timeout ID after execution
-                }, 500); // Adjust debounce delay as needed (e.g., 500ms)
+                }, 500);
             }
         });
 
-        observer.observe(document.body, {
+        observer.observe(fallbackRoot, {
             childList: true,
             subtree: true,
             attributes: false,
             characterData: false
         });
+        debug('Posts container not found, observing the page with the legacy fallback');
+    }
 
-        return observer;
+    // Periodic check: re-attach the observer when Facebook replaced the feed container,
+    // and run the optional safety-net scan for anything the observer missed
+    function periodicCheck() {
+        if (!isFiltering()) return;
+
+        pruneDetachedPosts();
+
+        const container = getPostsContainer();
+        if (container !== observedContainer) {
+            debug('Feed container changed, re-attaching observer');
+            startMutationObserver();
+            if (container) {
+                queuePosts(Array.from(container.children));
+            }
+        }
+
+        if (CONFIG.safetyScan) {
+            scanForFilteredPosts();
+        }
     }
 
     // Function to restart scanning with new interval
@@ -480,10 +1095,29 @@
         }
 
         // Start new interval with updated config
-        if (extensionEnabled) {
-            debug(`Starting scan interval with ${CONFIG.checkInterval}ms interval`);
-            scanInterval = setInterval(scanForFilteredPosts, CONFIG.checkInterval);
+        if (isFiltering()) {
+            debug(`Starting periodic check with ${CONFIG.checkInterval}ms interval (safety scan ${CONFIG.safetyScan ? 'on' : 'off'})`);
+            scanInterval = setInterval(periodicCheck, CONFIG.checkInterval);
+        }
+    }
+
+    // Function to stop the observer and drop queued work
+    function stopObserving() {
+        if (observer) {
+            observer.disconnect();
+            observer = null;
+        }
+        observedContainer = null;
+
+        if (scanTimeout) {
+            clearTimeout(scanTimeout);
+            scanTimeout = null;
+        }
+        if (idleHandle) {
+            cancelIdle(idleHandle);
+            idleHandle = null;
         }
+        pendingPosts.clear();
     }
 
     // Function to start the extension
@@ -496,93 +1130,113 @@
         // Start mutation observer
         startMutationObserver();
 
-        // Start periodic scanning
+        // Start periodic checks
         restartScanning();
     }
 
-    // Function to stop the extension
-    function stopExtension() {
-        debug('Stopping extension...');
-
-        // Stop mutation observer
-        if (observer) {
-            observer.disconnect();
-            observer = null;
+    // Function to stop everything started for the current page: a pending start, the observer,
+    // queued work and the periodic check. Hidden posts stay hidden
+    function teardown() {
+        if (readyTimeout) {
+            clearTimeout(readyTimeout);
+            readyTimeout = null;
         }
 
+        // Stop mutation observer and queued work
+        stopObserving();
+
         // Stop periodic scanning
         if (scanInterval) {
             clearInterval(scanInterval);
             scanInterval = null;
         }
+    }
+
+    // Function to stop the extension
+    function stopExtension() {
+        debug('Stopping extension...');
+        teardown();
 
         // Show all hidden posts
         showAllHiddenPosts();
+        reportTabStatus();
     }
 
-    // Function to force refresh extension state
-    async function refreshExtensionState() {
-        debug('Refreshing extension state...');
+    // Function to start filtering the current route once its feed container is there, after a delay
+    // Anything started for the previous route is torn down first, so calling it again is safe
+    function activate(delay = 0) {
+        teardown();
 
-        // First, ensure we stop everything cleanly
-        if (observer) {
-            observer.disconnect();
-            observer = null;
+        const surface = CleanFeedSurfaces.getSurface(location.href);
+        if (surface !== currentSurface) {
+            // Posts that passed on the previous surface were checked with its detectors, rules and keywords
+            checkedPosts = new WeakSet();
+            currentSurface = surface;
         }
-
-        if (scanInterval) {
-            clearInterval(scanInterval);
-            scanInterval = null;
+        surfaceFiltered = CleanFeedSurfaces.isFiltered(currentSurface, CONFIG.surfaceSettings);
+        if (!isFiltering()) {
+            debug(`Not filtering this page (surface: ${currentSurface}, enabled: ${extensionEnabled}, paused: ${tabPaused})`);
+            reportTabStatus();
+            return;
         }
-        if (scanTimeout) { // Also clear the debounce timeout
-            clearTimeout(scanTimeout);
-            scanTimeout = null;
+
+        let attempts = 0;
+        const waitForReady = () => {
+            readyTimeout = null;
+            if (getPostsContainer() || CleanFeedSelectors.findFirst(document, CONFIG.selectorPack.readyRoots)) {
+                debug(`Feed container found on surface ${currentSurface}, starting...`);
+                startExtension();
+            } else if (++attempts < MAX_READY_ATTEMPTS) {
+                debug('Waiting for feed container...');
+                readyTimeout = setTimeout(waitForReady, READY_RETRY_MS);
+            } else {
+                debug('No feed container found, not filtering this page');
+                reportTabStatus();
+            }
+        };
+        if (delay > 0) {
+            readyTimeout = setTimeout(waitForReady, delay);
+        } else {
+            waitForReady();
         }
+    }
 
-        // Clear processed posts to allow re-processing (WeakSet doesn't have clear method)
-        // We'll create a new WeakSet reference instead
-        processedPosts = new WeakSet();
+    // Function to restart for a new route after Facebook's single-page navigation
+    function handleNavigation(url) {
+        debug(`Navigation detected to ${url}, restarting...`);
 
-        // Clear hidden posts set
-        hiddenPosts.clear();
-
-        // Reload settings from storage
-        await loadExtensionState();
+        // Let go of hidden posts Facebook removed with the previous page
+        pruneDetachedPosts();
+        activate(NAVIGATION_SETTLE_MS);
+    }
 
-        if (extensionEnabled) {
-            debug('Extension enabled after refresh - starting fresh scan');
+    // Function to force refresh extension state
+    async function refreshExtensionState() {
+        debug('Refreshing extension state...');
 
-            // Remove any existing hidden attributes to start fresh
-            document.querySelectorAll('[data-follow-hidden="true"]').forEach(el => {
-                el.style.display = '';
-                el.removeAttribute('data-follow-hidden');
-            });
+        // First, ensure we stop everything cleanly
+        teardown();
 
-            // Remove any transition classes that might be stuck
-            document.querySelectorAll('.cleanfeed-hide-transition, .hide').forEach(el => {
-                el.classList.remove('cleanfeed-hide-transition', 'hide');
-                el.style.cssText = ''; // Clear any inline styles that might interfere
-            });
+        // Undo every hide style and clear processed posts to allow re-processing
+        showAllHiddenPosts();
 
-            // Remove debug placeholders
-            document.querySelectorAll('[data-follow-placeholder="true"]').forEach(el => {
-                el.remove();
-            });
+        // Reload settings from storage
+        await loadExtensionState();
 
-            // Give DOM a moment to settle, then start fresh
-            setTimeout(() => {
-                debug('Starting fresh extension after state refresh');
-                startExtension();
-            }, 200);
-        }
+        // Give DOM a moment to settle, then start fresh
+        activate(200);
     }
 
     // Function to inject CSS into the page
     function injectCSS() {
+        if (document.getElementById(STYLE_ID)) return;
+
         const style = document.createElement('style');
+        style.id = STYLE_ID;
         style.textContent = `
-            /* Ensure hidden posts are completely removed from layout */
-            [data-follow-hidden="true"] {
+            /* Ensure removed and collapsed posts are completely removed from layout */
+            [data-follow-hidden="true"][data-cleanfeed-style="remove"],
+            [data-follow-hidden="true"][data-cleanfeed-style="collapse"] {
                 display: none !important;
                 visibility: hidden !important;
                 height: 0 !important;
@@ -608,10 +1262,77 @@
                 padding-top: 0 !important;
                 padding-bottom: 0 !important;
             }
+
+            /* Audit mode: outline the posts that would be hidden and what triggered them */
+            [data-cleanfeed-audit] {
+                position: relative;
+                outline: 3px dashed #e4a11b;
+                outline-offset: -3px;
+            }
+
+            [data-cleanfeed-audit-trigger] {
+                outline: 2px solid #e41e3f;
+                outline-offset: 1px;
+            }
+
+            .cleanfeed-audit-badge {
+                position: absolute;
+                top: 8px;
+                right: 8px;
+                z-index: 10;
+                max-width: 60%;
+                padding: 6px 10px;
+                border-radius: 6px;
+                background: rgba(228, 161, 27, 0.95);
+                color: #1c1e21;
+                font-size: 12px;
+                line-height: 1.4;
+            }
+
+            /* Blurred and dimmed posts stay in place */
+            [data-follow-hidden="true"][data-cleanfeed-style="blur"] {
+                filter: blur(8px);
+                transition: filter 0.2s ease-out;
+            }
+
+            [data-follow-hidden="true"][data-cleanfeed-style="blur"]:hover {
+                filter: none;
+            }
+
+            [data-follow-hidden="true"][data-cleanfeed-style="dim"] {
+                opacity: 0.35;
+                transition: opacity 0.2s ease-out;
+            }
+
+            [data-follow-hidden="true"][data-cleanfeed-style="dim"]:hover {
+                opacity: 0.8;
+            }
         `;
         document.head.appendChild(style);
     }
 
+    // Follow the sources added from the posts of other Facebook tabs ("Always allow this source", "Hide similar"),
+    // which only write them to storage
+    if (browserAPI.storage && browserAPI.storage.onChanged) {
+        browserAPI.storage.onChanged.addListener((changes, namespace) => {
+            if (namespace !== 'sync') return;
+
+            if (changes.allowlist) {
+                CONFIG.allowlist = CleanFeedSources.compileList(changes.allowlist.newValue);
+                debug(`Allowlist changed: ${CONFIG.allowlist.length} entries`);
+                revealAllowedPosts();
+            }
+            if (changes.blocklist) {
+                CONFIG.blocklist = CleanFeedSources.compileList(changes.blocklist.newValue);
+                debug(`Blocklist changed: ${CONFIG.blocklist.length} entries`);
+
+                // Posts from the new sources that passed the filters must be checked again
+                checkedPosts = new WeakSet();
+                if (isFiltering()) scanForFilteredPosts();
+            }
+        });
+    }
+
     // Listen for messages from popup and options page
     if (browserAPI.runtime && browserAPI.runtime.onMessage) {
         browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -639,6 +1360,18 @@
                 return true; // Keep message channel open
             }
 
+            if (message.type === 'SET_FILTERING_PROFILE') {
+                if (message.profile !== filteringProfile) {
+                    // Another time window started: filter the page from scratch with its detectors and hide style
+                    debug(`Filtering profile changed from ${filteringProfile} to ${message.profile}, restarting...`);
+                    filteringProfile = CleanFeedSchedule.getProfile(message.profile).id;
+                    showAllHiddenPosts();
+                    activate();
+                }
+                sendResponse({ success: true, profile: filteringProfile });
+                return true;
+            }
+
             if (message.type === 'SETTINGS_UPDATED') {
                 debug('Settings updated:', message.settings);
 
@@ -658,17 +1391,145 @@
                     debug(`Updated debug mode to ${CONFIG.debug}`);
                 }
 
-                // Filter strings are now hardcoded - no need to update them
+                if (message.settings.auditMode !== undefined && message.settings.auditMode !== CONFIG.auditMode) {
+                    CONFIG.auditMode = message.settings.auditMode;
+                    // Undo the hidden posts or the outlines so every post is classified again in the new mode
+                    showAllHiddenPosts();
+                    debug(`Updated audit mode to ${CONFIG.auditMode}`);
+                }
+
+                if (message.settings.safetyScan !== undefined) {
+                    CONFIG.safetyScan = message.settings.safetyScan;
+                    debug(`Updated safety scan to ${CONFIG.safetyScan}`);
+                }
+
+                if (message.settings.hideSponsored !== undefined) {
+                    CONFIG.hideSponsored = message.settings.hideSponsored;
+                    debug(`Updated hide sponsored to ${CONFIG.hideSponsored}`);
+                }
+
+                if (message.settings.hideCategories !== undefined) {
+                    CONFIG.hideCategories = CleanFeedCategories.normalizeSettings(message.settings.hideCategories);
+                    debug(`Updated categories: ${JSON.stringify(CONFIG.hideCategories)}`);
+                }
+
+                if (message.settings.allowlist !== undefined) {
+                    CONFIG.allowlist = CleanFeedSources.compileList(message.settings.allowlist);
+                    debug(`Updated allowlist: ${CONFIG.allowlist.length} entries`);
+                }
+
+                if (message.settings.blocklist !== undefined) {
+                    CONFIG.blocklist = CleanFeedSources.compileList(message.settings.blocklist);
+                    debug(`Updated blocklist: ${CONFIG.blocklist.length} entries`);
+                }
+
+                if (message.settings.keywordRules !== undefined) {
+                    CONFIG.keywordRules = CleanFeedKeywords.compileKeywords(message.settings.keywordRules);
+                    debug(`Updated keyword rules: ${CONFIG.keywordRules.length} active`);
+                }
+
+                if (message.settings.locale !== undefined) {
+                    CONFIG.locale = message.settings.locale;
+                }
+
+                if (message.settings.hideStyle !== undefined || message.settings.reasonHideStyles !== undefined) {
+                    if (message.settings.hideStyle !== undefined) {
+                        CONFIG.hideStyle = CleanFeedHideStyles.normalizeStyle(message.settings.hideStyle);
+                    }
+                    if (message.settings.reasonHideStyles !== undefined) {
+                        CONFIG.reasonHideStyles = CleanFeedHideStyles.normalizeReasonStyles(message.settings.reasonHideStyles);
+                    }
+                    hiddenPosts.forEach(post => applyHideStyle(post));
+                    debug(`Updated hide style to ${CONFIG.hideStyle}`);
+                }
+
+                if (message.settings.detectors !== undefined) {
+                    CONFIG.detectors = CleanFeedClassifiers.normalizeSettings(message.settings.detectors);
+                    debug(`Updated detectors: ${JSON.stringify(CONFIG.detectors)}`);
+                }
+
+                if (message.settings.filterRules !== undefined) {
+                    storedFilterRules = message.settings.filterRules;
+                }
+
+                if (message.settings.locale !== undefined || message.settings.filterRules !== undefined) {
+                    applyLocale();
+                    debug(`Updated filter rules: ${CONFIG.filterRules.length} active rule(s)`);
+                }
+
+                if (message.settings.selectorPack !== undefined) {
+                    // A pack was imported or the built-in pack restored: look for the posts from scratch
+                    CONFIG.selectorPack = CleanFeedSelectors.resolvePack(message.settings.selectorPack);
+                    selectorPackFallback = false;
+                    debug(`Updated selector pack: ${CleanFeedSelectors.describePack(CONFIG.selectorPack)}`);
+                    showAllHiddenPosts();
+                    activate();
+                    sendResponse({ success: true });
+                    return true;
+                }
+
+                if (message.settings.surfaceSettings !== undefined) {
+                    const previous = JSON.stringify(CONFIG.surfaceSettings[currentSurface]);
+                    CONFIG.surfaceSettings = CleanFeedSurfaces.normalizeSettings(message.settings.surfaceSettings);
+
+                    // The current surface was turned on or off, or got other detectors: filter the page from scratch
+                    if (JSON.stringify(CONFIG.surfaceSettings[currentSurface]) !== previous) {
+                        debug(`Updated settings of surface ${currentSurface}, restarting...`);
+                        showAllHiddenPosts();
+                        activate();
+                        sendResponse({ success: true });
+                        return true;
+                    }
+                }
+
+                // Posts that passed the old filters must be checked again
+                checkedPosts = new WeakSet();
 
                 // Restart scanning with new settings if enabled
-                if (extensionEnabled) {
+                if (isFiltering()) {
                     restartScanning();
+                    scanForFilteredPosts();
                 }
 
                 sendResponse({ success: true });
                 return true;
             }
 
+            if (message.type === 'REVEAL_POST') {
+                sendResponse(revealPost(message.postId));
+                return true;
+            }
+
+            if (message.type === 'REVEAL_ALL') {
+                sendResponse(revealAllPosts());
+                return true;
+            }
+
+            if (message.type === 'PAUSE_TAB') {
+                setTabPaused(message.paused).then(() => {
+                    sendResponse({ success: true, status: getTabStatus() });
+                });
+                return true;
+            }
+
+            if (message.type === 'GET_TAB_STATUS') {
+                pruneDetachedPosts();
+                sendResponse({
+                    status: getTabStatus(),
+                    surface: currentSurface,
+                    hiddenOnPage: hiddenPosts.size,
+                    tabCount: hiddenPostsCount,
+                    selectorPack: CleanFeedSelectors.describePack(CONFIG.selectorPack),
+                    selectorPackFallback: selectorPackFallback
+                });
+                return true;
+            }
+
+            if (message.type === 'GET_DIAGNOSTICS') {
+                sendResponse(getDiagnostics(message.includeSkeleton));
+                return true;
+            }
+
             // Add a new message type for manual refresh
             if (message.type === 'REFRESH_STATE') {
                 debug('Manual refresh requested');
@@ -680,8 +1541,10 @@
         });
     }
 
-    // Initialize the extension
+    // Initialize the extension, once per page: later route changes go through handleNavigation
     async function initialize() {
+        if (initialized) return;
+        initialized = true;
         debug('CleanFeedFB initializing...');
 
         // Inject the CSS styles
@@ -690,25 +1553,8 @@
         // Load state and settings from storage
         await loadExtensionState();
 
-        // Wait for page to be somewhat ready - look for the News Feed header
-        const waitForReady = () => {
-            const newsFeedRoot = findNewsFeedRoot();
-            if (newsFeedRoot || document.querySelector('[role="main"], [role="feed"]')) {
-                debug('Feed container found, starting...');
-
-                if (extensionEnabled) {
-                    startExtension();
-                } else {
-                    debug('Extension is disabled, not starting');
-                }
-
-            } else {
-                debug('Waiting for feed container...');
-                setTimeout(waitForReady, 1000);
-            }
-        };
-
-        waitForReady();
+        CleanFeedLifecycle.watchNavigation(handleNavigation);
+        activate();
     }
 
     // Start when DOM is ready
@@ -718,16 +1564,4 @@
         initialize();
     }
 
-    // Handle SPA navigation
-    let lastUrl = location.href;
-    new MutationObserver(() => {
-        const url = location.href;
-        if (url !== lastUrl) {
-            lastUrl = url;
-            debug('Navigation detected, reinitializing...');
-            // Debounce the reinitialization slightly to avoid issues on rapid navigation
-            setTimeout(initialize, 1000);
-        }
-    }).observe(document, { subtree: true, childList: true });
-
 })();
\ No newline at end of file
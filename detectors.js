@@ -0,0 +1,172 @@
+// CleanFeedFB - Built-in detectors
+// Each filter of the extension is a detector registered with CleanFeedClassifiers, in the order they run:
+// allowlist/blocklist, Follow/Join buttons, Sponsored label, content categories, keywords
+const CleanFeedDetectors = (function() {
+    'use strict';
+
+    // Function to log through the content script, if it passed a logger
+    function log(context, message) {
+        if (context.debug) context.debug(message);
+    }
+
+    // Function to find all clickable elements whose text or aria-label matches a filter rule
+    // Returns [{ element, text, ariaLabel, rule, field }]
+    function findFilteredButtons(container, context) {
+        const rules = context.config.filterRules;
+        if (!container || rules.length === 0) return [];
+
+        const buttons = [];
+
+        // Get all potentially clickable elements in a single pass, the selector pack says which elements may be buttons
+        container.querySelectorAll(CleanFeedSelectors.getClickableSelector(context.config.selectorPack)).forEach(el => {
+            const text = (el.innerText || el.textContent || '').trim();
+            const ariaLabel = el.getAttribute('aria-label') || '';
+
+            // Check if this element contains any filtered text
+            const textRule = text ? CleanFeedRules.findMatchingRule(rules, text, 'text') : null;
+            const rule = textRule || (ariaLabel ? CleanFeedRules.findMatchingRule(rules, ariaLabel, 'aria') : null);
+            if (rule) {
+                log(context, `Found button candidate: text="${text}", aria-label="${ariaLabel}", rule=${CleanFeedRules.describeRule(rule)}`);
+                buttons.push({
+                    element: el,
+                    text: text,
+                    ariaLabel: ariaLabel,
+                    rule: rule,
+                    field: textRule ? 'text' : 'aria'
+                });
+            }
+        });
+
+        return buttons;
+    }
+
+    // Function to get the hide reason category for a set of filtered buttons
+    function getButtonCategory(filteredButtons) {
+        const rule = filteredButtons[0].rule;
+        return (rule && rule.term) || 'custom';
+    }
+
+    // Allowlist and blocklist: the allowlist keeps a post visible whatever the other detectors say
+    CleanFeedClassifiers.register({
+        id: 'sources',
+        label: 'Allowlist and blocklist',
+        description: 'Keep posts from allowlisted authors and pages, hide posts from blocklisted ones',
+        order: 10,
+        isActive: context => context.config.allowlist.length > 0 || context.config.blocklist.length > 0,
+        detect: (post, context) => {
+            const author = CleanFeedSources.extractAuthor(post);
+            if (!author) return null;
+
+            const allowed = CleanFeedSources.findMatch(context.config.allowlist, author);
+            if (allowed) {
+                log(context, `Author "${author.name}" is allowlisted ("${allowed}")`);
+                return { keep: true, reason: `Allowlisted source "${author.name || author.url}" (${allowed})`, confidence: 1 };
+            }
+
+            const blocked = CleanFeedSources.findMatch(context.config.blocklist, author);
+            if (blocked) {
+                return {
+                    reason: `Blocked source "${author.name || author.url}" (${blocked})`,
+                    category: 'blocklist',
+                    confidence: 1,
+                    trigger: blocked
+                };
+            }
+
+            return null;
+        }
+    });
+
+    // Follow/Join buttons and custom button rules
+    CleanFeedClassifiers.register({
+        id: 'buttons',
+        label: 'Follow/Join buttons',
+        description: 'Hide posts with a button matching the filter rules',
+        order: 20,
+        isActive: context => context.config.filterRules.length > 0,
+        detect: (post, context) => {
+            const filteredButtons = findFilteredButtons(post, context);
+            if (filteredButtons.length === 0) return null;
+
+            const buttonTexts = filteredButtons.map(b => b.text || b.ariaLabel).join(', ');
+            return {
+                reason: `Filtered buttons: ${buttonTexts}`,
+                category: getButtonCategory(filteredButtons),
+                // A visible button text is stronger evidence than an accessibility label
+                confidence: filteredButtons.some(b => b.field === 'text') ? 0.9 : 0.8,
+                trigger: buttonTexts,
+                elements: filteredButtons.map(b => b.element)
+            };
+        }
+    });
+
+    // Sponsored label
+    CleanFeedClassifiers.register({
+        id: 'sponsored',
+        label: 'Sponsored posts',
+        description: 'Hide posts carrying the Sponsored label, when enabled in the settings',
+        order: 30,
+        isActive: context => context.config.hideSponsored,
+        detect: (post, context) => {
+            const match = CleanFeedSponsored.detectSponsored(post, CleanFeedLocales.getTermTexts(context.locale, 'sponsored'));
+            if (!match) return null;
+
+            log(context, `Found sponsored label "${match.label}"`);
+            return {
+                reason: `Sponsored post ("${match.label}")`,
+                category: 'sponsored',
+                confidence: 0.9,
+                trigger: match.label,
+                elements: [match.element]
+            };
+        }
+    });
+
+    // Reels, Stories and other feed unit categories
+    CleanFeedClassifiers.register({
+        id: 'categories',
+        label: 'Content categories',
+        description: 'Hide the feed units selected under Hide Content Categories',
+        order: 40,
+        isActive: context => Object.values(context.config.hideCategories).some(Boolean),
+        detect: (post, context) => {
+            const match = CleanFeedCategories.detectPostCategory(post, context.config.hideCategories, context.locale);
+            if (!match) return null;
+
+            log(context, `Found ${match.label} unit (${match.evidence})`);
+            return {
+                reason: `${match.label} (${match.evidence})`,
+                category: match.category,
+                // A unit title is explicit, a count of links is a structural guess
+                confidence: match.matchedBy === 'title' ? 0.9 : 0.7,
+                trigger: match.evidence
+            };
+        }
+    });
+
+    // Keywords in the post body text
+    CleanFeedClassifiers.register({
+        id: 'keywords',
+        label: 'Keywords',
+        description: 'Hide posts whose text matches a keyword rule',
+        order: 50,
+        isActive: context => context.config.keywordRules.length > 0,
+        detect: (post, context) => {
+            const match = CleanFeedKeywords.findKeywordMatch(context.config.keywordRules, CleanFeedKeywords.getPostText(post));
+            if (!match) return null;
+
+            log(context, `Found keyword ${match.keyword.matchType}:"${match.keyword.pattern}" in text "${match.matchedText}"`);
+            return {
+                reason: `Keyword "${match.keyword.pattern}" (matched "${match.matchedText}")`,
+                category: 'keyword',
+                confidence: 1,
+                trigger: match.matchedText
+            };
+        }
+    });
+
+    return {
+        findFilteredButtons,
+        getButtonCategory
+    };
+})();
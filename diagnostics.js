@@ -0,0 +1,253 @@
+// CleanFeedFB - Diagnostics: health of the filtering in a tab, and a redacted report bundle to attach to issues
+// The content script keeps the health counters and draws the DOM skeleton of the feed, the options page shows
+// them and builds the report. Nothing personal leaves the page: text, names, labels and profile IDs are removed.
+const CleanFeedDiagnostics = (function() {
+    'use strict';
+
+    // Identifier of report files
+    const FORMAT = 'cleanfeedfb-diagnostics';
+
+    // Errors kept per tab, older ones are dropped
+    const MAX_ERRORS = 10;
+
+    // Elements written to the skeleton at most, the rest of the feed is left out
+    const MAX_SKELETON_ELEMENTS = 3000;
+
+    // Elements left out of the skeleton with their content
+    const SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'iframe', 'template', 'link', 'meta'];
+
+    // Elements written without their content (icons, media)
+    const EMPTY_ELEMENTS = ['svg', 'img', 'video', 'canvas', 'picture'];
+
+    // Attributes kept as they are, the selectors and detectors look at them, and the hide markers of CleanFeedFB
+    const KEPT_ATTRIBUTES = [
+        'class', 'id', 'role', 'tabindex', 'dir', 'hidden', 'aria-hidden',
+        'data-pagelet', 'data-testid', 'data-ad-preview', 'data-ad-comet-preview', 'data-ad-rendering-role',
+        'data-follow-hidden', 'data-cleanfeed-style'
+    ];
+
+    // Attributes whose value may hold text, names or story IDs: kept, with the value removed
+    // The other CleanFeedFB markers hold hide reasons, which may quote a keyword
+    const REDACTED_ATTRIBUTES = ['aria-label', 'aria-labelledby', 'title', 'alt'];
+    const REDACTED_PREFIXES = ['data-cleanfeed', 'data-follow'];
+
+    // Link paths whose first segments describe the unit type and are kept as they are (see tests/anonymize-snapshot.js)
+    const STRUCTURAL_PATHS = ['groups', 'reel', 'stories', 'ads', 'friends', 'onthisday', 'memories', 'watch', 'events', 'marketplace', 'hashtag', 'photo', 'posts', 'videos', 'permalink'];
+
+    // Settings that list the user's own topics and sources: the report only counts their entries
+    // Filter rules are listed too, only the built-in ones with a language term instead of a pattern are kept
+    const PERSONAL_SETTINGS = ['allowlist', 'blocklist', 'keywordRules', 'filterRules'];
+
+    // Function to create the health counters of a tab
+    function createHealth() {
+        return {
+            scans: 0,
+            lastScanMs: null,
+            lastScanAt: null,
+            legacyFallbackRuns: 0,
+            legacyFallbackButtons: 0,
+            lastFallbackAt: null,
+            errors: []
+        };
+    }
+
+    // Function to record a finished scan of the feed
+    function recordScan(health, durationMs) {
+        health.scans++;
+        health.lastScanMs = Math.round(durationMs * 10) / 10;
+        health.lastScanAt = Date.now();
+    }
+
+    // Function to record a run of the legacy fallback walker and the buttons it found
+    function recordFallback(health, buttonCount) {
+        health.legacyFallbackRuns++;
+        health.legacyFallbackButtons = buttonCount;
+        health.lastFallbackAt = Date.now();
+    }
+
+    // Function to record an error, keeping the most recent ones
+    function recordError(health, context, error) {
+        health.errors.push({
+            time: Date.now(),
+            context: context,
+            message: error && error.message ? error.message : String(error)
+        });
+        if (health.errors.length > MAX_ERRORS) {
+            health.errors.splice(0, health.errors.length - MAX_ERRORS);
+        }
+    }
+
+    // Function to redact a link: the host and the structural path segments are kept, names become "name"
+    // and numbers "0", the query is dropped
+    function redactUrl(href) {
+        let url;
+        try {
+            url = new URL(href, 'https://www.facebook.com/');
+        } catch (error) {
+            return '#';
+        }
+
+        const segments = url.pathname.split('/').filter(Boolean).map((segment, index) => {
+            if (/^\d+$/.test(segment)) return '0';
+            if (STRUCTURAL_PATHS.includes(segment) || segment.endsWith('.php')) return segment;
+            if (index > 0 && /^pfbid/.test(segment)) return 'pfbid';
+            return 'name';
+        });
+        const host = url.hostname.endsWith('facebook.com') ? url.hostname : 'example.com';
+        return `https://${host}/${segments.join('/')}`;
+    }
+
+    // Function to escape an attribute value for the skeleton markup
+    function escapeAttribute(value) {
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    // Function to write the kept attributes of an element
+    function writeAttributes(element) {
+        let markup = '';
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name;
+            let value;
+            if (KEPT_ATTRIBUTES.includes(name)) {
+                value = attribute.value;
+            } else if (REDACTED_ATTRIBUTES.includes(name) || REDACTED_PREFIXES.some(prefix => name.startsWith(prefix))) {
+                value = '';
+            } else if (name === 'href') {
+                value = redactUrl(attribute.value);
+            } else if (name === 'style') {
+                // Inline styles matter to the clickable selectors, images in them may show people
+                value = attribute.value.replace(/url\([^)]*\)/g, 'url()');
+            } else {
+                return;
+            }
+            markup += ` ${name}="${escapeAttribute(value)}"`;
+        });
+        return markup;
+    }
+
+    // Function to draw the redacted markup of an element and everything in it: elements and the attributes the
+    // selectors need, without any text. Returns { html, elements, truncated }
+    function buildSkeleton(root) {
+        const parts = [];
+        let count = 0;
+        let truncated = false;
+
+        const visit = (element, depth) => {
+            const tag = element.tagName.toLowerCase();
+            if (SKIPPED_ELEMENTS.includes(tag)) return;
+            if (count >= MAX_SKELETON_ELEMENTS) {
+                truncated = true;
+                return;
+            }
+
+            count++;
+            const indent = '  '.repeat(depth);
+            const children = EMPTY_ELEMENTS.includes(tag) ? [] : Array.from(element.children);
+            const open = `${indent}<${tag}${writeAttributes(element)}>`;
+            if (children.length === 0) {
+                parts.push(`${open}</${tag}>`);
+                return;
+            }
+
+            parts.push(open);
+            children.forEach(child => visit(child, depth + 1));
+            parts.push(`${indent}</${tag}>`);
+        };
+
+        if (root) visit(root, 0);
+        if (truncated) {
+            parts.push(`<!-- truncated after ${MAX_SKELETON_ELEMENTS} elements -->`);
+        }
+        return { html: parts.join('\n'), elements: count, truncated: truncated };
+    }
+
+    // Function to copy the settings for a report, with the personal lists replaced by their number of entries
+    function redactSettings(settings) {
+        const redacted = {};
+        Object.keys(settings || {}).forEach(key => {
+            const list = Array.isArray(settings[key]) ? settings[key] : [];
+            if (key === 'filterRules') {
+                const builtIn = list.filter(rule => rule && rule.term);
+                redacted[key] = { builtIn: builtIn, custom: list.length - builtIn.length };
+            } else if (PERSONAL_SETTINGS.includes(key)) {
+                redacted[key] = { entries: list.length };
+            } else {
+                redacted[key] = settings[key];
+            }
+        });
+        return redacted;
+    }
+
+    // Function to build the report bundle from the diagnostics of a tab
+    function createReport(diagnostics, settings, extensionVersion, userAgent) {
+        return {
+            format: FORMAT,
+            createdAt: new Date().toISOString(),
+            extensionVersion: extensionVersion,
+            userAgent: userAgent,
+            diagnostics: diagnostics,
+            settings: redactSettings(settings)
+        };
+    }
+
+    // Function to format a time for the diagnostics view
+    function formatTime(time) {
+        return time ? new Date(time).toLocaleTimeString() : 'never';
+    }
+
+    // Function to describe the diagnostics of a tab as rows { label, value, problem }, problem rows explain
+    // why filtering may not work
+    function describe(diagnostics) {
+        const surface = CleanFeedSurfaces.getAdapter(diagnostics.surface);
+        return [
+            { label: 'Tab status', value: diagnostics.status, problem: diagnostics.status === 'error' || diagnostics.status === 'no-feed' },
+            { label: 'Page', value: surface ? surface.label : 'No feed on this page', problem: false },
+            { label: 'Language', value: diagnostics.locale, problem: false },
+            {
+                label: 'Selector pack',
+                value: diagnostics.selectorPack + (diagnostics.selectorPackFallback ? ', the imported pack found no posts' : ''),
+                problem: diagnostics.selectorPackFallback
+            },
+            { label: 'Posts container found', value: diagnostics.feedRootFound ? 'yes' : 'no', problem: !!surface && !diagnostics.feedRootFound },
+            { label: 'Posts in the container', value: String(diagnostics.postsFound), problem: diagnostics.feedRootFound && diagnostics.postsFound === 0 },
+            {
+                label: 'Legacy fallback',
+                value: diagnostics.legacyFallbackRuns > 0
+                    ? `ran ${diagnostics.legacyFallbackRuns} time(s), last at ${formatTime(diagnostics.lastFallbackAt)} with ${diagnostics.legacyFallbackButtons} button(s) found`
+                    : 'not used',
+                problem: diagnostics.legacyFallbackRuns > 0
+            },
+            {
+                label: 'Last scan',
+                value: diagnostics.lastScanMs !== null
+                    ? `${diagnostics.lastScanMs} ms at ${formatTime(diagnostics.lastScanAt)} (${diagnostics.scans} scan(s))`
+                    : 'no scan yet',
+                problem: false
+            },
+            { label: 'Active detectors', value: diagnostics.activeDetectors.join(', ') || 'none', problem: diagnostics.activeDetectors.length === 0 },
+            { label: 'Hidden on this page', value: String(diagnostics.hiddenOnPage), problem: false },
+            {
+                label: 'Recent errors',
+                value: diagnostics.errors.length > 0
+                    ? diagnostics.errors.map(error => `${formatTime(error.time)} ${error.context}: ${error.message}`).join('\n')
+                    : 'none',
+                problem: diagnostics.errors.length > 0
+            }
+        ];
+    }
+
+    return {
+        FORMAT,
+        MAX_ERRORS,
+        MAX_SKELETON_ELEMENTS,
+        createHealth,
+        recordScan,
+        recordFallback,
+        recordError,
+        redactUrl,
+        buildSkeleton,
+        redactSettings,
+        createReport,
+        describe
+    };
+})();
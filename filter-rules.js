@@ -0,0 +1,183 @@
+// CleanFeedFB - Filter rules shared by the content script and the options page
+// A rule describes which button texts mark a post for hiding
+// Rules either carry their own pattern or reference a locale term (see locales.js)
+// A rule is used on every page, or on one page only (see surfaces.js)
+const CleanFeedRules = (function() {
+    'use strict';
+
+    // Supported match types
+    // - exact:  the whole text equals the pattern
+    // - prefix: the text begins with the pattern as whole word(s) ("follow" matches "Follow Page", not "Following")
+    // - word:   the pattern appears anywhere in the text as whole word(s)
+    // - regex:  the pattern is a case-insensitive regular expression
+    const MATCH_TYPES = ['exact', 'prefix', 'word', 'regex'];
+
+    // Supported targets: visible text, aria-label, or both
+    const TARGETS = ['text', 'aria', 'both'];
+
+    // Default rules, matching the Follow/Join texts of the active language
+    const DEFAULT_RULES = [
+        { id: 'default-follow', term: 'follow', pattern: '', matchType: 'prefix', target: 'both', enabled: true },
+        { id: 'default-join', term: 'join', pattern: '', matchType: 'prefix', target: 'both', enabled: true }
+    ];
+
+    // Function to create a unique rule ID
+    function createRuleId() {
+        return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Function to escape a string for use inside a regular expression
+    function escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Function to normalize text before comparing it against a rule
+    function normalizeText(text) {
+        return (text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Function to check a single rule for problems, returns an error message or null
+    function validateRule(rule) {
+        if (!rule) {
+            return 'Rule is missing';
+        }
+        if (rule.term) {
+            if (!CleanFeedLocales.TERM_LABELS[rule.term]) {
+                return `Unknown language term "${rule.term}"`;
+            }
+        } else if (typeof rule.pattern !== 'string' || rule.pattern.trim() === '') {
+            return 'Pattern cannot be empty';
+        }
+        if (!MATCH_TYPES.includes(rule.matchType)) {
+            return `Unknown match type "${rule.matchType}"`;
+        }
+        if (!TARGETS.includes(rule.target)) {
+            return `Unknown target "${rule.target}"`;
+        }
+        const scopeError = CleanFeedSurfaces.validateScope(rule.surface);
+        if (scopeError) {
+            return scopeError;
+        }
+        if (rule.matchType === 'regex' && !rule.term) {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                return `Invalid regular expression: ${error.message}`;
+            }
+        }
+        return null;
+    }
+
+    // Function to fill in missing fields of a stored rule
+    function normalizeRule(rule) {
+        const normalized = {
+            id: rule.id || createRuleId(),
+            pattern: typeof rule.pattern === 'string' ? rule.pattern : '',
+            matchType: MATCH_TYPES.includes(rule.matchType) ? rule.matchType : 'prefix',
+            target: TARGETS.includes(rule.target) ? rule.target : 'both',
+            surface: rule.surface || CleanFeedSurfaces.ALL_SURFACES,
+            enabled: rule.enabled !== false
+        };
+        if (rule.term) {
+            normalized.term = rule.term;
+        }
+        return normalized;
+    }
+
+    // Function to get the patterns a rule matches, resolving locale terms
+    // Term texts are literal, so they are escaped when the rule uses the regex match type
+    function getRulePatterns(rule, locale) {
+        if (!rule.term) return [rule.pattern];
+
+        const texts = CleanFeedLocales.getTermTexts(locale, rule.term);
+        return rule.matchType === 'regex' ? texts.map(escapeRegExp) : texts;
+    }
+
+    // Function to build the test function for one rule
+    function buildTester(rule, locale) {
+        const testers = getRulePatterns(rule, locale).map(pattern => buildPatternTester(pattern, rule.matchType));
+        return text => testers.some(tester => tester(text));
+    }
+
+    // Function to build the test function for one pattern
+    function buildPatternTester(rawPattern, matchType) {
+        const pattern = normalizeText(rawPattern);
+
+        switch (matchType) {
+            case 'exact':
+                return text => normalizeText(text) === pattern;
+            case 'prefix':
+                return text => {
+                    const normalized = normalizeText(text);
+                    return normalized === pattern || normalized.startsWith(pattern + ' ');
+                };
+            case 'word': {
+                const wordRegex = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(pattern)}($|[^\\p{L}\\p{N}])`, 'u');
+                return text => wordRegex.test(normalizeText(text));
+            }
+            case 'regex': {
+                const regex = new RegExp(rawPattern, 'i');
+                return text => regex.test((text || '').trim());
+            }
+            default:
+                return () => false;
+        }
+    }
+
+    // Function to compile stored rules into matchers, skipping disabled and invalid rules
+    // locale is the pack code used to resolve term rules
+    function compileRules(rules, locale = CleanFeedLocales.FALLBACK_LOCALE) {
+        const compiled = [];
+
+        (Array.isArray(rules) ? rules : []).forEach(rawRule => {
+            const rule = normalizeRule(rawRule);
+            if (!rule.enabled || validateRule(rule)) return;
+
+            compiled.push({
+                rule: rule,
+                checksText: rule.target === 'text' || rule.target === 'both',
+                checksAria: rule.target === 'aria' || rule.target === 'both',
+                test: buildTester(rule, locale)
+            });
+        });
+
+        return compiled;
+    }
+
+    // Function to find the first compiled rule that matches a value for the given field ('text' or 'aria')
+    function findMatchingRule(compiledRules, value, field) {
+        if (!value || !compiledRules || compiledRules.length === 0) return null;
+
+        const match = compiledRules.find(matcher => {
+            if (field === 'text' && !matcher.checksText) return false;
+            if (field === 'aria' && !matcher.checksAria) return false;
+            return matcher.test(value);
+        });
+
+        return match ? match.rule : null;
+    }
+
+    // Function to describe a rule for logs and placeholders
+    function describeRule(rule) {
+        const pattern = rule.term ? `[${rule.term}]` : `"${rule.pattern}"`;
+        return `${rule.matchType}:${pattern} (${rule.target})`;
+    }
+
+    // Function to get a fresh copy of the default rules
+    function getDefaultRules() {
+        return DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+
+    return {
+        MATCH_TYPES,
+        TARGETS,
+        createRuleId,
+        validateRule,
+        normalizeRule,
+        compileRules,
+        findMatchingRule,
+        describeRule,
+        getRulePatterns,
+        getDefaultRules
+    };
+})();
@@ -0,0 +1,112 @@
+// CleanFeedFB - Hidden posts log view, shared by the popup and the options page
+const CleanFeedLogView = (function() {
+    'use strict';
+
+    // Browser compatibility - use browser API with chrome fallback
+    const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
+
+    // Function to get the log entries from the background script, optionally only those of one tab
+    async function fetchEntries(tabId) {
+        try {
+            const entries = await browserAPI.runtime.sendMessage({ type: 'GET_HIDDEN_LOG', tabId: tabId });
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.error('Error loading hidden posts log:', error);
+            return [];
+        }
+    }
+
+    // Function to ask the background script to show a logged post in its tab
+    async function revealEntry(entry) {
+        try {
+            const response = await browserAPI.runtime.sendMessage({
+                type: 'REVEAL_POST',
+                tabId: entry.tabId,
+                postId: entry.postId
+            });
+            return response || { success: false, error: 'No response from the extension' };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Function to create an element with a class and text
+    function createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text) element.textContent = text;
+        return element;
+    }
+
+    // Function to build the row of one log entry
+    // options.showTab adds the title of the tab the post was hidden in
+    function renderEntry(entry, options) {
+        const row = createElement('div', 'log-entry');
+
+        const header = createElement('div', 'log-entry-header');
+        header.appendChild(createElement('span', 'reason-chip', CleanFeedCategories.getReasonLabel(entry.category)));
+        header.appendChild(createElement('span', 'log-entry-time', new Date(entry.time).toLocaleTimeString()));
+        if (options.showTab && entry.tabTitle) {
+            header.appendChild(createElement('span', 'log-entry-tab', entry.tabTitle));
+        }
+        row.appendChild(header);
+
+        if (entry.author) {
+            const author = createElement(entry.authorUrl ? 'a' : 'div', 'log-entry-author', entry.author);
+            if (entry.authorUrl) {
+                author.href = entry.authorUrl;
+                author.target = '_blank';
+                author.rel = 'noopener';
+            }
+            row.appendChild(author);
+        }
+        if (entry.snippet) {
+            row.appendChild(createElement('div', 'log-entry-snippet', entry.snippet));
+        }
+        row.appendChild(createElement('div', 'log-entry-reason', entry.reason));
+
+        const actions = createElement('div', 'log-entry-actions');
+        const showButton = createElement('button', 'button small', entry.revealed ? 'Shown' : 'Show this post');
+        showButton.disabled = entry.revealed;
+        const error = createElement('span', 'log-entry-error');
+        showButton.addEventListener('click', async () => {
+            showButton.disabled = true;
+            error.textContent = '';
+            const result = await revealEntry(entry);
+            if (result.success) {
+                showButton.textContent = 'Shown';
+            } else {
+                showButton.disabled = false;
+                error.textContent = result.error || 'Could not show the post';
+            }
+        });
+        actions.appendChild(showButton);
+
+        if (entry.permalink) {
+            const permalink = createElement('a', 'log-entry-permalink', 'Permalink');
+            permalink.href = entry.permalink;
+            permalink.target = '_blank';
+            permalink.rel = 'noopener';
+            actions.appendChild(permalink);
+        }
+        actions.appendChild(error);
+        row.appendChild(actions);
+
+        return row;
+    }
+
+    // Function to render log entries into a container, replacing its content
+    function render(container, entries, options = {}) {
+        container.textContent = '';
+        if (entries.length === 0) {
+            container.appendChild(createElement('div', 'log-empty', options.emptyText || 'No posts hidden yet.'));
+            return;
+        }
+        entries.forEach(entry => container.appendChild(renderEntry(entry, options)));
+    }
+
+    return {
+        fetchEntries,
+        render
+    };
+})();
@@ -0,0 +1,70 @@
+// CleanFeedFB - Hide styles
+// How a filtered post is hidden, set globally and optionally per hide reason
+const CleanFeedHideStyles = (function() {
+    'use strict';
+
+    // Available styles
+    // - remove:   the post disappears completely
+    // - collapse: the post is replaced by a slim bar with the reason and Show/Allow/Hide similar actions
+    // - blur:     the post stays in place, blurred until the mouse is over it
+    // - dim:      the post stays in place, faded
+    // - label:    the post stays visible, with a bar above it naming the reason
+    const STYLES = [
+        { id: 'remove', label: 'Remove completely' },
+        { id: 'collapse', label: 'Collapse into a bar' },
+        { id: 'blur', label: 'Blur until hover' },
+        { id: 'dim', label: 'Dim' },
+        { id: 'label', label: 'Label only' }
+    ];
+
+    const STYLE_IDS = STYLES.map(style => style.id);
+
+    // Global style used when nothing is stored
+    const DEFAULT_STYLE = 'remove';
+
+    // Styles that take the post out of the layout
+    const REMOVING_STYLES = ['remove', 'collapse'];
+
+    // Function to get the style definitions
+    function getStyles() {
+        return STYLES.map(style => ({ ...style }));
+    }
+
+    // Function to check a stored global style, falling back to the default
+    function normalizeStyle(style) {
+        return STYLE_IDS.includes(style) ? style : DEFAULT_STYLE;
+    }
+
+    // Function to drop unknown styles from the per-reason overrides
+    function normalizeReasonStyles(stored) {
+        const styles = {};
+        if (stored && typeof stored === 'object') {
+            Object.keys(stored).forEach(reason => {
+                if (STYLE_IDS.includes(stored[reason])) {
+                    styles[reason] = stored[reason];
+                }
+            });
+        }
+        return styles;
+    }
+
+    // Function to get the style for a hide reason category: the per-reason override or the global style
+    function resolveStyle(category, globalStyle, reasonStyles) {
+        const override = reasonStyles && reasonStyles[category];
+        return STYLE_IDS.includes(override) ? override : normalizeStyle(globalStyle);
+    }
+
+    // Function to check whether a style takes the post out of the layout
+    function removesPost(style) {
+        return REMOVING_STYLES.includes(style);
+    }
+
+    return {
+        DEFAULT_STYLE,
+        getStyles,
+        normalizeStyle,
+        normalizeReasonStyles,
+        resolveStyle,
+        removesPost
+    };
+})();
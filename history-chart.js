@@ -0,0 +1,144 @@
+// CleanFeedFB - Statistics history chart and CSV export for the options page
+// The history is a list of days [{ date: 'YYYY-MM-DD', total, byReason }] as returned by GET_HISTORY
+const CleanFeedHistoryChart = (function() {
+    'use strict';
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Colors of the hide reasons, in the order of CleanFeedCategories.getReasonCategories()
+    const COLORS = ['#1877f2', '#42b883', '#e4a11b', '#e74c3c', '#8e44ad', '#16a085', '#d35400', '#2c3e50', '#c0392b', '#7f8c8d'];
+
+    // Chart size in SVG units, the chart scales to the width of its container
+    const WIDTH = 720;
+    const HEIGHT = 220;
+    const MARGIN = { top: 10, right: 10, bottom: 24, left: 36 };
+
+    // Function to list the reasons found in a history, known reasons first in their usual order
+    function getReasons(days) {
+        const found = new Set();
+        days.forEach(day => Object.keys(day.byReason).forEach(reason => {
+            if (day.byReason[reason] > 0) found.add(reason);
+        }));
+
+        const known = CleanFeedCategories.getReasonCategories();
+        return known.filter(reason => found.has(reason))
+            .concat(Array.from(found).filter(reason => !known.includes(reason)).sort());
+    }
+
+    // Function to get the color of a reason
+    function getColor(reason) {
+        const index = CleanFeedCategories.getReasonCategories().indexOf(reason);
+        return COLORS[(index === -1 ? COLORS.length - 1 : index) % COLORS.length];
+    }
+
+    // Function to create an SVG element with attributes
+    function createSvgElement(tag, attributes) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        return element;
+    }
+
+    // Function to add a text label to the chart
+    function addText(svg, x, y, text, anchor) {
+        const label = createSvgElement('text', { x: x, y: y, 'text-anchor': anchor, 'font-size': 11, fill: '#65676b' });
+        label.textContent = text;
+        svg.appendChild(label);
+    }
+
+    // Function to describe one day for its tooltip
+    function describeDay(day, reasons) {
+        const parts = reasons
+            .filter(reason => day.byReason[reason] > 0)
+            .map(reason => `${CleanFeedCategories.getReasonLabel(reason)} ${day.byReason[reason]}`);
+        return `${day.date}: ${day.total} hidden${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+    }
+
+    // Function to draw a stacked bar chart of the history into a container, with a legend of the reasons
+    function render(container, days) {
+        container.textContent = '';
+        const reasons = getReasons(days);
+        const max = Math.max(1, ...days.map(day => day.total));
+
+        const svg = createSvgElement('svg', { viewBox: `0 0 ${WIDTH} ${HEIGHT}`, class: 'history-chart', role: 'img' });
+        const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+        const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+        const slot = plotWidth / days.length;
+        const barWidth = Math.max(1, slot * 0.7);
+
+        // Axis line and the maximum on the left
+        svg.appendChild(createSvgElement('line', {
+            x1: MARGIN.left, y1: MARGIN.top + plotHeight, x2: WIDTH - MARGIN.right, y2: MARGIN.top + plotHeight, stroke: '#e9ecef'
+        }));
+        addText(svg, MARGIN.left - 6, MARGIN.top + 10, String(max), 'end');
+        addText(svg, MARGIN.left - 6, MARGIN.top + plotHeight, '0', 'end');
+
+        days.forEach((day, index) => {
+            const x = MARGIN.left + index * slot + (slot - barWidth) / 2;
+            const group = createSvgElement('g', {});
+            const title = createSvgElement('title', {});
+            title.textContent = describeDay(day, reasons);
+            group.appendChild(title);
+
+            // Stack the reasons from the bottom, counts without a reason are drawn last in grey
+            let y = MARGIN.top + plotHeight;
+            const stacked = reasons.map(reason => ({ color: getColor(reason), count: day.byReason[reason] || 0 }));
+            const unassigned = day.total - stacked.reduce((sum, part) => sum + part.count, 0);
+            stacked.push({ color: '#bcc0c4', count: Math.max(0, unassigned) });
+            stacked.forEach(part => {
+                if (part.count <= 0) return;
+                const height = part.count / max * plotHeight;
+                y -= height;
+                group.appendChild(createSvgElement('rect', { x: x, y: y, width: barWidth, height: height, fill: part.color }));
+            });
+
+            // An invisible full-height area keeps the tooltip easy to reach on small bars
+            group.appendChild(createSvgElement('rect', { x: x, y: MARGIN.top, width: barWidth, height: plotHeight, fill: 'transparent' }));
+            svg.appendChild(group);
+        });
+
+        // Dates of the first, middle and last day
+        [0, Math.floor((days.length - 1) / 2), days.length - 1].forEach((index, position) => {
+            const anchor = ['start', 'middle', 'end'][position];
+            const x = position === 0 ? MARGIN.left : position === 2 ? WIDTH - MARGIN.right : MARGIN.left + (index + 0.5) * slot;
+            addText(svg, x, HEIGHT - 6, days[index].date, anchor);
+        });
+        container.appendChild(svg);
+
+        const legend = document.createElement('div');
+        legend.className = 'history-legend';
+        if (reasons.length === 0) {
+            legend.textContent = 'No posts hidden in this period.';
+        }
+        reasons.forEach(reason => {
+            const item = document.createElement('span');
+            item.className = 'history-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'history-legend-swatch';
+            swatch.style.background = getColor(reason);
+            item.append(swatch, CleanFeedCategories.getReasonLabel(reason));
+            legend.appendChild(item);
+        });
+        container.appendChild(legend);
+    }
+
+    // Function to quote a CSV field when needed
+    function csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Function to turn a history into CSV, one row per day and one column per reason
+    function toCsv(days) {
+        const reasons = getReasons(days);
+        const rows = [['date', 'total'].concat(reasons)];
+        days.forEach(day => {
+            rows.push([day.date, day.total].concat(reasons.map(reason => day.byReason[reason] || 0)));
+        });
+        return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    return {
+        render,
+        toCsv
+    };
+})();
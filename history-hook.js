@@ -0,0 +1,22 @@
+// CleanFeedFB - History API hook, runs in the page's own JavaScript world at document_start
+// Facebook changes pages with history.pushState, which the content scripts cannot see from their isolated
+// world: this wraps pushState and replaceState and announces every call with an event on window,
+// which both worlds share. See CleanFeedLifecycle.watchNavigation in lifecycle.js.
+(function() {
+    'use strict';
+
+    const NAVIGATION_EVENT = 'cleanfeed:navigation';
+
+    ['pushState', 'replaceState'].forEach(name => {
+        const original = history[name];
+        if (typeof original !== 'function' || original.cleanFeedHook) return;
+
+        const hooked = function(...args) {
+            const result = original.apply(this, args);
+            window.dispatchEvent(new Event(NAVIGATION_EVENT));
+            return result;
+        };
+        hooked.cleanFeedHook = true;
+        history[name] = hooked;
+    });
+})();
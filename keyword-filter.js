@@ -0,0 +1,155 @@
+// CleanFeedFB - Keyword and phrase filtering on post body text
+// Text and patterns are folded before comparing: lowercase, accents removed ("Café" matches "cafe")
+// Regular expressions only lose their accents and match case-insensitively, lowercasing them would change
+// their meaning (\S would become \s)
+// A keyword is used on every page, or on one page only (see surfaces.js)
+const CleanFeedKeywords = (function() {
+    'use strict';
+
+    // Supported match types
+    // - word:   a single whole word, a trailing * matches any ending ("spoiler*" matches "spoilers")
+    // - phrase: whole words in sequence, any spacing or punctuation between them
+    // - regex:  a regular expression without accents, applied case-insensitively to the folded text
+    const MATCH_TYPES = ['word', 'phrase', 'regex'];
+
+    // Selectors for the message part of a post, used before falling back to the whole post text
+    const MESSAGE_SELECTORS = [
+        '[data-ad-preview="message"]',
+        '[data-ad-comet-preview="message"]',
+        '[data-ad-rendering-role="story_message"]'
+    ];
+
+    // Maximum amount of post text checked against the keywords
+    const MAX_TEXT_LENGTH = 5000;
+
+    // Letters and digits, used for whole-word boundaries
+    const WORD_CHAR = '[\\p{L}\\p{N}]';
+
+    // Function to decompose accents and strip them
+    function stripAccents(text) {
+        return (text || '').normalize('NFD').replace(/\p{M}+/gu, '');
+    }
+
+    // Function to fold text: strip accents, then lowercase
+    function foldText(text) {
+        return stripAccents(text).toLowerCase();
+    }
+
+    // Function to escape a string for use inside a regular expression
+    function escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Function to create a unique keyword ID
+    function createKeywordId() {
+        return `keyword-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Function to fill in missing fields of a stored keyword rule
+    function normalizeKeyword(keyword) {
+        return {
+            id: keyword.id || createKeywordId(),
+            pattern: typeof keyword.pattern === 'string' ? keyword.pattern : '',
+            matchType: MATCH_TYPES.includes(keyword.matchType) ? keyword.matchType : 'word',
+            surface: keyword.surface || CleanFeedSurfaces.ALL_SURFACES,
+            enabled: keyword.enabled !== false
+        };
+    }
+
+    // Function to build the regular expression for a keyword rule
+    function buildRegExp(keyword) {
+        // User regular expressions are compiled like the filter rules ones, without the u flag that refuses
+        // escapes such as \- or \#, the word and phrase patterns need it for their letter classes
+        if (keyword.matchType === 'regex') {
+            return new RegExp(stripAccents(keyword.pattern.trim()), 'i');
+        }
+
+        const pattern = foldText(keyword.pattern.trim());
+        switch (keyword.matchType) {
+            case 'word': {
+                const wildcard = pattern.endsWith('*');
+                const word = escapeRegExp(wildcard ? pattern.slice(0, -1) : pattern);
+                const ending = wildcard ? `${WORD_CHAR}*` : '';
+                return new RegExp(`(?<!${WORD_CHAR})${word}${ending}(?!${WORD_CHAR})`, 'u');
+            }
+            case 'phrase': {
+                const words = pattern.split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(escapeRegExp);
+                return new RegExp(`(?<!${WORD_CHAR})${words.join(`[^\\p{L}\\p{N}]+`)}(?!${WORD_CHAR})`, 'u');
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Function to check a keyword rule for problems, returns an error message or null
+    function validateKeyword(keyword) {
+        if (!keyword || typeof keyword.pattern !== 'string' || keyword.pattern.trim() === '') {
+            return 'Keyword cannot be empty';
+        }
+        if (!MATCH_TYPES.includes(keyword.matchType)) {
+            return `Unknown match type "${keyword.matchType}"`;
+        }
+        const scopeError = CleanFeedSurfaces.validateScope(keyword.surface);
+        if (scopeError) {
+            return scopeError;
+        }
+        if (keyword.matchType === 'word' && /[^\p{L}\p{N}*'’-]/u.test(keyword.pattern.trim())) {
+            return 'A word cannot contain spaces or punctuation, use a phrase instead';
+        }
+        if (keyword.matchType === 'phrase' && !/[\p{L}\p{N}]/u.test(keyword.pattern)) {
+            return 'A phrase needs at least one word';
+        }
+        try {
+            buildRegExp(keyword);
+        } catch (error) {
+            return `Invalid regular expression: ${error.message}`;
+        }
+        return null;
+    }
+
+    // Function to compile stored keyword rules, skipping disabled and invalid ones
+    function compileKeywords(keywords) {
+        return (Array.isArray(keywords) ? keywords : [])
+            .map(normalizeKeyword)
+            .filter(keyword => keyword.enabled && !validateKeyword(keyword))
+            .map(keyword => ({ keyword: keyword, regex: buildRegExp(keyword) }));
+    }
+
+    // Function to get the body text of a post
+    function getPostText(post) {
+        if (!post) return '';
+
+        const messages = MESSAGE_SELECTORS
+            .map(selector => Array.from(post.querySelectorAll(selector)))
+            .flat();
+        const text = messages.length > 0
+            ? messages.map(element => element.innerText || element.textContent || '').join('\n')
+            : (post.innerText || post.textContent || '');
+
+        return text.slice(0, MAX_TEXT_LENGTH);
+    }
+
+    // Function to find the first keyword rule matching the post text, returns { keyword, matchedText } or null
+    function findKeywordMatch(compiledKeywords, text) {
+        if (!text || !compiledKeywords || compiledKeywords.length === 0) return null;
+
+        const folded = foldText(text);
+        for (const matcher of compiledKeywords) {
+            const match = matcher.regex.exec(folded);
+            if (match) {
+                return { keyword: matcher.keyword, matchedText: match[0] };
+            }
+        }
+        return null;
+    }
+
+    return {
+        MATCH_TYPES,
+        foldText,
+        normalizeKeyword,
+        validateKeyword,
+        compileKeywords,
+        getPostText,
+        findKeywordMatch
+    };
+})();
@@ -0,0 +1,38 @@
+// CleanFeedFB - Route change detection for Facebook's single-page navigation
+// history-hook.js announces pushState/replaceState from the page world, popstate covers back and forward,
+// and a slow poll catches navigations where the hook could not run (browsers without page-world scripts)
+const CleanFeedLifecycle = (function() {
+    'use strict';
+
+    // Event dispatched on window by history-hook.js
+    const NAVIGATION_EVENT = 'cleanfeed:navigation';
+
+    // Interval of the safety-net check of the URL
+    const POLL_INTERVAL_MS = 2000;
+
+    // Function to call onChange(url) whenever the page URL changes, returns a function that stops watching
+    // Several history calls for one navigation result in a single call
+    function watchNavigation(onChange) {
+        let lastUrl = location.href;
+        const check = () => {
+            if (location.href === lastUrl) return;
+            lastUrl = location.href;
+            onChange(lastUrl);
+        };
+
+        window.addEventListener(NAVIGATION_EVENT, check);
+        window.addEventListener('popstate', check);
+        const poll = setInterval(check, POLL_INTERVAL_MS);
+
+        return () => {
+            window.removeEventListener(NAVIGATION_EVENT, check);
+            window.removeEventListener('popstate', check);
+            clearInterval(poll);
+        };
+    }
+
+    return {
+        NAVIGATION_EVENT,
+        watchNavigation
+    };
+})();
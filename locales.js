@@ -0,0 +1,159 @@
+// CleanFeedFB - Locale packs shared by the content script and the options page
+// Each pack holds the Facebook interface texts the extension looks for in one language
+const CleanFeedLocales = (function() {
+    'use strict';
+
+    // Locale packs keyed by language code
+    // - feedHeader: text of the hidden heading that precedes the News Feed posts
+    // - terms:      button and label texts, referenced by rules through their term name
+    const LOCALE_PACKS = {
+        en: {
+            name: 'English',
+            feedHeader: ['News Feed posts'],
+            terms: {
+                follow: ['Follow'],
+                join: ['Join', 'Join group'],
+                sponsored: ['Sponsored'],
+                reels: ['Reels', 'Reels and short videos'],
+                stories: ['Stories'],
+                peopleYouMayKnow: ['People you may know'],
+                suggested: ['Suggested for you'],
+                memories: ['Memories', 'On this day']
+            }
+        },
+        it: {
+            name: 'Italiano',
+            feedHeader: ['Post della sezione Notizie'],
+            terms: {
+                follow: ['Segui'],
+                join: ['Iscriviti', 'Unisciti al gruppo'],
+                sponsored: ['Sponsorizzato'],
+                reels: ['Reels', 'Reel e video brevi'],
+                stories: ['Storie'],
+                peopleYouMayKnow: ['Persone che potresti conoscere'],
+                suggested: ['Suggeriti per te'],
+                memories: ['Ricordi', 'Accadde oggi']
+            }
+        },
+        de: {
+            name: 'Deutsch',
+            feedHeader: ['News Feed-Beiträge', 'Beiträge im News Feed'],
+            terms: {
+                follow: ['Folgen'],
+                join: ['Beitreten', 'Gruppe beitreten'],
+                sponsored: ['Gesponsert'],
+                reels: ['Reels', 'Reels und Kurzvideos'],
+                stories: ['Stories'],
+                peopleYouMayKnow: ['Personen, die du kennen könntest'],
+                suggested: ['Vorgeschlagen für dich'],
+                memories: ['Erinnerungen', 'An diesem Tag']
+            }
+        },
+        es: {
+            name: 'Español',
+            feedHeader: ['Publicaciones de la sección de noticias'],
+            terms: {
+                follow: ['Seguir'],
+                join: ['Unirte', 'Unirse al grupo'],
+                sponsored: ['Publicidad', 'Patrocinado'],
+                reels: ['Reels', 'Reels y videos cortos'],
+                stories: ['Historias'],
+                peopleYouMayKnow: ['Personas que quizá conozcas'],
+                suggested: ['Sugerencias para ti'],
+                memories: ['Recuerdos', 'Un día como hoy']
+            }
+        },
+        fr: {
+            name: 'Français',
+            feedHeader: ['Publications du fil d’actualité', 'Publications du fil d\'actualité'],
+            terms: {
+                follow: ['Suivre'],
+                join: ['Rejoindre', 'Rejoindre le groupe'],
+                sponsored: ['Sponsorisé'],
+                reels: ['Reels', 'Reels et vidéos courtes'],
+                stories: ['Stories'],
+                peopleYouMayKnow: ['Personnes que vous pourriez connaître', 'Connaissez-vous…'],
+                suggested: ['Suggestions pour vous'],
+                memories: ['Souvenirs', 'Ce jour-là']
+            }
+        },
+        pt: {
+            name: 'Português',
+            feedHeader: ['Publicações do Feed de Notícias', 'Publicações do feed'],
+            terms: {
+                follow: ['Seguir'],
+                join: ['Participar', 'Participar do grupo', 'Aderir ao grupo'],
+                sponsored: ['Patrocinado'],
+                reels: ['Reels', 'Reels e vídeos curtos'],
+                stories: ['Stories', 'Histórias'],
+                peopleYouMayKnow: ['Pessoas que talvez você conheça'],
+                suggested: ['Sugestões para você'],
+                memories: ['Lembranças', 'Neste dia']
+            }
+        }
+    };
+
+    // Language used when the page language has no pack
+    const FALLBACK_LOCALE = 'en';
+
+    // Human-readable names of the terms, used by the options page
+    const TERM_LABELS = {
+        follow: 'Follow',
+        join: 'Join',
+        sponsored: 'Sponsored',
+        reels: 'Reels',
+        stories: 'Stories',
+        peopleYouMayKnow: 'People You May Know',
+        suggested: 'Suggested for you',
+        memories: 'Memories'
+    };
+
+    // Function to get the list of available locale codes
+    function getAvailableLocales() {
+        return Object.keys(LOCALE_PACKS);
+    }
+
+    // Function to resolve a language tag (e.g. "pt-BR") or an override to a pack code
+    // override is 'auto' to follow the page language
+    function resolveLocale(pageLang, override = 'auto') {
+        if (override && override !== 'auto' && LOCALE_PACKS[override]) {
+            return override;
+        }
+
+        const language = (pageLang || '').toLowerCase().split(/[-_]/)[0];
+        return LOCALE_PACKS[language] ? language : FALLBACK_LOCALE;
+    }
+
+    // Function to get a locale pack by code
+    function getPack(code) {
+        return LOCALE_PACKS[code] || LOCALE_PACKS[FALLBACK_LOCALE];
+    }
+
+    // Function to get the texts of a term for a locale, English texts are always included as a fallback
+    function getTermTexts(code, term) {
+        const texts = [...(getPack(code).terms[term] || [])];
+        (LOCALE_PACKS[FALLBACK_LOCALE].terms[term] || []).forEach(text => {
+            if (!texts.includes(text)) texts.push(text);
+        });
+        return texts;
+    }
+
+    // Function to get the feed header texts for a locale, with the English header as a fallback
+    function getFeedHeaders(code) {
+        const headers = [...getPack(code).feedHeader];
+        LOCALE_PACKS[FALLBACK_LOCALE].feedHeader.forEach(text => {
+            if (!headers.includes(text)) headers.push(text);
+        });
+        return headers;
+    }
+
+    return {
+        FALLBACK_LOCALE,
+        TERM_LABELS,
+        getAvailableLocales,
+        resolveLocale,
+        getPack,
+        getTermTexts,
+        getFeedHeaders
+    };
+})();
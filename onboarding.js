@@ -0,0 +1,184 @@
+// Onboarding page script for CleanFeedFB
+// Opened by the background script on first install, walks through choosing the filters
+(function() {
+    'use strict';
+
+    // Browser compatibility
+    const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
+
+    // Steps with settings, the last step only confirms they were saved
+    const SETTINGS_STEPS = 3;
+    const TOTAL_STEPS = 4;
+
+    // DOM elements
+    const elements = {
+        steps: document.querySelectorAll('[data-step]'),
+        stepIndicator: document.getElementById('stepIndicator'),
+        hideButtons: document.getElementById('hideButtons'),
+        locale: document.getElementById('locale'),
+        hideSponsored: document.getElementById('hideSponsored'),
+        categoryList: document.getElementById('categoryList'),
+        hideStyle: document.getElementById('hideStyle'),
+        backStep: document.getElementById('backStep'),
+        nextStep: document.getElementById('nextStep'),
+        openSettings: document.getElementById('openSettings'),
+        closePage: document.getElementById('closePage'),
+        onboardingMessage: document.getElementById('onboardingMessage')
+    };
+
+    let currentStep = 1;
+
+    // Show error message
+    function showError(message) {
+        elements.onboardingMessage.textContent = message;
+        elements.onboardingMessage.className = 'status-message error';
+        elements.onboardingMessage.style.display = 'block';
+    }
+
+    // Fill the language, category and hide style choices
+    function renderChoices() {
+        CleanFeedLocales.getAvailableLocales().forEach(code => {
+            elements.locale.appendChild(new Option(CleanFeedLocales.getPack(code).name, code));
+        });
+
+        CleanFeedCategories.getCategories().forEach(category => {
+            const group = document.createElement('div');
+            group.className = 'checkbox-group';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'checkbox';
+            checkbox.id = `category-${category.id}`;
+            checkbox.dataset.category = category.id;
+
+            const text = document.createElement('div');
+            const label = document.createElement('label');
+            label.className = 'setting-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = category.label;
+            const description = document.createElement('div');
+            description.className = 'setting-description';
+            description.textContent = category.description;
+            text.append(label, description);
+
+            group.append(checkbox, text);
+            elements.categoryList.appendChild(group);
+        });
+
+        CleanFeedHideStyles.getStyles().forEach(style => {
+            elements.hideStyle.appendChild(new Option(style.label, style.id));
+        });
+    }
+
+    // Set the choices from the stored settings, so reopening the page shows what is in use
+    function setChoices(settings) {
+        const detectors = CleanFeedClassifiers.normalizeSettings(settings.detectors);
+        const hideCategories = CleanFeedCategories.normalizeSettings(settings.hideCategories);
+
+        elements.hideButtons.checked = detectors.buttons;
+        elements.locale.value = settings.locale;
+        elements.hideSponsored.checked = settings.hideSponsored;
+        elements.categoryList.querySelectorAll('input[data-category]').forEach(checkbox => {
+            checkbox.checked = hideCategories[checkbox.dataset.category];
+        });
+        elements.hideStyle.value = CleanFeedHideStyles.normalizeStyle(settings.hideStyle);
+    }
+
+    // Read the choices into settings
+    function getChoices(detectors) {
+        const hideCategories = CleanFeedCategories.getDefaultSettings();
+        elements.categoryList.querySelectorAll('input[data-category]').forEach(checkbox => {
+            hideCategories[checkbox.dataset.category] = checkbox.checked;
+        });
+
+        return {
+            detectors: { ...CleanFeedClassifiers.normalizeSettings(detectors), buttons: elements.hideButtons.checked },
+            locale: elements.locale.value,
+            hideSponsored: elements.hideSponsored.checked,
+            hideCategories: hideCategories,
+            hideStyle: elements.hideStyle.value
+        };
+    }
+
+    // Show one step and update the navigation
+    function showStep(step) {
+        currentStep = step;
+        elements.steps.forEach(section => {
+            section.hidden = parseInt(section.dataset.step) !== step;
+        });
+
+        const done = step > SETTINGS_STEPS;
+        elements.stepIndicator.textContent = done ? '' : `Step ${step} of ${SETTINGS_STEPS}`;
+        elements.backStep.style.visibility = step > 1 && !done ? 'visible' : 'hidden';
+        elements.nextStep.style.display = done ? 'none' : '';
+        elements.nextStep.textContent = step === SETTINGS_STEPS ? 'Finish' : 'Next';
+    }
+
+    // Notify open Facebook tabs of the new settings
+    async function notifyContentScripts(changes) {
+        try {
+            const tabs = await browserAPI.tabs.query({ url: "*://*.facebook.com/*" });
+            for (const tab of tabs) {
+                try {
+                    await browserAPI.tabs.sendMessage(tab.id, { type: 'SETTINGS_UPDATED', settings: changes });
+                } catch (error) {
+                    // Tab might not have content script loaded
+                }
+            }
+        } catch (error) {
+            console.error('Error notifying content scripts:', error);
+        }
+    }
+
+    // Save the choices and show the last step
+    async function finish() {
+        try {
+            const stored = await browserAPI.storage.sync.get({ detectors: CleanFeedClassifiers.getDefaultSettings() });
+            const settings = getChoices(stored.detectors);
+            await browserAPI.storage.sync.set(settings);
+            await notifyContentScripts(settings);
+            showStep(TOTAL_STEPS);
+        } catch (error) {
+            console.error('Error saving onboarding choices:', error);
+            showError('Could not save your choices, please set them in the settings instead.');
+        }
+    }
+
+    // Go to the next step, saving on the last one
+    function nextStep() {
+        if (currentStep === SETTINGS_STEPS) {
+            finish();
+        } else {
+            showStep(currentStep + 1);
+        }
+    }
+
+    // Initialize the onboarding page
+    async function initialize() {
+        renderChoices();
+        try {
+            setChoices(await browserAPI.storage.sync.get({
+                detectors: CleanFeedClassifiers.getDefaultSettings(),
+                locale: 'auto',
+                hideSponsored: false,
+                hideCategories: CleanFeedCategories.getDefaultSettings(),
+                hideStyle: CleanFeedHideStyles.DEFAULT_STYLE
+            }));
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+        showStep(1);
+
+        elements.backStep.addEventListener('click', () => showStep(currentStep - 1));
+        elements.nextStep.addEventListener('click', nextStep);
+        elements.openSettings.addEventListener('click', () => browserAPI.runtime.openOptionsPage());
+        elements.closePage.addEventListener('click', () => window.close());
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+})();
@@ -11,17 +11,43 @@
         hiddenCount: 0,
         totalHidden: 0,
         lastResetDate: new Date().toDateString(),
-        firstInstallDate: new Date().toDateString(),
+        firstInstallDate: '', // Recorded by the background script on install
         scanInterval: 3,
         hideDelay: 100,
-        debugMode: false
+        debugMode: false,
+        auditMode: false,
+        safetyScan: true,
+        hideSponsored: false,
+        hideCategories: CleanFeedCategories.getDefaultSettings(),
+        hiddenByReason: {},
+        allowlist: [],
+        blocklist: [],
+        keywordRules: [],
+        locale: 'auto',
+        hideStyle: CleanFeedHideStyles.DEFAULT_STYLE,
+        reasonHideStyles: {},
+        badgeCount: 'tab',
+        schedule: CleanFeedSchedule.getDefaultSchedule(),
+        detectors: CleanFeedClassifiers.getDefaultSettings(),
+        surfaceSettings: CleanFeedSurfaces.getDefaultSettings(),
+        filterRules: CleanFeedRules.getDefaultRules()
     };
 
     // Default settings for just the configurable options
     const DEFAULT_CONFIG_SETTINGS = {
         scanInterval: 3,
         hideDelay: 100,
-        debugMode: false
+        debugMode: false,
+        auditMode: false,
+        safetyScan: true,
+        hideSponsored: false,
+        hideCategories: CleanFeedCategories.getDefaultSettings(),
+        locale: 'auto',
+        hideStyle: CleanFeedHideStyles.DEFAULT_STYLE,
+        reasonHideStyles: {},
+        badgeCount: 'tab',
+        detectors: CleanFeedClassifiers.getDefaultSettings(),
+        surfaceSettings: CleanFeedSurfaces.getDefaultSettings()
     };
 
     // DOM elements
@@ -30,16 +56,128 @@
         todayCount: document.getElementById('todayCount'),
         totalCount: document.getElementById('totalCount'),
         avgPerDay: document.getElementById('avgPerDay'),
+        reasonBreakdown: document.getElementById('reasonBreakdown'),
         resetStats: document.getElementById('resetStats'),
         resetMessage: document.getElementById('resetMessage'),
+        historyRanges: document.getElementById('historyRanges'),
+        historyChart: document.getElementById('historyChart'),
+        exportHistory: document.getElementById('exportHistory'),
+
+        // Hidden posts log
+        hiddenLog: document.getElementById('hiddenLog'),
+        refreshLog: document.getElementById('refreshLog'),
+        clearLog: document.getElementById('clearLog'),
+        logMessage: document.getElementById('logMessage'),
+
+        // Filter rules
+        ruleList: document.getElementById('ruleList'),
+        addRule: document.getElementById('addRule'),
+        saveRules: document.getElementById('saveRules'),
+        resetRules: document.getElementById('resetRules'),
+        rulesMessage: document.getElementById('rulesMessage'),
+
+        // Keywords
+        keywordList: document.getElementById('keywordList'),
+        addKeyword: document.getElementById('addKeyword'),
+        saveKeywords: document.getElementById('saveKeywords'),
+        keywordsMessage: document.getElementById('keywordsMessage'),
+
+        // Schedule
+        scheduleEnabled: document.getElementById('scheduleEnabled'),
+        scheduleMode: document.getElementById('scheduleMode'),
+        scheduleWindowList: document.getElementById('scheduleWindowList'),
+        addScheduleWindow: document.getElementById('addScheduleWindow'),
+        saveSchedule: document.getElementById('saveSchedule'),
+        scheduleMessage: document.getElementById('scheduleMessage'),
+
+        // Sources
+        allowlist: document.getElementById('allowlist'),
+        blocklist: document.getElementById('blocklist'),
+        saveSources: document.getElementById('saveSources'),
+        sourcesMessage: document.getElementById('sourcesMessage'),
         
         // Settings
         scanInterval: document.getElementById('scanInterval'),
         hideDelay: document.getElementById('hideDelay'),
+        hideStyle: document.getElementById('hideStyle'),
+        reasonHideStyleList: document.getElementById('reasonHideStyleList'),
+        resetReasonHideStyles: document.getElementById('resetReasonHideStyles'),
+        badgeCount: document.getElementById('badgeCount'),
         debugMode: document.getElementById('debugMode'),
+        auditMode: document.getElementById('auditMode'),
+        safetyScan: document.getElementById('safetyScan'),
+        hideSponsored: document.getElementById('hideSponsored'),
+        categoryList: document.getElementById('categoryList'),
+        detectorList: document.getElementById('detectorList'),
+        surfaceTable: document.getElementById('surfaceTable'),
+        locale: document.getElementById('locale'),
         saveSettings: document.getElementById('saveSettings'),
         resetSettings: document.getElementById('resetSettings'),
-        settingsMessage: document.getElementById('settingsMessage')
+        settingsMessage: document.getElementById('settingsMessage'),
+
+        extensionVersion: document.getElementById('extensionVersion'),
+
+        // Import & Export
+        exportSettings: document.getElementById('exportSettings'),
+        importSettings: document.getElementById('importSettings'),
+        importFile: document.getElementById('importFile'),
+        transferMessage: document.getElementById('transferMessage'),
+
+        // Selector pack
+        selectorPackInfo: document.getElementById('selectorPackInfo'),
+        importSelectorPack: document.getElementById('importSelectorPack'),
+        resetSelectorPack: document.getElementById('resetSelectorPack'),
+        selectorPackFile: document.getElementById('selectorPackFile'),
+        selectorPackMessage: document.getElementById('selectorPackMessage'),
+        runDiagnostics: document.getElementById('runDiagnostics'),
+        downloadDiagnostics: document.getElementById('downloadDiagnostics'),
+        diagnosticsTable: document.getElementById('diagnosticsTable'),
+        diagnosticsMessage: document.getElementById('diagnosticsMessage')
+    };
+
+    // Number of days shown in the history chart
+    let historyDays = 30;
+
+    // Filter rules currently shown in the editor
+    let editorRules = [];
+
+    // Keyword rules currently shown in the editor
+    let editorKeywords = [];
+
+    // Schedule time windows currently shown in the editor
+    let editorWindows = [];
+
+    // Labels for the rule editor dropdowns
+    const MATCH_TYPE_LABELS = {
+        exact: 'Exact',
+        prefix: 'Prefix',
+        word: 'Whole word',
+        regex: 'Regex'
+    };
+
+    const KEYWORD_MATCH_TYPE_LABELS = {
+        word: 'Word',
+        phrase: 'Phrase',
+        regex: 'Regex'
+    };
+
+    const TARGET_LABELS = {
+        text: 'Text',
+        aria: 'aria-label',
+        both: 'Text + aria-label'
+    };
+
+    // Labels for the page a filter rule or keyword is used on
+    const SURFACE_SCOPE_LABELS = CleanFeedSurfaces.SURFACES.reduce(
+        (labels, surface) => ({ ...labels, [surface.id]: surface.label }),
+        { [CleanFeedSurfaces.ALL_SURFACES]: 'All pages' }
+    );
+
+    // Labels for the detector overrides of a page
+    const DETECTOR_OVERRIDE_LABELS = {
+        default: 'Default',
+        on: 'On',
+        off: 'Off'
     };
 
     // Show status message
@@ -58,15 +196,14 @@
         try {
             const settings = await browserAPI.storage.sync.get(DEFAULT_SETTINGS);
             
-            // Reset daily counter if needed
-            const today = new Date().toDateString();
-            if (settings.lastResetDate !== today) {
-                settings.hiddenCount = 0;
-                settings.lastResetDate = today;
-                await browserAPI.storage.sync.set({
-                    hiddenCount: 0,
-                    lastResetDate: today
-                });
+            // Counters come from the background script, which handles the daily reset
+            try {
+                const statistics = await browserAPI.runtime.sendMessage({ type: 'GET_STATISTICS' });
+                if (statistics) {
+                    Object.assign(settings, statistics);
+                }
+            } catch (error) {
+                console.error('Error loading statistics:', error);
             }
             
             return settings;
@@ -92,12 +229,250 @@
         elements.todayCount.textContent = settings.hiddenCount || 0;
         elements.totalCount.textContent = settings.totalHidden || 0;
         
-        // Calculate average per day
-        const firstInstall = new Date(settings.firstInstallDate || new Date().toDateString());
-        const now = new Date();
-        const daysSinceInstall = Math.max(1, Math.ceil((now - firstInstall) / (1000 * 60 * 60 * 24)));
-        const avgPerDay = Math.round((settings.totalHidden || 0) / daysSinceInstall);
-        elements.avgPerDay.textContent = avgPerDay;
+        // Calculate average per day, unknown until the background script has recorded the install date
+        const firstInstall = new Date(settings.firstInstallDate);
+        if (settings.firstInstallDate && !isNaN(firstInstall)) {
+            const now = new Date();
+            const daysSinceInstall = Math.max(1, Math.ceil((now - firstInstall) / (1000 * 60 * 60 * 24)));
+            elements.avgPerDay.textContent = Math.round((settings.totalHidden || 0) / daysSinceInstall);
+        } else {
+            elements.avgPerDay.textContent = '–';
+        }
+
+        // Show the per-reason breakdown, largest first
+        const hiddenByReason = settings.hiddenByReason || {};
+        const reasons = Object.keys(hiddenByReason)
+            .filter(reason => hiddenByReason[reason] > 0)
+            .sort((a, b) => hiddenByReason[b] - hiddenByReason[a]);
+
+        elements.reasonBreakdown.textContent = '';
+        if (reasons.length === 0) {
+            elements.reasonBreakdown.textContent = 'No posts hidden yet.';
+            return;
+        }
+        reasons.forEach(reason => {
+            const chip = document.createElement('span');
+            chip.className = 'reason-chip';
+            chip.textContent = CleanFeedCategories.getReasonLabel(reason);
+            const count = document.createElement('strong');
+            count.textContent = hiddenByReason[reason];
+            chip.appendChild(count);
+            elements.reasonBreakdown.appendChild(chip);
+        });
+    }
+
+    // Build the category switches
+    function renderCategoryOptions() {
+        CleanFeedCategories.getCategories().forEach(category => {
+            const group = document.createElement('div');
+            group.className = 'checkbox-group';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'checkbox';
+            checkbox.id = `category-${category.id}`;
+            checkbox.dataset.category = category.id;
+
+            const text = document.createElement('div');
+            const label = document.createElement('label');
+            label.className = 'setting-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = category.label;
+            const description = document.createElement('div');
+            description.className = 'setting-description';
+            description.textContent = category.description;
+            text.append(label, description);
+
+            group.append(checkbox, text);
+            elements.categoryList.appendChild(group);
+        });
+    }
+
+    // Set the category switches from settings
+    function setCategoryOptions(hideCategories) {
+        const settings = CleanFeedCategories.normalizeSettings(hideCategories);
+        elements.categoryList.querySelectorAll('input[data-category]').forEach(checkbox => {
+            checkbox.checked = settings[checkbox.dataset.category];
+        });
+    }
+
+    // Read the category switches
+    function getCategoryOptions() {
+        const settings = CleanFeedCategories.getDefaultSettings();
+        elements.categoryList.querySelectorAll('input[data-category]').forEach(checkbox => {
+            settings[checkbox.dataset.category] = checkbox.checked;
+        });
+        return settings;
+    }
+
+    // Build the detector switches, in the order the detectors run
+    function renderDetectorOptions() {
+        CleanFeedClassifiers.getDetectors().forEach(detector => {
+            const group = document.createElement('div');
+            group.className = 'checkbox-group';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'checkbox';
+            checkbox.id = `detector-${detector.id}`;
+            checkbox.dataset.detector = detector.id;
+
+            const text = document.createElement('div');
+            const label = document.createElement('label');
+            label.className = 'setting-label';
+            label.htmlFor = checkbox.id;
+            label.textContent = detector.label;
+            const description = document.createElement('div');
+            description.className = 'setting-description';
+            description.textContent = detector.description;
+            text.append(label, description);
+
+            group.append(checkbox, text);
+            elements.detectorList.appendChild(group);
+        });
+    }
+
+    // Set the detector switches from settings
+    function setDetectorOptions(detectors) {
+        const settings = CleanFeedClassifiers.normalizeSettings(detectors);
+        elements.detectorList.querySelectorAll('input[data-detector]').forEach(checkbox => {
+            checkbox.checked = settings[checkbox.dataset.detector];
+        });
+    }
+
+    // Read the detector switches
+    function getDetectorOptions() {
+        const settings = CleanFeedClassifiers.getDefaultSettings();
+        elements.detectorList.querySelectorAll('input[data-detector]').forEach(checkbox => {
+            settings[checkbox.dataset.detector] = checkbox.checked;
+        });
+        return settings;
+    }
+
+    // Build the per-surface table: a row per surface, with its on/off switch and an override per detector
+    function renderSurfaceOptions() {
+        const detectors = CleanFeedClassifiers.getDetectors();
+
+        const header = document.createElement('tr');
+        ['Page', 'Filter'].concat(detectors.map(detector => detector.label)).forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        elements.surfaceTable.appendChild(header);
+
+        CleanFeedSurfaces.SURFACES.forEach(surface => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = surface.label;
+            row.appendChild(name);
+
+            const enabledCell = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'checkbox';
+            checkbox.dataset.surface = surface.id;
+            checkbox.title = `Filter posts on ${surface.label}`;
+            enabledCell.appendChild(checkbox);
+            row.appendChild(enabledCell);
+
+            // Default follows the global switch, On and Off override it on this surface
+            detectors.forEach(detector => {
+                const cell = document.createElement('td');
+                const select = createSelect(Object.keys(DETECTOR_OVERRIDE_LABELS), DETECTOR_OVERRIDE_LABELS, 'default', () => {});
+                select.dataset.surface = surface.id;
+                select.dataset.detector = detector.id;
+                select.title = `${detector.label} on ${surface.label}`;
+                cell.appendChild(select);
+                row.appendChild(cell);
+            });
+            elements.surfaceTable.appendChild(row);
+        });
+    }
+
+    // Set the per-surface switches and detector overrides from settings
+    function setSurfaceOptions(surfaceSettings) {
+        const settings = CleanFeedSurfaces.normalizeSettings(surfaceSettings);
+        elements.surfaceTable.querySelectorAll('input[data-surface]').forEach(checkbox => {
+            checkbox.checked = settings[checkbox.dataset.surface].enabled;
+        });
+        elements.surfaceTable.querySelectorAll('select[data-surface]').forEach(select => {
+            const override = settings[select.dataset.surface].detectors[select.dataset.detector];
+            select.value = override === undefined ? 'default' : (override ? 'on' : 'off');
+        });
+    }
+
+    // Read the per-surface switches, only the detectors turned on or off for a surface are stored
+    function getSurfaceOptions() {
+        const settings = CleanFeedSurfaces.getDefaultSettings();
+        elements.surfaceTable.querySelectorAll('input[data-surface]').forEach(checkbox => {
+            settings[checkbox.dataset.surface].enabled = checkbox.checked;
+        });
+        elements.surfaceTable.querySelectorAll('select[data-surface]').forEach(select => {
+            if (select.value !== 'default') {
+                settings[select.dataset.surface].detectors[select.dataset.detector] = select.value === 'on';
+            }
+        });
+        return settings;
+    }
+
+    // Function to create a hide style dropdown, with an optional first entry for "no choice"
+    function createHideStyleSelect(select, emptyLabel) {
+        if (emptyLabel) {
+            select.appendChild(new Option(emptyLabel, ''));
+        }
+        CleanFeedHideStyles.getStyles().forEach(style => {
+            select.appendChild(new Option(style.label, style.id));
+        });
+        return select;
+    }
+
+    // Render the global hide style dropdown and one dropdown per hide reason
+    function renderHideStyleOptions() {
+        createHideStyleSelect(elements.hideStyle);
+
+        CleanFeedCategories.getReasonCategories().forEach(category => {
+            const row = document.createElement('div');
+            row.className = 'reason-style-row';
+
+            const select = createHideStyleSelect(document.createElement('select'), 'Default');
+            select.className = 'setting-input';
+            select.id = `reason-style-${category}`;
+            select.dataset.reason = category;
+
+            const label = document.createElement('label');
+            label.className = 'setting-label';
+            label.htmlFor = select.id;
+            label.textContent = CleanFeedCategories.getReasonLabel(category);
+
+            row.append(label, select);
+            elements.reasonHideStyleList.appendChild(row);
+        });
+    }
+
+    // Set the per-reason hide style dropdowns from settings
+    function setReasonHideStyles(reasonHideStyles) {
+        const styles = CleanFeedHideStyles.normalizeReasonStyles(reasonHideStyles);
+        elements.reasonHideStyleList.querySelectorAll('select[data-reason]').forEach(select => {
+            select.value = styles[select.dataset.reason] || '';
+        });
+    }
+
+    // Read the per-reason hide style dropdowns, leaving out reasons that use the default
+    function getReasonHideStyles() {
+        const styles = {};
+        elements.reasonHideStyleList.querySelectorAll('select[data-reason]').forEach(select => {
+            if (select.value) {
+                styles[select.dataset.reason] = select.value;
+            }
+        });
+        return styles;
+    }
+
+    // Clear the per-reason overrides (form only, saved with the settings)
+    function resetReasonHideStyles() {
+        setReasonHideStyles({});
+        showMessage(elements.settingsMessage, 'All reasons will use the default hide style. Click Save to apply.', 'success');
     }
 
     // Update settings form
@@ -105,6 +480,16 @@
         elements.scanInterval.value = settings.scanInterval || DEFAULT_CONFIG_SETTINGS.scanInterval;
         elements.hideDelay.value = settings.hideDelay || DEFAULT_CONFIG_SETTINGS.hideDelay;
         elements.debugMode.checked = settings.debugMode || DEFAULT_CONFIG_SETTINGS.debugMode;
+        elements.auditMode.checked = settings.auditMode || DEFAULT_CONFIG_SETTINGS.auditMode;
+        elements.safetyScan.checked = settings.safetyScan !== false;
+        elements.hideSponsored.checked = settings.hideSponsored || DEFAULT_CONFIG_SETTINGS.hideSponsored;
+        setCategoryOptions(settings.hideCategories);
+        setDetectorOptions(settings.detectors);
+        setSurfaceOptions(settings.surfaceSettings);
+        elements.locale.value = settings.locale || DEFAULT_CONFIG_SETTINGS.locale;
+        elements.hideStyle.value = CleanFeedHideStyles.normalizeStyle(settings.hideStyle);
+        setReasonHideStyles(settings.reasonHideStyles);
+        elements.badgeCount.value = settings.badgeCount || DEFAULT_CONFIG_SETTINGS.badgeCount;
     }
 
     // Get settings from form
@@ -112,7 +497,17 @@
         return {
             scanInterval: parseInt(elements.scanInterval.value) || DEFAULT_CONFIG_SETTINGS.scanInterval,
             hideDelay: parseInt(elements.hideDelay.value) || DEFAULT_CONFIG_SETTINGS.hideDelay,
-            debugMode: elements.debugMode.checked
+            debugMode: elements.debugMode.checked,
+            auditMode: elements.auditMode.checked,
+            safetyScan: elements.safetyScan.checked,
+            hideSponsored: elements.hideSponsored.checked,
+            hideCategories: getCategoryOptions(),
+            detectors: getDetectorOptions(),
+            surfaceSettings: getSurfaceOptions(),
+            locale: elements.locale.value,
+            hideStyle: elements.hideStyle.value,
+            reasonHideStyles: getReasonHideStyles(),
+            badgeCount: elements.badgeCount.value
         };
     }
 
@@ -137,26 +532,485 @@
         }
     }
 
+    // Fill the language dropdown with the available locale packs
+    function populateLocaleOptions() {
+        CleanFeedLocales.getAvailableLocales().forEach(code => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = CleanFeedLocales.getPack(code).name;
+            elements.locale.appendChild(option);
+        });
+    }
+
+    // Create a dropdown for the rule editor
+    function createSelect(options, labels, value, onChange) {
+        const select = document.createElement('select');
+        select.className = 'setting-input';
+        options.forEach(option => {
+            const optionElement = document.createElement('option');
+            optionElement.value = option;
+            optionElement.textContent = labels[option];
+            select.appendChild(optionElement);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        return select;
+    }
+
+    // Create a small button for the rule editor
+    function createRuleButton(label, title, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.className = 'button small secondary';
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    // Move a rule up or down in the editor
+    function moveRule(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= editorRules.length) return;
+        [editorRules[index], editorRules[target]] = [editorRules[target], editorRules[index]];
+        renderRules();
+    }
+
+    // Render the rule editor from editorRules
+    function renderRules() {
+        elements.ruleList.textContent = '';
+
+        if (editorRules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'setting-description';
+            empty.textContent = 'No rules configured. Posts will not be filtered by button text.';
+            elements.ruleList.appendChild(empty);
+            return;
+        }
+
+        editorRules.forEach((rule, index) => {
+            const error = CleanFeedRules.validateRule(rule);
+            const row = document.createElement('div');
+            row.className = 'rule-row';
+            if (!rule.enabled) row.classList.add('disabled');
+            if (error) row.classList.add('invalid');
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.className = 'checkbox';
+            enabled.checked = rule.enabled;
+            enabled.title = 'Enable this rule';
+            enabled.addEventListener('change', () => {
+                rule.enabled = enabled.checked;
+                renderRules();
+            });
+
+            const pattern = document.createElement('input');
+            pattern.type = 'text';
+            pattern.className = 'setting-input';
+            if (rule.term) {
+                // Term rules take their texts from the language pack and cannot be edited
+                pattern.value = `${CleanFeedLocales.TERM_LABELS[rule.term]} (language pack)`;
+                pattern.title = `Matches the ${CleanFeedLocales.TERM_LABELS[rule.term]} button in the active language`;
+                pattern.readOnly = true;
+            } else {
+                pattern.value = rule.pattern;
+            }
+            pattern.placeholder = 'Button text, e.g. follow';
+            pattern.addEventListener('change', () => {
+                rule.pattern = pattern.value;
+                renderRules();
+            });
+
+            const matchType = createSelect(CleanFeedRules.MATCH_TYPES, MATCH_TYPE_LABELS, rule.matchType, value => {
+                rule.matchType = value;
+                renderRules();
+            });
+
+            const target = createSelect(CleanFeedRules.TARGETS, TARGET_LABELS, rule.target, value => {
+                rule.target = value;
+            });
+
+            const surface = createSelect(Object.keys(SURFACE_SCOPE_LABELS), SURFACE_SCOPE_LABELS, rule.surface, value => {
+                rule.surface = value;
+            });
+            surface.title = 'Pages this rule is used on';
+
+            row.append(
+                enabled,
+                pattern,
+                matchType,
+                target,
+                surface,
+                createRuleButton('↑', 'Move up', () => moveRule(index, -1), index === 0),
+                createRuleButton('↓', 'Move down', () => moveRule(index, 1), index === editorRules.length - 1),
+                createRuleButton('✕', 'Remove rule', () => {
+                    editorRules.splice(index, 1);
+                    renderRules();
+                })
+            );
+            elements.ruleList.appendChild(row);
+
+            if (error) {
+                const errorElement = document.createElement('div');
+                errorElement.className = 'rule-error';
+                errorElement.textContent = error;
+                elements.ruleList.appendChild(errorElement);
+            }
+        });
+    }
+
+    // Add an empty rule to the editor
+    function addRule() {
+        editorRules.push(CleanFeedRules.normalizeRule({ pattern: '', matchType: 'prefix', target: 'both' }));
+        renderRules();
+        const inputs = elements.ruleList.querySelectorAll('.rule-row input[type="text"]');
+        if (inputs.length > 0) inputs[inputs.length - 1].focus();
+    }
+
+    // Save the rules from the editor
+    async function saveRules() {
+        const invalidIndex = editorRules.findIndex(rule => CleanFeedRules.validateRule(rule));
+        if (invalidIndex !== -1) {
+            showMessage(elements.rulesMessage, `Rule ${invalidIndex + 1}: ${CleanFeedRules.validateRule(editorRules[invalidIndex])}`, 'error');
+            return;
+        }
+
+        const filterRules = editorRules.map(rule => CleanFeedRules.normalizeRule(rule));
+        const success = await saveSettings({ filterRules });
+
+        if (success) {
+            showMessage(elements.rulesMessage, 'Rules saved successfully!', 'success');
+            await notifyContentScripts({ filterRules });
+        } else {
+            showMessage(elements.rulesMessage, 'Failed to save rules', 'error');
+        }
+    }
+
+    // Reset the rule editor to the default rules (UI only)
+    function resetRulesToDefaults() {
+        editorRules = CleanFeedRules.getDefaultRules();
+        renderRules();
+        showMessage(elements.rulesMessage, 'Rules reset to defaults in editor. Click Save Rules to apply.', 'success');
+    }
+
+    // Render the keyword editor from editorKeywords
+    function renderKeywords() {
+        elements.keywordList.textContent = '';
+
+        if (editorKeywords.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'setting-description';
+            empty.textContent = 'No keywords configured. Posts will not be filtered by their text.';
+            elements.keywordList.appendChild(empty);
+            return;
+        }
+
+        editorKeywords.forEach((keyword, index) => {
+            const error = CleanFeedKeywords.validateKeyword(keyword);
+            const row = document.createElement('div');
+            row.className = 'rule-row';
+            if (!keyword.enabled) row.classList.add('disabled');
+            if (error) row.classList.add('invalid');
+
+            const enabled = document.createElement('input');
+            enabled.type = 'checkbox';
+            enabled.className = 'checkbox';
+            enabled.checked = keyword.enabled;
+            enabled.title = 'Enable this keyword';
+            enabled.addEventListener('change', () => {
+                keyword.enabled = enabled.checked;
+                renderKeywords();
+            });
+
+            const pattern = document.createElement('input');
+            pattern.type = 'text';
+            pattern.className = 'setting-input';
+            pattern.value = keyword.pattern;
+            pattern.placeholder = 'Keyword, e.g. spoiler*';
+            pattern.addEventListener('change', () => {
+                keyword.pattern = pattern.value;
+                renderKeywords();
+            });
+
+            const matchType = createSelect(CleanFeedKeywords.MATCH_TYPES, KEYWORD_MATCH_TYPE_LABELS, keyword.matchType, value => {
+                keyword.matchType = value;
+                renderKeywords();
+            });
+
+            const surface = createSelect(Object.keys(SURFACE_SCOPE_LABELS), SURFACE_SCOPE_LABELS, keyword.surface, value => {
+                keyword.surface = value;
+            });
+            surface.title = 'Pages this keyword is used on';
+
+            row.append(
+                enabled,
+                pattern,
+                matchType,
+                surface,
+                createRuleButton('✕', 'Remove keyword', () => {
+                    editorKeywords.splice(index, 1);
+                    renderKeywords();
+                })
+            );
+            elements.keywordList.appendChild(row);
+
+            if (error) {
+                const errorElement = document.createElement('div');
+                errorElement.className = 'rule-error';
+                errorElement.textContent = error;
+                elements.keywordList.appendChild(errorElement);
+            }
+        });
+    }
+
+    // Add an empty keyword to the editor
+    function addKeyword() {
+        editorKeywords.push(CleanFeedKeywords.normalizeKeyword({ pattern: '', matchType: 'word' }));
+        renderKeywords();
+        const inputs = elements.keywordList.querySelectorAll('.rule-row input[type="text"]');
+        if (inputs.length > 0) inputs[inputs.length - 1].focus();
+    }
+
+    // Save the keywords from the editor
+    async function saveKeywords() {
+        const invalidIndex = editorKeywords.findIndex(keyword => CleanFeedKeywords.validateKeyword(keyword));
+        if (invalidIndex !== -1) {
+            showMessage(elements.keywordsMessage, `Keyword ${invalidIndex + 1}: ${CleanFeedKeywords.validateKeyword(editorKeywords[invalidIndex])}`, 'error');
+            return;
+        }
+
+        const keywordRules = editorKeywords.map(keyword => CleanFeedKeywords.normalizeKeyword(keyword));
+        const success = await saveSettings({ keywordRules });
+
+        if (success) {
+            showMessage(elements.keywordsMessage, 'Keywords saved successfully!', 'success');
+            await notifyContentScripts({ keywordRules });
+        } else {
+            showMessage(elements.keywordsMessage, 'Failed to save keywords', 'error');
+        }
+    }
+
+    // Render the schedule editor from editorWindows
+    function renderScheduleWindows() {
+        elements.scheduleWindowList.textContent = '';
+
+        if (editorWindows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'setting-description';
+            empty.textContent = 'No time windows. Posts are filtered all the time.';
+            elements.scheduleWindowList.appendChild(empty);
+            return;
+        }
+
+        editorWindows.forEach((timeWindow, index) => {
+            const error = CleanFeedSchedule.validateWindow(timeWindow);
+            const row = document.createElement('div');
+            row.className = 'rule-row';
+            if (error) row.classList.add('invalid');
+
+            const days = document.createElement('div');
+            days.className = 'schedule-days';
+            CleanFeedSchedule.WEEK_ORDER.forEach(day => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = timeWindow.days.includes(day);
+                checkbox.addEventListener('change', () => {
+                    timeWindow.days = CleanFeedSchedule.WEEK_ORDER.filter(other =>
+                        other === day ? checkbox.checked : timeWindow.days.includes(other));
+                    renderScheduleWindows();
+                });
+                label.append(checkbox, CleanFeedSchedule.DAY_NAMES[day]);
+                days.appendChild(label);
+            });
+
+            const createTimeInput = (value, title, onChange) => {
+                const input = document.createElement('input');
+                input.type = 'time';
+                input.className = 'setting-input';
+                input.value = value;
+                input.title = title;
+                input.addEventListener('change', () => {
+                    onChange(input.value);
+                    renderScheduleWindows();
+                });
+                return input;
+            };
+
+            const to = document.createElement('span');
+            to.textContent = 'to';
+
+            // Windows turn filtering off in the except mode, a profile only matters while they filter posts
+            const profile = createSelect(
+                CleanFeedSchedule.PROFILES.map(entry => entry.id),
+                CleanFeedSchedule.PROFILES.reduce((labels, entry) => ({ ...labels, [entry.id]: entry.label }), {}),
+                timeWindow.profile,
+                value => { timeWindow.profile = value; }
+            );
+            profile.title = 'How posts are filtered during this time window';
+            profile.disabled = elements.scheduleMode.value === 'except';
+
+            row.append(
+                days,
+                createTimeInput(timeWindow.start, 'Start time', value => { timeWindow.start = value; }),
+                to,
+                createTimeInput(timeWindow.end, 'End time, before the start time to end the next day', value => { timeWindow.end = value; }),
+                profile,
+                createRuleButton('✕', 'Remove time window', () => {
+                    editorWindows.splice(index, 1);
+                    renderScheduleWindows();
+                })
+            );
+            elements.scheduleWindowList.appendChild(row);
+
+            if (error) {
+                const errorElement = document.createElement('div');
+                errorElement.className = 'rule-error';
+                errorElement.textContent = error;
+                elements.scheduleWindowList.appendChild(errorElement);
+            }
+        });
+    }
+
+    // Fill the schedule section from a stored schedule
+    function updateScheduleForm(schedule) {
+        const normalized = CleanFeedSchedule.normalizeSchedule(schedule);
+        elements.scheduleEnabled.checked = normalized.enabled;
+        elements.scheduleMode.value = normalized.mode;
+        editorWindows = normalized.windows;
+        renderScheduleWindows();
+    }
+
+    // Add a time window to the editor, working hours on weekdays to start from
+    function addScheduleWindow() {
+        editorWindows.push({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', profile: CleanFeedSchedule.DEFAULT_PROFILE });
+        renderScheduleWindows();
+    }
+
+    // Save the schedule, the background script applies it in every tab
+    async function saveSchedule() {
+        const invalidIndex = editorWindows.findIndex(timeWindow => CleanFeedSchedule.validateWindow(timeWindow));
+        if (invalidIndex !== -1) {
+            showMessage(elements.scheduleMessage, `Time window ${invalidIndex + 1}: ${CleanFeedSchedule.validateWindow(editorWindows[invalidIndex])}`, 'error');
+            return;
+        }
+
+        const schedule = CleanFeedSchedule.normalizeSchedule({
+            enabled: elements.scheduleEnabled.checked,
+            mode: elements.scheduleMode.value,
+            windows: editorWindows
+        });
+        if (await saveSettings({ schedule })) {
+            const windows = schedule.windows.map(CleanFeedSchedule.describeWindow).join('; ');
+            showMessage(elements.scheduleMessage, schedule.enabled && windows
+                ? `Schedule saved: ${windows}`
+                : 'Schedule saved, posts are filtered all the time.', 'success');
+        } else {
+            showMessage(elements.scheduleMessage, 'Failed to save schedule', 'error');
+        }
+    }
+
+    // Fill the source list text areas
+    function updateSourcesForm(settings) {
+        elements.allowlist.value = CleanFeedSources.normalizeList(settings.allowlist).join('\n');
+        elements.blocklist.value = CleanFeedSources.normalizeList(settings.blocklist).join('\n');
+    }
+
+    // Save the allowlist and blocklist
+    async function saveSources() {
+        const allowlist = CleanFeedSources.normalizeList(elements.allowlist.value.split('\n'));
+        const blocklist = CleanFeedSources.normalizeList(elements.blocklist.value.split('\n'));
+        const success = await saveSettings({ allowlist, blocklist });
+
+        if (success) {
+            updateSourcesForm({ allowlist, blocklist });
+            showMessage(elements.sourcesMessage, 'Sources saved successfully!', 'success');
+            await notifyContentScripts({ allowlist, blocklist });
+        } else {
+            showMessage(elements.sourcesMessage, 'Failed to save sources', 'error');
+        }
+    }
+
+    // Load the hidden posts log of all tabs
+    async function loadHiddenLog() {
+        const entries = await CleanFeedLogView.fetchEntries();
+        CleanFeedLogView.render(elements.hiddenLog, entries, { showTab: true });
+    }
+
+    // Clear the hidden posts log (the posts stay hidden)
+    async function clearHiddenLog() {
+        try {
+            await browserAPI.runtime.sendMessage({ type: 'CLEAR_HIDDEN_LOG' });
+            await loadHiddenLog();
+            showMessage(elements.logMessage, 'Log cleared', 'success');
+        } catch (error) {
+            console.error('Error clearing hidden posts log:', error);
+            showMessage(elements.logMessage, 'Error clearing the log', 'error');
+        }
+    }
+
+    // Get the daily history of the last days from the background script
+    async function fetchHistory(days) {
+        try {
+            const history = await browserAPI.runtime.sendMessage({ type: 'GET_HISTORY', days: days });
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            console.error('Error loading statistics history:', error);
+            return [];
+        }
+    }
+
+    // Draw the history chart for the selected range
+    async function loadHistory() {
+        const history = await fetchHistory(historyDays);
+        if (history.length > 0) {
+            CleanFeedHistoryChart.render(elements.historyChart, history);
+        }
+    }
+
+    // Switch the history chart to another range
+    function setHistoryRange(event) {
+        const days = parseInt(event.target.dataset.days);
+        if (!days) return;
+
+        historyDays = days;
+        elements.historyRanges.querySelectorAll('[data-days]').forEach(button => {
+            button.classList.toggle('active', button === event.target);
+        });
+        loadHistory();
+    }
+
+    // Download the whole history as CSV, starting at the first day with hidden posts
+    async function exportHistory() {
+        const history = await fetchHistory(365); // The background script keeps a year
+        const first = history.findIndex(day => day.total > 0);
+        if (first === -1) {
+            showMessage(elements.resetMessage, 'No history to export yet', 'error');
+            return;
+        }
+
+        const blob = new Blob([CleanFeedHistoryChart.toCsv(history.slice(first))], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `cleanfeedfb-history-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     // Reset all statistics
     async function resetAllStatistics() {
-        if (!confirm('Are you sure you want to reset all statistics? This action cannot be undone.')) {
+        if (!confirm('Are you sure you want to reset all statistics, including the daily history? This action cannot be undone.')) {
             return;
         }
 
         try {
-            const currentSettings = await loadSettings();
-            const resetData = {
-                ...currentSettings, // Keep all current settings
-                hiddenCount: 0,
-                totalHidden: 0,
-                lastResetDate: new Date().toDateString(),
-                firstInstallDate: new Date().toDateString()
-            };
-
-            const success = await saveSettings(resetData);
+            const statistics = await browserAPI.runtime.sendMessage({ type: 'RESET_STATISTICS' });
             
-            if (success) {
-                updateStatistics(resetData);
+            if (statistics) {
+                updateStatistics(statistics);
+                await loadHistory();
                 showMessage(elements.resetMessage, 'Statistics reset successfully!', 'success');
             } else {
                 showMessage(elements.resetMessage, 'Failed to reset statistics', 'error');
@@ -172,6 +1026,16 @@
         elements.scanInterval.value = DEFAULT_CONFIG_SETTINGS.scanInterval;
         elements.hideDelay.value = DEFAULT_CONFIG_SETTINGS.hideDelay;
         elements.debugMode.checked = DEFAULT_CONFIG_SETTINGS.debugMode;
+        elements.auditMode.checked = DEFAULT_CONFIG_SETTINGS.auditMode;
+        elements.safetyScan.checked = DEFAULT_CONFIG_SETTINGS.safetyScan;
+        elements.hideSponsored.checked = DEFAULT_CONFIG_SETTINGS.hideSponsored;
+        setCategoryOptions(DEFAULT_CONFIG_SETTINGS.hideCategories);
+        setDetectorOptions(DEFAULT_CONFIG_SETTINGS.detectors);
+        setSurfaceOptions(DEFAULT_CONFIG_SETTINGS.surfaceSettings);
+        elements.locale.value = DEFAULT_CONFIG_SETTINGS.locale;
+        elements.hideStyle.value = DEFAULT_CONFIG_SETTINGS.hideStyle;
+        setReasonHideStyles({});
+        elements.badgeCount.value = DEFAULT_CONFIG_SETTINGS.badgeCount;
         
         showMessage(elements.settingsMessage, 'Settings reset to defaults in form. Click Save to apply.', 'success');
     }
@@ -180,10 +1044,9 @@
     async function saveMainSettings() {
         try {
             const formSettings = getSettingsFromForm();
-            const currentSettings = await loadSettings();
-            const updatedSettings = { ...currentSettings, ...formSettings };
 
-            const success = await saveSettings(updatedSettings);
+            // Only the form settings are written, statistics are owned by the background script
+            const success = await saveSettings(formSettings);
             
             if (success) {
                 showMessage(elements.settingsMessage, 'Settings saved successfully!', 'success');
@@ -197,19 +1060,250 @@
         }
     }
 
+    // Download the settings, rules and lists as a JSON file
+    async function exportSettings() {
+        try {
+            const stored = await browserAPI.storage.sync.get(DEFAULT_SETTINGS);
+            const data = CleanFeedSettingsTransfer.createExport(stored, browserAPI.runtime.getManifest().version);
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `cleanfeedfb-settings-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            showMessage(elements.transferMessage, 'Settings exported', 'success');
+        } catch (error) {
+            console.error('Error exporting settings:', error);
+            showMessage(elements.transferMessage, 'Failed to export settings', 'error');
+        }
+    }
+
+    // Show the selector pack in use, stored in local storage
+    async function loadSelectorPackInfo() {
+        try {
+            const result = await browserAPI.storage.local.get({ selectorPack: null });
+            const pack = CleanFeedSelectors.resolvePack(result.selectorPack);
+            elements.selectorPackInfo.textContent = CleanFeedSelectors.isBuiltIn(pack)
+                ? `${CleanFeedSelectors.describePack(pack)}, shipped with the extension`
+                : `${CleanFeedSelectors.describePack(pack)}, imported. The built-in pack is version ${CleanFeedSelectors.BUILT_IN_PACK.version}.`;
+            elements.resetSelectorPack.disabled = CleanFeedSelectors.isBuiltIn(pack);
+        } catch (error) {
+            console.error('Error loading the selector pack:', error);
+            elements.selectorPackInfo.textContent = 'The selector pack could not be loaded';
+        }
+    }
+
+    // Import a selector pack from the chosen file, refusing invalid packs and packs older than the built-in one
+    async function importSelectorPackFile() {
+        const file = elements.selectorPackFile.files[0];
+        elements.selectorPackFile.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        try {
+            const result = CleanFeedSelectors.parsePack(await file.text());
+            if (result.errors.length > 0) {
+                const more = result.errors.length > 3 ? ` (and ${result.errors.length - 3} more)` : '';
+                showMessage(elements.selectorPackMessage, `Import failed: ${result.errors.slice(0, 3).join('; ')}${more}`, 'error', 8000);
+                return;
+            }
+            if (result.pack.version < CleanFeedSelectors.BUILT_IN_PACK.version) {
+                showMessage(elements.selectorPackMessage, `Import failed: this pack (version ${result.pack.version}) is older than the built-in one (version ${CleanFeedSelectors.BUILT_IN_PACK.version})`, 'error', 8000);
+                return;
+            }
+
+            await browserAPI.storage.local.set({ selectorPack: result.pack });
+            await loadSelectorPackInfo();
+            showMessage(elements.selectorPackMessage, `Selector pack ${CleanFeedSelectors.describePack(result.pack)} imported`, 'success');
+            await notifyContentScripts({ selectorPack: result.pack });
+        } catch (error) {
+            console.error('Error importing the selector pack:', error);
+            showMessage(elements.selectorPackMessage, `Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Go back to the built-in selector pack
+    async function resetSelectorPack() {
+        try {
+            await browserAPI.storage.local.remove('selectorPack');
+            await loadSelectorPackInfo();
+            showMessage(elements.selectorPackMessage, 'Using the built-in selector pack', 'success');
+            await notifyContentScripts({ selectorPack: null });
+        } catch (error) {
+            console.error('Error resetting the selector pack:', error);
+            showMessage(elements.selectorPackMessage, 'Failed to reset the selector pack', 'error');
+        }
+    }
+
+    // Find the Facebook tab to check: the active one of the last focused window, else the most recently used one
+    async function findFacebookTab() {
+        const tabs = await browserAPI.tabs.query({ url: '*://*.facebook.com/*' });
+        if (tabs.length === 0) return null;
+        return tabs.slice().sort((a, b) => (b.active - a.active) || ((b.lastAccessed || 0) - (a.lastAccessed || 0)))[0];
+    }
+
+    // Ask the Facebook tab for its diagnostics, null when there is no tab to ask
+    async function requestDiagnostics(includeSkeleton) {
+        const tab = await findFacebookTab();
+        if (!tab) {
+            showMessage(elements.diagnosticsMessage, 'Open Facebook in a tab first', 'error');
+            return null;
+        }
+
+        try {
+            return await browserAPI.tabs.sendMessage(tab.id, { type: 'GET_DIAGNOSTICS', includeSkeleton: includeSkeleton });
+        } catch (error) {
+            console.error('Error getting diagnostics:', error);
+            showMessage(elements.diagnosticsMessage, 'The Facebook tab did not answer, reload it and try again', 'error', 5000);
+            return null;
+        }
+    }
+
+    // Show the health of the filtering in the Facebook tab
+    async function runDiagnostics() {
+        const diagnostics = await requestDiagnostics(false);
+        if (!diagnostics) return;
+
+        elements.diagnosticsTable.textContent = '';
+        CleanFeedDiagnostics.describe(diagnostics).forEach(row => {
+            const tableRow = document.createElement('tr');
+            if (row.problem) tableRow.className = 'problem';
+
+            const label = document.createElement('th');
+            label.textContent = row.label;
+            const value = document.createElement('td');
+            value.textContent = row.value;
+
+            tableRow.append(label, value);
+            elements.diagnosticsTable.appendChild(tableRow);
+        });
+        elements.diagnosticsTable.hidden = false;
+    }
+
+    // Download the diagnostics of the Facebook tab with the redacted layout of its feed, to attach to an issue
+    async function downloadDiagnosticsReport() {
+        const diagnostics = await requestDiagnostics(true);
+        if (!diagnostics) return;
+
+        try {
+            const settings = await browserAPI.storage.sync.get(DEFAULT_SETTINGS);
+            const report = CleanFeedDiagnostics.createReport(diagnostics, settings, browserAPI.runtime.getManifest().version, navigator.userAgent);
+            const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `cleanfeedfb-diagnostics-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            showMessage(elements.diagnosticsMessage, 'Report downloaded. Check it before attaching it to an issue.', 'success', 5000);
+        } catch (error) {
+            console.error('Error creating the diagnostics report:', error);
+            showMessage(elements.diagnosticsMessage, 'Failed to create the report', 'error');
+        }
+    }
+
+    // Import the file picked in the file dialog
+    async function importSettingsFile() {
+        const file = elements.importFile.files[0];
+        elements.importFile.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        try {
+            const result = CleanFeedSettingsTransfer.parseImport(await file.text());
+            if (result.errors.length > 0) {
+                const more = result.errors.length > 3 ? ` (and ${result.errors.length - 3} more)` : '';
+                showMessage(elements.transferMessage, `Import failed: ${result.errors.slice(0, 3).join('; ')}${more}`, 'error', 8000);
+                return;
+            }
+
+            const mode = document.querySelector('input[name="importMode"]:checked').value;
+            const action = mode === 'merge' ? 'be merged with' : 'replace';
+            if (!confirm(`Import ${CleanFeedSettingsTransfer.describe(result.document)}?\n\nThe rules, keywords and sources will ${action} the current ones.`)) {
+                return;
+            }
+
+            const current = await browserAPI.storage.sync.get(DEFAULT_SETTINGS);
+            const imported = CleanFeedSettingsTransfer.buildImportedSettings(result.document, current, mode);
+            if (!await saveSettings(imported)) {
+                showMessage(elements.transferMessage, 'Failed to save the imported settings', 'error');
+                return;
+            }
+
+            // Show the imported values in the other sections
+            const settings = await loadSettings();
+            updateSettingsForm(settings);
+            editorRules = settings.filterRules.map(rule => CleanFeedRules.normalizeRule(rule));
+            renderRules();
+            editorKeywords = settings.keywordRules.map(keyword => CleanFeedKeywords.normalizeKeyword(keyword));
+            renderKeywords();
+            updateSourcesForm(settings);
+            updateScheduleForm(settings.schedule);
+
+            const upgraded = result.fromVersion < CleanFeedSettingsTransfer.SCHEMA_VERSION
+                ? ` (upgraded from schema version ${result.fromVersion})`
+                : '';
+            showMessage(elements.transferMessage, `Settings imported${upgraded}`, 'success');
+            await notifyContentScripts(imported);
+        } catch (error) {
+            console.error('Error importing settings:', error);
+            showMessage(elements.transferMessage, `Import failed: ${error.message}`, 'error');
+        }
+    }
+
     // Initialize the options page
     async function initialize() {
         console.log('Initializing options page...');
         
         try {
             const settings = await loadSettings();
+            elements.extensionVersion.textContent = browserAPI.runtime.getManifest().version;
+            populateLocaleOptions();
+            renderCategoryOptions();
+            renderDetectorOptions();
+            renderSurfaceOptions();
+            renderHideStyleOptions();
             updateStatistics(settings);
             updateSettingsForm(settings);
+            editorRules = settings.filterRules.map(rule => CleanFeedRules.normalizeRule(rule));
+            renderRules();
+            editorKeywords = settings.keywordRules.map(keyword => CleanFeedKeywords.normalizeKeyword(keyword));
+            renderKeywords();
+            updateSourcesForm(settings);
+            updateScheduleForm(settings.schedule);
+            await loadSelectorPackInfo();
+            await loadHiddenLog();
+            await loadHistory();
             
             // Add event listeners
             elements.resetStats.addEventListener('click', resetAllStatistics);
+            elements.historyRanges.addEventListener('click', setHistoryRange);
+            elements.exportHistory.addEventListener('click', exportHistory);
+            elements.refreshLog.addEventListener('click', loadHiddenLog);
+            elements.clearLog.addEventListener('click', clearHiddenLog);
             elements.saveSettings.addEventListener('click', saveMainSettings);
             elements.resetSettings.addEventListener('click', resetSettingsToDefaults);
+            elements.resetReasonHideStyles.addEventListener('click', resetReasonHideStyles);
+            elements.addRule.addEventListener('click', addRule);
+            elements.saveRules.addEventListener('click', saveRules);
+            elements.resetRules.addEventListener('click', resetRulesToDefaults);
+            elements.addKeyword.addEventListener('click', addKeyword);
+            elements.saveKeywords.addEventListener('click', saveKeywords);
+            elements.saveSources.addEventListener('click', saveSources);
+            elements.addScheduleWindow.addEventListener('click', addScheduleWindow);
+            elements.scheduleMode.addEventListener('change', renderScheduleWindows);
+            elements.saveSchedule.addEventListener('click', saveSchedule);
+            elements.exportSettings.addEventListener('click', exportSettings);
+            elements.importSettings.addEventListener('click', () => elements.importFile.click());
+            elements.importFile.addEventListener('change', importSettingsFile);
+            elements.importSelectorPack.addEventListener('click', () => elements.selectorPackFile.click());
+            elements.selectorPackFile.addEventListener('change', importSelectorPackFile);
+            elements.resetSelectorPack.addEventListener('click', resetSelectorPack);
+            elements.runDiagnostics.addEventListener('click', runDiagnostics);
+            elements.downloadDiagnostics.addEventListener('click', downloadDiagnosticsReport);
             
             // Add input validation
             elements.scanInterval.addEventListener('input', (e) => {
@@ -235,9 +1329,34 @@
         browserAPI.storage.onChanged.addListener((changes, namespace) => {
             if (namespace === 'sync') {
                 // Update statistics if counts changed
-                if (changes.hiddenCount || changes.totalHidden) {
+                if (changes.hiddenCount || changes.totalHidden || changes.hiddenByReason) {
                     loadSettings().then(updateStatistics);
+                    loadHistory();
                 }
+
+                // Keep the sponsored and audit checkboxes in sync with the popup toggles
+                if (changes.hideSponsored) {
+                    elements.hideSponsored.checked = changes.hideSponsored.newValue;
+                }
+                if (changes.auditMode) {
+                    elements.auditMode.checked = changes.auditMode.newValue;
+                }
+
+                // Sources and hide styles can be changed from the collapsed bars on Facebook
+                if (changes.allowlist) {
+                    elements.allowlist.value = (changes.allowlist.newValue || []).join('\n');
+                }
+                if (changes.blocklist) {
+                    elements.blocklist.value = (changes.blocklist.newValue || []).join('\n');
+                }
+                if (changes.reasonHideStyles) {
+                    setReasonHideStyles(changes.reasonHideStyles.newValue);
+                }
+            }
+
+            // Keep the hidden posts log current while posts are being hidden or shown
+            if (namespace === 'session' && changes.hiddenLog) {
+                loadHiddenLog();
             }
         });
     }
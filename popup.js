@@ -6,10 +6,32 @@
     const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
 
     const toggleSwitch = document.getElementById('toggleSwitch');
+    const sponsoredSwitch = document.getElementById('sponsoredSwitch');
+    const auditSwitch = document.getElementById('auditSwitch');
     const status = document.getElementById('status');
     const hiddenCount = document.getElementById('hiddenCount');
     const optionsLink = document.getElementById('optionsLink');
     const debugInfo = document.getElementById('debugInfo');
+    const hiddenLog = document.getElementById('hiddenLog');
+    const tabStatus = document.getElementById('tabStatus');
+    const rescanTab = document.getElementById('rescanTab');
+    const revealTab = document.getElementById('revealTab');
+    const pauseTab = document.getElementById('pauseTab');
+    const snoozeActions = document.getElementById('snoozeActions');
+    const resumeNow = document.getElementById('resumeNow');
+
+    // Descriptions of the states a content script reports for its tab, {surface} is the name of the page
+    const TAB_STATUS_TEXT = {
+        active: '✅ Watching {surface}',
+        'no-feed': '⚠️ Posts of {surface} not found, using the slower fallback scan',
+        inactive: 'ℹ️ Nothing to filter on this page',
+        paused: '⏸️ Paused in this tab',
+        disabled: '⏸️ Turned off in all tabs',
+        error: '❌ Settings could not be loaded, reload the page'
+    };
+
+    // State of the current tab as last reported by its content script
+    let currentTabStatus = null;
 
     // Debug mode - set to true to see debug info
     const DEBUG_MODE = false;
@@ -25,27 +47,157 @@
     // Load current state
     async function loadState() {
         try {
-            // Reset daily counter first
-            const todayCount = await resetDailyCounterIfNeeded();
-            
             const result = await browserAPI.storage.sync.get({
                 enabled: true,
-                hiddenCount: todayCount
+                hideSponsored: false,
+                auditMode: false,
+                snoozeUntil: 0,
+                schedule: CleanFeedSchedule.getDefaultSchedule()
             });
+            const statistics = await getStatistics();
 
-            updateUI(result.enabled, result.hiddenCount);
+            updateUI(result.enabled, statistics.hiddenCount, result.auditMode, CleanFeedSchedule.getState(result));
+            updateSponsoredUI(result.hideSponsored);
         } catch (error) {
             console.error('Error loading state:', error);
             updateUI(true, 0); // Default values
         }
     }
 
+    // Load the hidden posts log of the active tab
+    async function loadHiddenLog() {
+        try {
+            const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+            if (!tab || !tab.url || !tab.url.includes('facebook.com')) {
+                CleanFeedLogView.render(hiddenLog, [], { emptyText: 'Open Facebook to see the posts hidden there.' });
+                return;
+            }
+
+            const entries = await CleanFeedLogView.fetchEntries(tab.id);
+            CleanFeedLogView.render(hiddenLog, entries);
+        } catch (error) {
+            addDebugInfo(`Hidden log error: ${error.message}`);
+        }
+    }
+
+    // Get the active tab when it shows Facebook
+    async function getFacebookTab() {
+        const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
+        return (tab && tab.url && tab.url.includes('facebook.com')) ? tab : null;
+    }
+
+    // Show the state of the current tab and enable the actions that apply to it
+    function updateTabUI(text, state) {
+        currentTabStatus = state ? state.status : null;
+        tabStatus.textContent = text;
+
+        const filtering = currentTabStatus === 'active' || currentTabStatus === 'no-feed';
+        rescanTab.disabled = !filtering && currentTabStatus !== 'error';
+        revealTab.disabled = !filtering || state.hiddenOnPage === 0;
+        pauseTab.disabled = !filtering && currentTabStatus !== 'paused';
+        pauseTab.textContent = currentTabStatus === 'paused' ? 'Resume tab' : 'Pause tab';
+    }
+
+    // Load the state of the current tab from its content script
+    async function loadTabStatus() {
+        try {
+            const tab = await getFacebookTab();
+            if (!tab) {
+                updateTabUI('Open Facebook to use these actions.', null);
+                return;
+            }
+
+            const state = await browserAPI.tabs.sendMessage(tab.id, { type: 'GET_TAB_STATUS' });
+            const hidden = state.hiddenOnPage > 0 ? ` · ${state.hiddenOnPage} hidden on this page` : '';
+            const adapter = CleanFeedSurfaces.getAdapter(state.surface);
+            const text = (TAB_STATUS_TEXT[state.status] || state.status).replace('{surface}', adapter ? adapter.label : 'the feed');
+            updateTabUI(`${text}${hidden}`, state);
+        } catch (error) {
+            addDebugInfo(`Tab status error: ${error.message}`);
+            updateTabUI('CleanFeedFB is not running in this tab yet, reload the page.', null);
+        }
+    }
+
+    // Send a quick action to the content script of the current tab, then show the new state
+    async function sendTabAction(message, delay = 0) {
+        try {
+            const tab = await getFacebookTab();
+            if (!tab) return;
+
+            const response = await browserAPI.tabs.sendMessage(tab.id, message);
+            addDebugInfo(`${message.type} response: ${JSON.stringify(response)}`);
+        } catch (error) {
+            addDebugInfo(`${message.type} error: ${error.message}`);
+        }
+
+        // Give the content script time to filter the page again before reading its state
+        setTimeout(() => {
+            loadTabStatus();
+            loadHiddenLog();
+        }, delay);
+    }
+
+    // Filter the current page from scratch
+    function rescanCurrentTab() {
+        sendTabAction({ type: 'REFRESH_STATE' }, 500);
+    }
+
+    // Show the posts hidden on the current page until the next rescan
+    function revealCurrentTab() {
+        sendTabAction({ type: 'REVEAL_ALL' });
+    }
+
+    // Pause or resume filtering in the current tab only, the on/off switch of the other tabs is left alone
+    function togglePauseCurrentTab() {
+        const paused = currentTabStatus !== 'paused';
+        sendTabAction({ type: 'PAUSE_TAB', paused: paused }, paused ? 0 : 500);
+    }
+
+    // Format the time of the next automatic change, with the day when it is not today
+    function formatUntil(timestamp) {
+        const date = new Date(timestamp);
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return date.toDateString() === new Date().toDateString()
+            ? time
+            : `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+    }
+
     // Update the UI based on current state
-    function updateUI(enabled, count) {
-        addDebugInfo(`updateUI: enabled=${enabled}, count=${count}`);
+    // filtering is the state from CleanFeedSchedule.getState, telling whether a snooze or the schedule turned filtering off
+    function updateUI(enabled, count, auditMode, filtering) {
+        addDebugInfo(`updateUI: enabled=${enabled}, count=${count}, auditMode=${auditMode}, filtering=${filtering ? filtering.reason : 'unknown'}`);
         
-        // Update toggle switch
-        if (enabled) {
+        // Snoozing applies only while the extension is on
+        const reason = filtering ? filtering.reason : 'on';
+        snoozeActions.querySelectorAll('[data-snooze]').forEach(button => {
+            button.disabled = !enabled;
+        });
+        resumeNow.hidden = reason !== 'snoozed';
+
+        // Update toggle switches
+        auditSwitch.classList.toggle('enabled', !!auditMode);
+        if (enabled && reason === 'snoozed') {
+            toggleSwitch.classList.add('enabled');
+            status.className = 'status disabled';
+            status.textContent = `⏰ Paused until ${formatUntil(filtering.until)}`;
+        } else if (enabled && reason === 'scheduled') {
+            toggleSwitch.classList.add('enabled');
+            status.className = 'status disabled';
+            status.textContent = filtering.until
+                ? `📅 Off by schedule until ${formatUntil(filtering.until)}`
+                : '📅 Off by schedule';
+        } else if (enabled && auditMode) {
+            toggleSwitch.classList.add('enabled');
+            status.className = 'status enabled';
+            status.textContent = '🔍 Audit - Outlining posts instead of hiding';
+        } else if (enabled && filtering && filtering.profile !== CleanFeedSchedule.DEFAULT_PROFILE) {
+            const label = CleanFeedSchedule.getProfile(filtering.profile).label;
+            toggleSwitch.classList.add('enabled');
+            status.className = 'status enabled';
+            status.textContent = filtering.until
+                ? `📅 ${label} until ${formatUntil(filtering.until)}`
+                : `📅 ${label}`;
+        } else if (enabled) {
             toggleSwitch.classList.add('enabled');
             status.className = 'status enabled';
             status.textContent = '✅ Active - Hiding follow posts';
@@ -59,45 +211,88 @@
         hiddenCount.textContent = count || 0;
     }
 
+    // Update the sponsored toggle
+    function updateSponsoredUI(hideSponsored) {
+        sponsoredSwitch.classList.toggle('enabled', !!hideSponsored);
+    }
+
+    // Toggle hiding of sponsored posts
+    async function toggleSponsored() {
+        try {
+            const result = await browserAPI.storage.sync.get({ hideSponsored: false });
+            const newHideSponsored = !result.hideSponsored;
+            addDebugInfo(`Toggling sponsored from ${result.hideSponsored} to ${newHideSponsored}`);
+
+            await browserAPI.storage.sync.set({ hideSponsored: newHideSponsored });
+            updateSponsoredUI(newHideSponsored);
+
+            // Notify all Facebook tabs of the change
+            const tabs = await browserAPI.tabs.query({ url: "*://*.facebook.com/*" });
+            for (const tab of tabs) {
+                try {
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: 'SETTINGS_UPDATED',
+                        settings: { hideSponsored: newHideSponsored }
+                    });
+                } catch (messageError) {
+                    addDebugInfo(`Message to tab ${tab.id} failed: ${messageError.message}`);
+                }
+            }
+        } catch (error) {
+            addDebugInfo(`Sponsored toggle error: ${error.message}`);
+            console.error('Error toggling sponsored posts:', error);
+        }
+    }
+
+    // Toggle audit mode, where matching posts are outlined instead of hidden
+    async function toggleAuditMode() {
+        try {
+            const result = await browserAPI.storage.sync.get({ auditMode: false });
+            const newAuditMode = !result.auditMode;
+            addDebugInfo(`Toggling audit mode from ${result.auditMode} to ${newAuditMode}`);
+
+            await browserAPI.storage.sync.set({ auditMode: newAuditMode });
+            await loadState();
+
+            // Notify all Facebook tabs of the change
+            const tabs = await browserAPI.tabs.query({ url: "*://*.facebook.com/*" });
+            for (const tab of tabs) {
+                try {
+                    await browserAPI.tabs.sendMessage(tab.id, {
+                        type: 'SETTINGS_UPDATED',
+                        settings: { auditMode: newAuditMode }
+                    });
+                } catch (messageError) {
+                    addDebugInfo(`Message to tab ${tab.id} failed: ${messageError.message}`);
+                }
+            }
+        } catch (error) {
+            addDebugInfo(`Audit toggle error: ${error.message}`);
+            console.error('Error toggling audit mode:', error);
+        }
+    }
+
     // Toggle the extension state
     async function toggleExtension() {
         try {
             addDebugInfo('Toggle clicked');
             
             // Get current state
-            const result = await browserAPI.storage.sync.get({ 
-                enabled: true,
-                hiddenCount: 0 
-            });
-            
+            const result = await browserAPI.storage.sync.get({ enabled: true });
             const newEnabled = !result.enabled;
             addDebugInfo(`Toggling from ${result.enabled} to ${newEnabled}`);
 
-            // Save new state
+            // Save new state, turning on also ends a snooze
+            // The background script sees the change and turns filtering on or off in every Facebook tab
             await browserAPI.storage.sync.set({ enabled: newEnabled });
+            if (newEnabled) {
+                await browserAPI.storage.sync.remove('snoozeUntil');
+            }
             addDebugInfo('State saved successfully');
 
             // Update UI immediately
-            updateUI(newEnabled, result.hiddenCount || 0);
-
-            // Notify content script of the change
-            try {
-                const [tab] = await browserAPI.tabs.query({ active: true, currentWindow: true });
-                addDebugInfo(`Active tab: ${tab ? tab.url : 'none'}`);
-                
-                if (tab && tab.url && tab.url.includes('facebook.com')) {
-                    addDebugInfo('Sending message to content script');
-                    const response = await browserAPI.tabs.sendMessage(tab.id, {
-                        type: 'TOGGLE_EXTENSION',
-                        enabled: newEnabled
-                    });
-                    addDebugInfo(`Content script response: ${JSON.stringify(response)}`);
-                } else {
-                    addDebugInfo('Not on Facebook or no active tab');
-                }
-            } catch (messageError) {
-                addDebugInfo(`Message failed: ${messageError.message}`);
-            }
+            await loadState();
+            setTimeout(loadTabStatus, 500);
 
         } catch (error) {
             addDebugInfo(`Toggle error: ${error.message}`);
@@ -105,6 +300,45 @@
         }
     }
 
+    // Pause filtering in every tab until the end of a snooze option, the background script resumes it
+    async function snooze(option) {
+        try {
+            const snoozeUntil = CleanFeedSchedule.getSnoozeEnd(option);
+            addDebugInfo(`Snoozing until ${new Date(snoozeUntil)}`);
+            await browserAPI.storage.sync.set({ snoozeUntil: snoozeUntil });
+            await loadState();
+            setTimeout(loadTabStatus, 500);
+        } catch (error) {
+            addDebugInfo(`Snooze error: ${error.message}`);
+            console.error('Error snoozing:', error);
+        }
+    }
+
+    // End a snooze early
+    async function resumeFromSnooze() {
+        try {
+            await browserAPI.storage.sync.remove('snoozeUntil');
+            await loadState();
+            setTimeout(loadTabStatus, 500);
+        } catch (error) {
+            addDebugInfo(`Resume error: ${error.message}`);
+            console.error('Error resuming:', error);
+        }
+    }
+
+    // Create a button for each snooze option, in front of the Resume now button
+    function renderSnoozeButtons() {
+        CleanFeedSchedule.SNOOZE_OPTIONS.forEach(option => {
+            const button = document.createElement('button');
+            button.className = 'button small secondary';
+            button.dataset.snooze = option.id;
+            button.textContent = option.label;
+            button.title = 'Show posts normally in every tab, filtering resumes by itself';
+            button.addEventListener('click', () => snooze(option.id));
+            snoozeActions.insertBefore(button, resumeNow);
+        });
+    }
+
     // Open options page
     function openOptionsPage(event) {
         event.preventDefault();
@@ -133,26 +367,23 @@
         }
     }
     
-    // Reset daily counter if needed
-    async function resetDailyCounterIfNeeded() {
-        const today = new Date().toDateString();
-        const result = await browserAPI.storage.sync.get({ lastResetDate: '', hiddenCount: 0 });
-        
-        if (result.lastResetDate !== today) {
-            await browserAPI.storage.sync.set({
-                lastResetDate: today,
-                hiddenCount: 0
-            });
-            return 0;
+    // Get the statistics from the background script, which handles the daily reset
+    async function getStatistics() {
+        try {
+            const statistics = await browserAPI.runtime.sendMessage({ type: 'GET_STATISTICS' });
+            return statistics || { hiddenCount: 0 };
+        } catch (error) {
+            addDebugInfo(`Statistics error: ${error.message}`);
+            return { hiddenCount: 0 };
         }
-        return result.hiddenCount;
     }
 
     // Listen for storage changes (in case state is changed from another tab)
     if (browserAPI.storage && browserAPI.storage.onChanged) {
         browserAPI.storage.onChanged.addListener((changes, namespace) => {
             if (namespace === 'sync') {
-                if (changes.enabled || changes.hiddenCount) {
+                if (changes.enabled || changes.hiddenCount || changes.hideSponsored || changes.auditMode ||
+                    changes.snoozeUntil || changes.schedule) {
                     // Re-load state to get current values
                     loadState();
                 }
@@ -162,19 +393,27 @@
 
     // Event listeners
     toggleSwitch.addEventListener('click', toggleExtension);
+    sponsoredSwitch.addEventListener('click', toggleSponsored);
+    auditSwitch.addEventListener('click', toggleAuditMode);
     optionsLink.addEventListener('click', openOptionsPage);
+    rescanTab.addEventListener('click', rescanCurrentTab);
+    revealTab.addEventListener('click', revealCurrentTab);
+    pauseTab.addEventListener('click', togglePauseCurrentTab);
+    resumeNow.addEventListener('click', resumeFromSnooze);
+    renderSnoozeButtons();
 
     // Initialize
-    document.addEventListener('DOMContentLoaded', async () => {
-        await resetDailyCounterIfNeeded();
-        loadState();
-    });
+    document.addEventListener('DOMContentLoaded', loadState);
+    document.addEventListener('DOMContentLoaded', loadHiddenLog);
+    document.addEventListener('DOMContentLoaded', loadTabStatus);
 
     // Also initialize immediately if DOM is already loaded
     if (document.readyState === 'loading') {
         // Already handled by DOMContentLoaded
     } else {
-        resetDailyCounterIfNeeded().then(() => loadState());
+        loadState();
+        loadHiddenLog();
+        loadTabStatus();
     }
 
     // Listen for messages from content script (for count updates)
@@ -182,8 +421,10 @@
         browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'UPDATE_HIDDEN_COUNT') {
                 hiddenCount.textContent = message.count;
+                loadHiddenLog();
+                loadTabStatus();
             }
-            return true; // Keep message channel open
+            return false; // No response - other messages are answered by the background script
         });
     }
 
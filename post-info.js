@@ -0,0 +1,99 @@
+// CleanFeedFB - Post summary for the hidden posts log, and post identity
+// Pulls the author, a short text snippet, the permalink and the story ID out of a post container
+const CleanFeedPostInfo = (function() {
+    'use strict';
+
+    // Links that point to the post itself, most specific first
+    const PERMALINK_SELECTORS = [
+        'a[href*="/posts/"]',
+        'a[href*="/permalink/"]',
+        'a[href*="story_fbid="]',
+        'a[href*="/videos/"]',
+        'a[href*="/reel/"]',
+        'a[href*="/photo"]'
+    ];
+
+    // Query parameters that identify a post and must survive URL cleaning
+    const IDENTITY_PARAMS = ['story_fbid', 'id', 'fbid', 'v'];
+
+    // Patterns that pull the story ID out of a cleaned permalink, query parameters first
+    const STORY_ID_PATTERNS = [
+        /[?&](?:story_fbid|fbid|v)=([\w-]+)/,
+        /\/(?:posts|permalink|videos|reel)\/([\w.-]+)/
+    ];
+
+    // Maximum length of the text snippet
+    const MAX_SNIPPET_LENGTH = 140;
+
+    // Function to make a link absolute and drop tracking parameters
+    function cleanPermalink(href) {
+        try {
+            const url = new URL(href, 'https://www.facebook.com/');
+            const params = new URLSearchParams();
+            IDENTITY_PARAMS.forEach(name => {
+                if (url.searchParams.has(name)) params.set(name, url.searchParams.get(name));
+            });
+            const query = params.toString();
+            return `${url.origin}${url.pathname}${query ? '?' + query : ''}`;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // Function to find the permalink of a post, returns an absolute URL or ''
+    function getPermalink(post) {
+        for (const selector of PERMALINK_SELECTORS) {
+            const link = post.querySelector(selector);
+            if (link) {
+                return cleanPermalink(link.getAttribute('href'));
+            }
+        }
+        return '';
+    }
+
+    // Function to get the ID of the story a post shows, the same in every node Facebook renders it in
+    // Taken from the permalink, or from the data-ft attribute of older layouts; returns '' when there is none
+    function getStoryId(post) {
+        const permalink = getPermalink(post);
+        for (const pattern of STORY_ID_PATTERNS) {
+            const match = pattern.exec(permalink);
+            if (match) return match[1];
+        }
+
+        const tracked = post.matches('[data-ft]') ? post : post.querySelector('[data-ft]');
+        if (tracked) {
+            try {
+                const data = JSON.parse(tracked.getAttribute('data-ft'));
+                const id = data.top_level_post_id || data.mf_story_key;
+                if (id) return String(id);
+            } catch (error) {
+                // Not JSON, no ID to take
+            }
+        }
+        return '';
+    }
+
+    // Function to get a short, single-line snippet of the post text
+    function getSnippet(post) {
+        const text = CleanFeedKeywords.getPostText(post).replace(/\s+/g, ' ').trim();
+        return text.length > MAX_SNIPPET_LENGTH ? text.slice(0, MAX_SNIPPET_LENGTH - 1) + '…' : text;
+    }
+
+    // Function to summarize a post, returns { author, authorUrl, snippet, permalink }
+    function extractPostInfo(post) {
+        if (!post) return { author: '', authorUrl: '', snippet: '', permalink: '' };
+
+        const author = CleanFeedSources.extractAuthor(post);
+        return {
+            author: author ? author.name : '',
+            authorUrl: author && author.url ? `https://www.${author.url}` : '',
+            snippet: getSnippet(post),
+            permalink: getPermalink(post)
+        };
+    }
+
+    return {
+        getStoryId,
+        extractPostInfo
+    };
+})();
@@ -0,0 +1,275 @@
+// CleanFeedFB - Snooze and weekly filtering schedule
+// Decides whether posts are filtered right now from the on/off switch, the snooze end time and the schedule,
+// and which filtering profile the time window of the schedule applies.
+// Shared by the background script, which enforces the result in every tab, the content script and the pages.
+const CleanFeedSchedule = (function() {
+    'use strict';
+
+    // Schedule modes
+    // - only:   filter only during the time windows, show everything outside them
+    // - except: filter all the time except during the time windows
+    const MODES = ['only', 'except'];
+
+    // Filtering profiles a time window applies while it runs, over the detector switches and hide style of the settings
+    // Only the windows of the 'only' mode filter posts, so only they apply a profile
+    // - normal:  the settings as they are
+    // - strict:  every detector on, Sponsored posts and every content category hidden (hideAll),
+    //            filtered posts removed from the feed
+    // - relaxed: only the allowlist/blocklist and Sponsored posts, filtered posts stay visible under a label
+    const PROFILES = [
+        { id: 'normal', label: 'Normal filtering', detectors: {}, hideAll: false, hideStyle: null },
+        {
+            id: 'strict',
+            label: 'Strict filtering',
+            detectors: { sources: true, buttons: true, sponsored: true, categories: true, keywords: true },
+            hideAll: true,
+            hideStyle: 'remove'
+        },
+        {
+            id: 'relaxed',
+            label: 'Relaxed filtering',
+            detectors: { buttons: false, categories: false, keywords: false },
+            hideAll: false,
+            hideStyle: 'label'
+        }
+    ];
+
+    // Profile used outside the time windows, and by windows stored before they had a profile
+    const DEFAULT_PROFILE = 'normal';
+
+    // Day names in the order of Date.getDay(), and the order days are shown in (Monday first)
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+    // Snooze durations offered in the popup
+    const SNOOZE_OPTIONS = [
+        { id: '15m', label: '15 min' },
+        { id: '1h', label: '1 hour' },
+        { id: 'tomorrow', label: 'Until tomorrow' }
+    ];
+
+    // Days searched for the next change of the schedule, a week plus the day a window may spill into
+    const LOOKAHEAD_DAYS = 8;
+
+    // Function to get the default (switched off) schedule
+    function getDefaultSchedule() {
+        return {
+            enabled: false,
+            mode: 'only',
+            windows: []
+        };
+    }
+
+    // Function to parse a "HH:MM" time into minutes after midnight, returns null when invalid
+    function parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(typeof value === 'string' ? value.trim() : '');
+        if (!match) return null;
+
+        const hours = parseInt(match[1]);
+        const minutes = parseInt(match[2]);
+        if (hours > 23 || minutes > 59) return null;
+        return hours * 60 + minutes;
+    }
+
+    // Function to get a filtering profile, the normal profile for unknown ones
+    function getProfile(id) {
+        return PROFILES.find(profile => profile.id === id) || PROFILES[0];
+    }
+
+    // Function to get the detector switches of a profile: the switches of the settings, with the profile's on top
+    function getProfileDetectors(detectors, id) {
+        return { ...detectors, ...getProfile(id).detectors };
+    }
+
+    // Function to get the filter settings used with a profile: the settings as they are, or for a profile
+    // that hides everything, with Sponsored posts and every content category switched on
+    function getProfileConfig(config, id) {
+        if (!getProfile(id).hideAll) return config;
+
+        const hideCategories = {};
+        Object.keys(config.hideCategories).forEach(category => {
+            hideCategories[category] = true;
+        });
+        return { ...config, hideSponsored: true, hideCategories: hideCategories };
+    }
+
+    // Function to fill in missing fields of a stored time window
+    function normalizeWindow(timeWindow) {
+        const days = Array.isArray(timeWindow.days)
+            ? WEEK_ORDER.filter(day => timeWindow.days.includes(day))
+            : [1, 2, 3, 4, 5];
+        return {
+            days: days,
+            start: typeof timeWindow.start === 'string' ? timeWindow.start : '09:00',
+            end: typeof timeWindow.end === 'string' ? timeWindow.end : '17:00',
+            profile: getProfile(timeWindow.profile).id
+        };
+    }
+
+    // Function to fill in missing fields of a stored schedule
+    function normalizeSchedule(schedule) {
+        const defaults = getDefaultSchedule();
+        if (!schedule || typeof schedule !== 'object') return defaults;
+
+        return {
+            enabled: schedule.enabled === true,
+            mode: MODES.includes(schedule.mode) ? schedule.mode : defaults.mode,
+            windows: Array.isArray(schedule.windows)
+                ? schedule.windows.filter(timeWindow => timeWindow && typeof timeWindow === 'object').map(normalizeWindow)
+                : []
+        };
+    }
+
+    // Function to check a time window for problems, returns an error message or null
+    function validateWindow(timeWindow) {
+        if (!timeWindow || !Array.isArray(timeWindow.days) || timeWindow.days.length === 0) {
+            return 'Choose at least one day';
+        }
+        if (!timeWindow.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return 'Days must be numbers from 0 (Sunday) to 6 (Saturday)';
+        }
+        if (parseTime(timeWindow.start) === null || parseTime(timeWindow.end) === null) {
+            return 'Times must be written as HH:MM';
+        }
+        if (parseTime(timeWindow.start) === parseTime(timeWindow.end)) {
+            return 'The start and end times must differ';
+        }
+        if (timeWindow.profile !== undefined && !PROFILES.some(profile => profile.id === timeWindow.profile)) {
+            return `Unknown filtering profile "${timeWindow.profile}"`;
+        }
+        return null;
+    }
+
+    // Function to check whether a date falls in a time window
+    // A window ending before it starts (22:00-07:00) runs past midnight into the next day
+    function isInWindow(timeWindow, date) {
+        const start = parseTime(timeWindow.start);
+        const end = parseTime(timeWindow.end);
+        if (start === null || end === null || start === end) return false;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const today = date.getDay();
+        if (start < end) {
+            return timeWindow.days.includes(today) && minutes >= start && minutes < end;
+        }
+
+        const yesterday = (today + 6) % 7;
+        return (timeWindow.days.includes(today) && minutes >= start) || (timeWindow.days.includes(yesterday) && minutes < end);
+    }
+
+    // Function to get the profile the schedule filters posts with at a date, or null when it does not filter them
+    // A disabled or empty schedule always filters with the normal profile, the first window running gives the profile
+    function getScheduledProfile(schedule, date) {
+        const windows = schedule.enabled ? schedule.windows.filter(timeWindow => !validateWindow(timeWindow)) : [];
+        if (windows.length === 0) return DEFAULT_PROFILE;
+
+        const current = windows.find(timeWindow => isInWindow(timeWindow, date));
+        if (schedule.mode === 'only') {
+            return current ? current.profile : null;
+        }
+        return current ? null : DEFAULT_PROFILE;
+    }
+
+    // Function to find the next time the schedule switches filtering on or off or to another profile,
+    // returns a timestamp or null
+    function getNextChange(schedule, date) {
+        if (!schedule.enabled || schedule.windows.length === 0) return null;
+
+        // Every window start and end in the coming days is a possible change
+        const boundaries = [];
+        for (let offset = 0; offset < LOOKAHEAD_DAYS; offset++) {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+            schedule.windows.forEach(timeWindow => {
+                [timeWindow.start, timeWindow.end].forEach(time => {
+                    const minutes = parseTime(time);
+                    if (minutes === null) return;
+                    const boundary = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+                    if (boundary > date.getTime()) boundaries.push(boundary);
+                });
+            });
+        }
+        boundaries.sort((a, b) => a - b);
+
+        const current = getScheduledProfile(schedule, date);
+        const change = boundaries.find(boundary => getScheduledProfile(schedule, new Date(boundary)) !== current);
+        return change === undefined ? null : change;
+    }
+
+    // Function to decide whether posts are filtered at a date
+    // settings holds enabled, snoozeUntil (timestamp) and schedule as stored
+    // Returns { active, reason, until, profile } where reason is 'off', 'snoozed', 'scheduled' or 'on',
+    // until is the timestamp of the next automatic change, or null when there is none,
+    // and profile is the filtering profile used while active (see PROFILES)
+    function getState(settings, date = new Date()) {
+        if (settings.enabled === false) {
+            return { active: false, reason: 'off', until: null, profile: DEFAULT_PROFILE };
+        }
+
+        const snoozeUntil = Number(settings.snoozeUntil) || 0;
+        if (snoozeUntil > date.getTime()) {
+            return { active: false, reason: 'snoozed', until: snoozeUntil, profile: DEFAULT_PROFILE };
+        }
+
+        const schedule = normalizeSchedule(settings.schedule);
+        const until = getNextChange(schedule, date);
+        const profile = getScheduledProfile(schedule, date);
+        if (profile === null) {
+            return { active: false, reason: 'scheduled', until: until, profile: DEFAULT_PROFILE };
+        }
+        return { active: true, reason: 'on', until: until, profile: profile };
+    }
+
+    // Function to get the end of a snooze started at a date, as a timestamp
+    function getSnoozeEnd(option, date = new Date()) {
+        switch (option) {
+            case '15m':
+                return date.getTime() + 15 * 60 * 1000;
+            case '1h':
+                return date.getTime() + 60 * 60 * 1000;
+            case 'tomorrow':
+                return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+            default:
+                return 0;
+        }
+    }
+
+    // Function to describe the days of a window, e.g. "Mon-Fri" or "Sat, Sun"
+    function describeDays(days) {
+        const ordered = WEEK_ORDER.filter(day => days.includes(day));
+        if (ordered.length === 7) return 'Every day';
+
+        // Consecutive days (in week order) become a range
+        const positions = ordered.map(day => WEEK_ORDER.indexOf(day));
+        const consecutive = positions.every((position, index) => index === 0 || position === positions[index - 1] + 1);
+        if (consecutive && ordered.length > 2) {
+            return `${DAY_NAMES[ordered[0]]}-${DAY_NAMES[ordered[ordered.length - 1]]}`;
+        }
+        return ordered.map(day => DAY_NAMES[day]).join(', ');
+    }
+
+    // Function to describe a time window, e.g. "Mon-Fri 09:00-17:00" or "Sat, Sun 10:00-22:00 (Relaxed filtering)"
+    function describeWindow(timeWindow) {
+        const times = `${describeDays(timeWindow.days)} ${timeWindow.start}-${timeWindow.end}`;
+        const profile = getProfile(timeWindow.profile);
+        return profile.id === DEFAULT_PROFILE ? times : `${times} (${profile.label})`;
+    }
+
+    return {
+        MODES,
+        PROFILES,
+        DEFAULT_PROFILE,
+        DAY_NAMES,
+        WEEK_ORDER,
+        SNOOZE_OPTIONS,
+        getDefaultSchedule,
+        getProfile,
+        getProfileDetectors,
+        getProfileConfig,
+        normalizeSchedule,
+        validateWindow,
+        isInWindow,
+        getState,
+        getSnoozeEnd,
+        describeWindow
+    };
+})();
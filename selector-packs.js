@@ -0,0 +1,259 @@
+// CleanFeedFB - Selector packs: where the posts are in Facebook's markup
+// The selectors and layout rules that break when Facebook changes its markup live in a declarative, versioned pack.
+// A newer pack can be imported from a file in the options page without a new release of the extension;
+// the content script falls back to the built-in pack when an imported one finds no posts.
+const CleanFeedSelectors = (function() {
+    'use strict';
+
+    // Identifier of selector pack files
+    const FORMAT = 'cleanfeedfb-selector-pack';
+
+    // Version of the pack structure this code understands
+    const SCHEMA_VERSION = 1;
+
+    // The pack shipped with the extension
+    //
+    // - version:     revision of the selectors, higher is newer
+    // - feedHeader:  the hidden heading before the home News Feed posts: its selector, extra heading texts per
+    //                locale (added to those of the language packs), and the way from the heading to the posts
+    //                container (up parentLevels ancestors, then its child node at childIndex)
+    // - surfaces:    per surface (see surfaces.js), selectors of the posts container, first match wins, and a
+    //                selector of the links each unit of an item grid holds (Marketplace listings, Watch videos)
+    // - clickable:   elements that may act as Follow/Join buttons
+    // - legacy:      the fallback walker: containers that certainly are posts, wrappers that are posts when they
+    //                hold a match of `contains`, class name patterns of likely posts, and the minimum sizes of
+    //                a likely post and of the last-resort large ancestor
+    // - fallbackRoots: where the fallback scan looks for buttons and watches for new ones, first match wins
+    // - readyRoots:  elements showing the page has rendered enough to start filtering, any match will do
+    // - pageRoots:   the main column of a page, where the item grids of a surface are looked for, first match wins
+    //
+    // readyRoots, pageRoots and legacy.wrappedContainers came after the first packs: packs without them get
+    // the built-in values
+    const BUILT_IN_PACK = {
+        format: FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        version: 1,
+        name: 'Built-in',
+        feedHeader: {
+            selector: 'h3.html-h3',
+            texts: {},
+            parentLevels: 1,
+            childIndex: 2
+        },
+        surfaces: {
+            home: { containers: [], items: '' },
+            groups: { containers: ['[role="main"] [role="feed"]'], items: '' },
+            watch: { containers: ['[role="main"] [role="feed"]'], items: 'a[href*="/watch/?v="], a[href*="/videos/"]' },
+            marketplace: { containers: [], items: 'a[href*="/marketplace/item/"]' },
+            profile: { containers: ['[data-pagelet="ProfileTimeline"]', '[role="main"] [role="feed"]'], items: '' }
+        },
+        clickable: [
+            '[role="button"]',
+            '[tabindex="0"]',
+            'div[style*="cursor"]',
+            'span[style*="cursor"]',
+            'div[data-testid]',
+            'span[data-testid]'
+        ],
+        legacy: {
+            postContainers: ['[role="article"]', '[data-pagelet*="FeedUnit"]'],
+            wrappedContainers: [{ selector: '[data-ft]', contains: '[role="article"]' }],
+            classPatterns: ['^userContentWrapper$', '^story_body_container$', '^x\\w{10,}$'],
+            minPostSize: { width: 300, height: 80 },
+            minAncestorSize: { width: 200, height: 100 }
+        },
+        fallbackRoots: ['[role="main"]', '[role="feed"]', '#stream_pagelet'],
+        readyRoots: ['[role="main"]', '[role="feed"]'],
+        pageRoots: ['[role="main"]']
+    };
+
+    // Function to check for a non-array object
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Function to check that a CSS selector parses, when there is a document to parse it with
+    function isValidSelector(selector) {
+        if (typeof selector !== 'string' || selector.trim() === '') return false;
+        if (typeof document === 'undefined') return true;
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Function to check that a value is a list of valid selectors
+    function isSelectorList(value) {
+        return Array.isArray(value) && value.every(isValidSelector);
+    }
+
+    // Function to check that a regular expression pattern compiles
+    function isValidPattern(pattern) {
+        if (typeof pattern !== 'string') return false;
+        try {
+            new RegExp(pattern);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Function to check that a value is a { width, height } size in pixels
+    function isSize(value) {
+        return isPlainObject(value) && Number.isFinite(value.width) && value.width >= 0 &&
+            Number.isFinite(value.height) && value.height >= 0;
+    }
+
+    // Function to check a pack for problems, returns a list of error messages (empty when the pack is valid)
+    function validatePack(pack) {
+        if (!isPlainObject(pack) || pack.format !== FORMAT) {
+            return ['This is not a CleanFeedFB selector pack'];
+        }
+        if (pack.schemaVersion !== SCHEMA_VERSION) {
+            return [`Selector pack format ${pack.schemaVersion} is not supported, update the extension`];
+        }
+
+        const errors = [];
+        if (!Number.isInteger(pack.version) || pack.version < 1) {
+            errors.push('version must be a whole number from 1');
+        }
+
+        const header = pack.feedHeader;
+        if (!isPlainObject(header) || !isValidSelector(header.selector)) {
+            errors.push('feedHeader.selector must be a valid selector');
+        } else {
+            if (!isPlainObject(header.texts) || !Object.values(header.texts).every(texts =>
+                Array.isArray(texts) && texts.every(text => typeof text === 'string'))) {
+                errors.push('feedHeader.texts must list heading texts per locale');
+            }
+            if (!Number.isInteger(header.parentLevels) || header.parentLevels < 0 ||
+                !Number.isInteger(header.childIndex) || header.childIndex < 0) {
+                errors.push('feedHeader.parentLevels and childIndex must be whole numbers');
+            }
+        }
+
+        if (!isPlainObject(pack.surfaces)) {
+            errors.push('surfaces is missing');
+        } else {
+            Object.keys(BUILT_IN_PACK.surfaces).forEach(id => {
+                const surface = pack.surfaces[id];
+                if (surface === undefined) return;
+                if (!isPlainObject(surface) || !isSelectorList(surface.containers) ||
+                    (surface.items !== '' && !isValidSelector(surface.items))) {
+                    errors.push(`surfaces.${id} must have a list of valid container selectors and an items selector`);
+                }
+            });
+        }
+
+        if (!isSelectorList(pack.clickable) || pack.clickable.length === 0) {
+            errors.push('clickable must list valid selectors');
+        }
+
+        const legacy = pack.legacy;
+        if (!isPlainObject(legacy) || !isSelectorList(legacy.postContainers)) {
+            errors.push('legacy.postContainers must list valid selectors');
+        } else {
+            if (!Array.isArray(legacy.classPatterns) || !legacy.classPatterns.every(isValidPattern)) {
+                errors.push('legacy.classPatterns must list valid regular expressions');
+            }
+            if (!isSize(legacy.minPostSize) || !isSize(legacy.minAncestorSize)) {
+                errors.push('legacy.minPostSize and minAncestorSize must have a width and height');
+            }
+            if (legacy.wrappedContainers !== undefined && (!Array.isArray(legacy.wrappedContainers) ||
+                !legacy.wrappedContainers.every(wrapper => isPlainObject(wrapper) &&
+                    isValidSelector(wrapper.selector) && isValidSelector(wrapper.contains)))) {
+                errors.push('legacy.wrappedContainers must list a valid selector and contains selector each');
+            }
+        }
+
+        if (!isSelectorList(pack.fallbackRoots)) {
+            errors.push('fallbackRoots must list valid selectors');
+        }
+        ['readyRoots', 'pageRoots'].forEach(key => {
+            if (pack[key] !== undefined && (!isSelectorList(pack[key]) || pack[key].length === 0)) {
+                errors.push(`${key} must list valid selectors`);
+            }
+        });
+        return errors;
+    }
+
+    // Function to read a selector pack file, returns { pack, errors }
+    function parsePack(text) {
+        let pack;
+        try {
+            pack = JSON.parse(text);
+        } catch (error) {
+            return { pack: null, errors: ['The file is not valid JSON'] };
+        }
+
+        const errors = validatePack(pack);
+        return { pack: errors.length === 0 ? pack : null, errors: errors };
+    }
+
+    // Function to get the pack to use from the stored one: the stored pack when it is valid, the built-in one otherwise
+    function resolvePack(stored) {
+        if (!stored || validatePack(stored).length > 0) return BUILT_IN_PACK;
+
+        // Surfaces and fields left out of the stored pack keep the built-in selectors
+        return {
+            readyRoots: BUILT_IN_PACK.readyRoots,
+            pageRoots: BUILT_IN_PACK.pageRoots,
+            ...stored,
+            surfaces: { ...BUILT_IN_PACK.surfaces, ...stored.surfaces },
+            legacy: { wrappedContainers: BUILT_IN_PACK.legacy.wrappedContainers, ...stored.legacy }
+        };
+    }
+
+    // Function to check whether a pack is the built-in one
+    function isBuiltIn(pack) {
+        return !pack || pack === BUILT_IN_PACK;
+    }
+
+    // Function to describe a pack, e.g. "Built-in (version 1)"
+    function describePack(pack) {
+        const resolved = pack || BUILT_IN_PACK;
+        return `${resolved.name || 'Imported'} (version ${resolved.version})`;
+    }
+
+    // Function to get the selector matching every clickable element of a pack
+    function getClickableSelector(pack) {
+        return (pack || BUILT_IN_PACK).clickable.join(', ');
+    }
+
+    // Function to get the feed heading texts of a pack for a locale, in addition to those of the language packs
+    function getHeaderTexts(pack, locale) {
+        const texts = (pack || BUILT_IN_PACK).feedHeader.texts;
+        return [...(texts[locale] || []), ...(texts.en || [])];
+    }
+
+    // Function to find the first element matching one of a list of selectors
+    function findFirst(doc, selectors) {
+        for (const selector of selectors) {
+            const element = doc.querySelector(selector);
+            if (element) return element;
+        }
+        return null;
+    }
+
+    // Function to compile the class name patterns of the fallback walker
+    function getClassPatterns(pack) {
+        return (pack || BUILT_IN_PACK).legacy.classPatterns.map(pattern => new RegExp(pattern));
+    }
+
+    return {
+        FORMAT,
+        SCHEMA_VERSION,
+        BUILT_IN_PACK,
+        validatePack,
+        parsePack,
+        resolvePack,
+        isBuiltIn,
+        describePack,
+        getClickableSelector,
+        getHeaderTexts,
+        findFirst,
+        getClassPatterns
+    };
+})();
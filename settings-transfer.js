@@ -0,0 +1,267 @@
+// CleanFeedFB - Settings import/export
+// Settings, rules and lists are exported as a versioned JSON document that can be shared and imported again.
+// Statistics and the on/off switch stay out of the document, they belong to each browser.
+const CleanFeedSettingsTransfer = (function() {
+    'use strict';
+
+    // Identifies CleanFeedFB documents
+    const FORMAT = 'cleanfeedfb-settings';
+
+    // Current document schema
+    // - 1: a flat copy of the storage.sync keys, without a version field
+    // - 2: { format, schemaVersion, exportedAt, extensionVersion, settings, rules }
+    const SCHEMA_VERSION = 2;
+
+    // Settings carried by the document, with a check for each value
+    const SETTING_CHECKS = {
+        scanInterval: value => Number.isInteger(value) && value >= 1 && value <= 30,
+        hideDelay: value => Number.isInteger(value) && value >= 0 && value <= 1000,
+        debugMode: value => typeof value === 'boolean',
+        auditMode: value => typeof value === 'boolean',
+        safetyScan: value => typeof value === 'boolean',
+        hideSponsored: value => typeof value === 'boolean',
+        hideCategories: value => isPlainObject(value),
+        detectors: value => isPlainObject(value),
+        surfaceSettings: value => isPlainObject(value),
+        locale: value => value === 'auto' || CleanFeedLocales.getAvailableLocales().includes(value),
+        hideStyle: value => CleanFeedHideStyles.normalizeStyle(value) === value,
+        reasonHideStyles: value => isPlainObject(value),
+        badgeCount: value => ['tab', 'today', 'off'].includes(value),
+        schedule: value => isPlainObject(value) && Array.isArray(value.windows) &&
+            (value.mode === undefined || CleanFeedSchedule.MODES.includes(value.mode)) &&
+            (value.enabled === undefined || typeof value.enabled === 'boolean')
+    };
+
+    // Rules and lists carried by the document
+    const RULE_KEYS = ['filterRules', 'keywordRules', 'allowlist', 'blocklist'];
+
+    // Migrations, keyed by the version they upgrade from
+    const MIGRATIONS = {
+        // Version 1 files are flat copies of storage.sync: group the keys, drop statistics and the on/off switch
+        // Early versions had the Follow/Join buttons built in, files without filter rules get the default rules
+        1: document => {
+            const settings = {};
+            Object.keys(SETTING_CHECKS).forEach(key => {
+                if (document[key] !== undefined) settings[key] = document[key];
+            });
+            const rules = {};
+            RULE_KEYS.forEach(key => {
+                if (document[key] !== undefined) rules[key] = document[key];
+            });
+            if (rules.filterRules === undefined) {
+                rules.filterRules = CleanFeedRules.getDefaultRules();
+            }
+            return { format: FORMAT, schemaVersion: 2, settings: settings, rules: rules };
+        }
+    };
+
+    // Function to check for a non-array object
+    function isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Function to get an imported entry with its missing fields filled in by normalize, for validation
+    // Fields present in the file are kept as they are, so an unknown value is refused instead of replaced
+    function withDefaults(entry, normalize) {
+        return isPlainObject(entry) ? { ...normalize(entry), ...entry } : null;
+    }
+
+    // Function to build the export document from the stored settings
+    function createExport(stored, extensionVersion) {
+        const settings = {};
+        Object.keys(SETTING_CHECKS).forEach(key => {
+            if (stored[key] !== undefined) settings[key] = stored[key];
+        });
+
+        return {
+            format: FORMAT,
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            extensionVersion: extensionVersion || '',
+            settings: settings,
+            rules: {
+                filterRules: (stored.filterRules || []).map(rule => CleanFeedRules.normalizeRule(rule)),
+                keywordRules: (stored.keywordRules || []).map(keyword => CleanFeedKeywords.normalizeKeyword(keyword)),
+                allowlist: CleanFeedSources.normalizeList(stored.allowlist),
+                blocklist: CleanFeedSources.normalizeList(stored.blocklist)
+            }
+        };
+    }
+
+    // Function to get the schema version of a parsed document, version 1 files have none
+    function getSchemaVersion(document) {
+        return document.schemaVersion === undefined ? 1 : document.schemaVersion;
+    }
+
+    // Function to upgrade a document to the current schema, one version at a time
+    function migrate(document) {
+        let migrated = document;
+        let version = getSchemaVersion(document);
+        while (version < SCHEMA_VERSION) {
+            migrated = MIGRATIONS[version](migrated);
+            version = migrated.schemaVersion;
+        }
+        return migrated;
+    }
+
+    // Function to check the settings and rules of a current-schema document, returns a list of problems
+    function validate(document) {
+        const errors = [];
+
+        if (!isPlainObject(document.settings)) {
+            errors.push('The "settings" section is missing');
+        } else {
+            Object.keys(document.settings).forEach(key => {
+                if (SETTING_CHECKS[key] && !SETTING_CHECKS[key](document.settings[key])) {
+                    errors.push(`Setting "${key}" has an invalid value: ${JSON.stringify(document.settings[key])}`);
+                }
+            });
+
+            // Each window must be one the scheduler can read
+            const schedule = document.settings.schedule;
+            if (SETTING_CHECKS.schedule(schedule)) {
+                schedule.windows.forEach((timeWindow, index) => {
+                    const error = CleanFeedSchedule.validateWindow(isPlainObject(timeWindow) ? timeWindow : null);
+                    if (error) errors.push(`Schedule window ${index + 1}: ${error}`);
+                });
+            }
+        }
+
+        if (!isPlainObject(document.rules)) {
+            errors.push('The "rules" section is missing');
+            return errors;
+        }
+
+        RULE_KEYS.forEach(key => {
+            const value = document.rules[key];
+            if (value !== undefined && !Array.isArray(value)) {
+                errors.push(`"${key}" must be a list`);
+            }
+        });
+        if (errors.length > 0) return errors;
+
+        (document.rules.filterRules || []).forEach((rule, index) => {
+            const error = CleanFeedRules.validateRule(withDefaults(rule, CleanFeedRules.normalizeRule));
+            if (error) errors.push(`Filter rule ${index + 1}: ${error}`);
+        });
+        (document.rules.keywordRules || []).forEach((keyword, index) => {
+            const error = CleanFeedKeywords.validateKeyword(withDefaults(keyword, CleanFeedKeywords.normalizeKeyword));
+            if (error) errors.push(`Keyword ${index + 1}: ${error}`);
+        });
+        ['allowlist', 'blocklist'].forEach(key => {
+            if ((document.rules[key] || []).some(entry => typeof entry !== 'string')) {
+                errors.push(`"${key}" must only contain text entries`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Function to parse and check an imported file
+    // Returns { document, fromVersion, errors }, document is upgraded to the current schema when there are no errors
+    function parseImport(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            return { document: null, fromVersion: null, errors: [`Not a JSON file: ${error.message}`] };
+        }
+
+        if (!isPlainObject(parsed)) {
+            return { document: null, fromVersion: null, errors: ['Not a CleanFeedFB settings file'] };
+        }
+
+        const fromVersion = getSchemaVersion(parsed);
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            return { document: null, fromVersion: null, errors: [`Unknown schema version ${JSON.stringify(parsed.schemaVersion)}`] };
+        }
+        if (fromVersion > SCHEMA_VERSION) {
+            return {
+                document: null,
+                fromVersion: fromVersion,
+                errors: [`This file was made by a newer version of CleanFeedFB (schema ${fromVersion}), please update the extension`]
+            };
+        }
+        const hasKnownKeys = Object.keys(SETTING_CHECKS).concat(RULE_KEYS).some(key => parsed[key] !== undefined);
+        if ((fromVersion > 1 && parsed.format !== FORMAT) || (fromVersion === 1 && !hasKnownKeys)) {
+            return { document: null, fromVersion: fromVersion, errors: ['Not a CleanFeedFB settings file'] };
+        }
+
+        const document = migrate(parsed);
+        const errors = validate(document);
+        return { document: errors.length === 0 ? document : null, fromVersion: fromVersion, errors: errors };
+    }
+
+    // Function to append the imported entries missing from the current ones, compared by key
+    // Imported entries whose ID is already taken get a new one
+    function mergeEntries(current, imported, getKey) {
+        const keys = new Set(current.map(getKey));
+        const ids = new Set(current.map(entry => entry.id));
+        const merged = current.slice();
+        imported.forEach(entry => {
+            if (keys.has(getKey(entry))) return;
+            keys.add(getKey(entry));
+            merged.push(ids.has(entry.id) ? { ...entry, id: null } : entry);
+            ids.add(entry.id);
+        });
+        return merged;
+    }
+
+    // Function to compute the storage values for an imported document
+    // Settings are always taken from the document, current holds the stored rules and lists, and mode is
+    // - merge:   keep the current rules and lists and add the imported entries that are missing
+    // - replace: use the imported rules and lists only
+    function buildImportedSettings(document, current, mode) {
+        const rules = document.rules;
+        const importedRules = (rules.filterRules || []).map(rule => CleanFeedRules.normalizeRule(rule));
+        const importedKeywords = (rules.keywordRules || []).map(keyword => CleanFeedKeywords.normalizeKeyword(keyword));
+        const settings = {
+            ...document.settings,
+            hideCategories: CleanFeedCategories.normalizeSettings(document.settings.hideCategories),
+            detectors: CleanFeedClassifiers.normalizeSettings(document.settings.detectors),
+            surfaceSettings: CleanFeedSurfaces.normalizeSettings(document.settings.surfaceSettings),
+            reasonHideStyles: CleanFeedHideStyles.normalizeReasonStyles(document.settings.reasonHideStyles)
+        };
+        ['hideCategories', 'detectors', 'surfaceSettings', 'reasonHideStyles'].forEach(key => {
+            if (document.settings[key] === undefined) delete settings[key];
+        });
+
+        if (mode !== 'merge') {
+            return {
+                ...settings,
+                filterRules: importedRules,
+                keywordRules: importedKeywords,
+                allowlist: CleanFeedSources.normalizeList(rules.allowlist),
+                blocklist: CleanFeedSources.normalizeList(rules.blocklist)
+            };
+        }
+
+        const ruleKey = rule => [rule.term || '', rule.pattern.trim().toLowerCase(), rule.matchType, rule.target, rule.surface].join('|');
+        const keywordKey = keyword => [keyword.pattern.trim().toLowerCase(), keyword.matchType, keyword.surface].join('|');
+        return {
+            ...settings,
+            filterRules: mergeEntries((current.filterRules || []).map(rule => CleanFeedRules.normalizeRule(rule)), importedRules, ruleKey)
+                .map(rule => CleanFeedRules.normalizeRule(rule)),
+            keywordRules: mergeEntries((current.keywordRules || []).map(keyword => CleanFeedKeywords.normalizeKeyword(keyword)), importedKeywords, keywordKey)
+                .map(keyword => CleanFeedKeywords.normalizeKeyword(keyword)),
+            allowlist: CleanFeedSources.normalizeList((current.allowlist || []).concat(rules.allowlist || [])),
+            blocklist: CleanFeedSources.normalizeList((current.blocklist || []).concat(rules.blocklist || []))
+        };
+    }
+
+    // Function to describe what a document contains, for the import confirmation
+    function describe(document) {
+        const rules = document.rules;
+        return `${Object.keys(document.settings).length} setting(s), ${(rules.filterRules || []).length} filter rule(s), ` +
+            `${(rules.keywordRules || []).length} keyword(s), ${(rules.allowlist || []).length} allowlisted and ` +
+            `${(rules.blocklist || []).length} blocklisted source(s)`;
+    }
+
+    return {
+        SCHEMA_VERSION,
+        createExport,
+        parseImport,
+        buildImportedSettings,
+        describe
+    };
+})();
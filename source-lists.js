@@ -0,0 +1,138 @@
+// CleanFeedFB - Author/page allowlist and blocklist
+// Entries are profile/page URL patterns with * wildcards (e.g. "facebook.com/groups/123*"),
+// or author names when they do not look like a URL (e.g. "Local News Daily", "Dr. Smith")
+const CleanFeedSources = (function() {
+    'use strict';
+
+    // Selectors for the author link in a post header, most specific first
+    const AUTHOR_SELECTORS = [
+        '[data-ad-rendering-role="profile_name"] a[href]',
+        'h2 a[href]',
+        'h3 a[href]',
+        'h4 a[href]',
+        'strong a[href]',
+        'a[href] strong'
+    ];
+
+    // Query parameters that identify a profile and must survive URL normalization
+    const IDENTITY_PARAMS = ['id'];
+
+    // Shapes of URL entries: a scheme, a Facebook host, or a path ("/groups/123", "groups/123*")
+    // Names may hold dots ("St. John's Church") and spaces, a path has no spaces
+    const URL_ENTRY_PATTERNS = [
+        /^[a-z*]+:\/\//i,
+        /^([\w*-]+\.)*facebook\.com(\/|$)/i,
+        /^\/|^[^\s/]+\/\S*$/
+    ];
+
+    // Function to escape a string for use inside a regular expression
+    function escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Function to normalize a Facebook URL to "facebook.com/path", dropping protocol, subdomain and tracking parameters
+    function normalizeUrl(url) {
+        if (!url) return '';
+
+        try {
+            const parsed = new URL(url, 'https://www.facebook.com/');
+            const host = parsed.hostname.replace(/^(www|m|web|mbasic)\./, '');
+            const params = IDENTITY_PARAMS
+                .filter(name => parsed.searchParams.has(name))
+                .map(name => `${name}=${parsed.searchParams.get(name)}`);
+            const path = parsed.pathname.replace(/\/+$/, '');
+            return `${host}${path}${params.length ? '?' + params.join('&') : ''}`.toLowerCase();
+        } catch (error) {
+            return url.toLowerCase();
+        }
+    }
+
+    // Function to normalize a URL pattern the same way as URLs, keeping its wildcards
+    // Patterns without a host ("groups/123*") are taken as facebook.com paths
+    function normalizePattern(entry) {
+        let pattern = entry.toLowerCase()
+            .replace(/^[a-z*]+:\/\//, '')
+            .replace(/^(www|m|web|mbasic)\./, '')
+            .replace(/\/+$/, '');
+
+        const host = pattern.split('/')[0];
+        if (!host.includes('.') && !host.startsWith('*')) {
+            pattern = 'facebook.com/' + pattern.replace(/^\/+/, '');
+        }
+        return pattern;
+    }
+
+    // Function to check whether an entry is a name rather than a URL pattern
+    function isNameEntry(entry) {
+        return !URL_ENTRY_PATTERNS.some(pattern => pattern.test(entry));
+    }
+
+    // Function to turn a wildcard pattern into a regular expression
+    function wildcardToRegExp(pattern) {
+        return new RegExp('^' + pattern.split('*').map(escapeRegExp).join('.*') + '$', 'i');
+    }
+
+    // Function to clean a list of entries: trim, drop empties and duplicates
+    function normalizeList(entries) {
+        const seen = new Set();
+        return (Array.isArray(entries) ? entries : [])
+            .map(entry => String(entry).trim())
+            .filter(entry => {
+                if (!entry || seen.has(entry.toLowerCase())) return false;
+                seen.add(entry.toLowerCase());
+                return true;
+            });
+    }
+
+    // Function to compile a list of entries into matchers
+    function compileList(entries) {
+        return normalizeList(entries).map(entry => {
+            if (isNameEntry(entry)) {
+                return { entry: entry, type: 'name', regex: wildcardToRegExp(entry.replace(/\s+/g, ' ')) };
+            }
+            return { entry: entry, type: 'url', regex: wildcardToRegExp(normalizePattern(entry)) };
+        });
+    }
+
+    // Function to find the first compiled entry that matches an author, returns the entry text or null
+    function findMatch(compiledList, author) {
+        if (!author || !compiledList || compiledList.length === 0) return null;
+
+        const match = compiledList.find(matcher => {
+            if (matcher.type === 'name') {
+                return !!author.name && matcher.regex.test(author.name);
+            }
+            return !!author.url && matcher.regex.test(author.url);
+        });
+
+        return match ? match.entry : null;
+    }
+
+    // Function to pull the author name and normalized profile URL out of a post container
+    function extractAuthor(post) {
+        if (!post) return null;
+
+        for (const selector of AUTHOR_SELECTORS) {
+            const element = post.querySelector(selector);
+            if (!element) continue;
+
+            const link = element.tagName.toLowerCase() === 'a' ? element : element.closest('a[href]');
+            const name = (element.textContent || '').trim().replace(/\s+/g, ' ');
+            const url = normalizeUrl(link ? link.getAttribute('href') : '');
+
+            if (name || url) {
+                return { name: name, url: url };
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        normalizeUrl,
+        normalizeList,
+        compileList,
+        findMatch,
+        extractAuthor
+    };
+})();
@@ -0,0 +1,145 @@
+// CleanFeedFB - Sponsored post detector
+// Facebook obfuscates the "Sponsored" label by splitting it into scattered spans, hiding decoy
+// characters and reordering the rest with CSS. This detector rebuilds the label as a user sees it.
+const CleanFeedSponsored = (function() {
+    'use strict';
+
+    // Maximum number of candidate elements checked per post (the label sits in the post header)
+    const MAX_CANDIDATES = 60;
+
+    // Maximum length of a rebuilt label worth comparing
+    const MAX_LABEL_LENGTH = 40;
+
+    // Candidates with more raw text than this (decoys included) are not walked
+    const MAX_RAW_TEXT_LENGTH = 300;
+
+    // Elements that may hold the label or its scattered characters
+    const CANDIDATE_SELECTOR = [
+        'a[href*="/ads/"]',
+        'a[aria-label]',
+        'a[role="link"]',
+        'span[id]',
+        'span[aria-labelledby]',
+        'div[aria-labelledby]'
+    ].join(', ');
+
+    // Function to normalize text for comparison: drop whitespace and zero-width characters, lowercase
+    function normalizeLabel(text) {
+        return (text || '').replace(/[\s\u200B-\u200D\u2060\uFEFF]+/g, '').toLowerCase();
+    }
+
+    // Function to check whether an element is invisible to the user
+    function isVisuallyHidden(element, style, isRoot) {
+        if (element.hidden) {
+            return true;
+        }
+        if (style.display === 'none' || style.visibility === 'hidden' || style.visibility === 'collapse') {
+            return true;
+        }
+        if (parseFloat(style.opacity) === 0 || parseFloat(style.fontSize) === 0) {
+            return true;
+        }
+        // Decoy characters are often absolutely positioned out of the line box
+        if (!isRoot && (style.position === 'absolute' || style.position === 'fixed')) {
+            return true;
+        }
+        return false;
+    }
+
+    // Function to get the CSS pseudo-element text (::before/::after) that is rendered around an element
+    function getPseudoContent(element, pseudo) {
+        try {
+            const content = window.getComputedStyle(element, pseudo).content;
+            if (!content || content === 'none' || content === 'normal') return '';
+            const match = content.match(/^["'](.*)["']$/);
+            return match ? match[1] : '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // Function to rebuild the visible text of an element in visual order
+    function getVisibleText(element, isRoot = true) {
+        if (element.nodeType === Node.TEXT_NODE) {
+            return element.textContent;
+        }
+        if (element.nodeType !== Node.ELEMENT_NODE) {
+            return '';
+        }
+
+        const style = window.getComputedStyle(element);
+        if (isVisuallyHidden(element, style, isRoot)) {
+            return '';
+        }
+
+        let children = Array.from(element.childNodes);
+
+        // Flex and grid containers render their children by the CSS order property, not by DOM order
+        if (/(^|-)(flex|grid)$/.test(style.display)) {
+            children = children
+                .map((child, index) => ({
+                    child: child,
+                    index: index,
+                    order: child.nodeType === Node.ELEMENT_NODE ? (parseInt(window.getComputedStyle(child).order, 10) || 0) : 0
+                }))
+                .sort((a, b) => a.order - b.order || a.index - b.index)
+                .map(entry => entry.child);
+        }
+
+        const text = children.map(child => getVisibleText(child, false)).join('');
+        return getPseudoContent(element, '::before') + text + getPseudoContent(element, '::after');
+    }
+
+    // Function to check whether a rebuilt text is one of the sponsored labels
+    function matchLabel(text, labels) {
+        const normalized = normalizeLabel(text);
+        if (!normalized || normalized.length > MAX_LABEL_LENGTH) return null;
+
+        return labels.find(label => {
+            const normalizedLabel = normalizeLabel(label);
+            // The label is often followed by a separator, e.g. "Sponsored · 🌐"
+            return normalized === normalizedLabel ||
+                (normalized.startsWith(normalizedLabel) && !/[\p{L}\p{N}]/u.test(normalized.charAt(normalizedLabel.length)));
+        }) || null;
+    }
+
+    // Function to read the labels an element points to through aria-labelledby
+    function getLabelledByText(element) {
+        const ids = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+        return ids.map(id => {
+            const labelElement = element.ownerDocument.getElementById(id);
+            return labelElement ? getVisibleText(labelElement) : '';
+        }).join('');
+    }
+
+    // Function to detect a sponsored post, returns { label, element } or null
+    // labels are the sponsored texts of the active language pack
+    function detectSponsored(post, labels) {
+        if (!post || !labels || labels.length === 0) return null;
+
+        const candidates = Array.from(post.querySelectorAll(CANDIDATE_SELECTOR)).slice(0, MAX_CANDIDATES);
+
+        for (const candidate of candidates) {
+            const ariaLabel = candidate.getAttribute('aria-label');
+            const texts = [
+                ariaLabel,
+                candidate.hasAttribute('aria-labelledby') ? getLabelledByText(candidate) : '',
+                (candidate.textContent || '').length <= MAX_RAW_TEXT_LENGTH ? getVisibleText(candidate) : ''
+            ];
+
+            for (const text of texts) {
+                const label = text ? matchLabel(text, labels) : null;
+                if (label) {
+                    return { label: label, element: candidate };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    return {
+        detectSponsored,
+        getVisibleText
+    };
+})();
@@ -0,0 +1,192 @@
+// CleanFeedFB - Facebook surfaces: which kind of page a URL shows, whether posts are filtered there,
+// where the post units of each surface are, and which detectors, filter rules and keywords are used there
+// Single posts, Messenger, notifications, settings and the like are not filtered: there is no feed to clean up
+const CleanFeedSurfaces = (function() {
+    'use strict';
+
+    // Surfaces with a feed of posts
+    // Where the posts of a surface are is described by the selector pack (see selector-packs.js): the posts
+    // container of the home feed follows the hidden "News Feed posts" heading, the other surfaces have selectors
+    const SURFACES = [
+        { id: 'home', label: 'Home feed', feedHeader: true },
+        { id: 'groups', label: 'Groups' },
+        { id: 'watch', label: 'Watch' },
+        { id: 'marketplace', label: 'Marketplace' },
+        { id: 'profile', label: 'Profiles and pages' }
+    ];
+
+    // Surface of every page without a feed
+    const OTHER_SURFACE = 'other';
+
+    // Page of filter rules and keywords used on every surface
+    const ALL_SURFACES = 'all';
+
+    // First path segments that are Facebook sections, not profile or page names
+    const RESERVED_PATHS = [
+        'ads', 'bookmarks', 'business', 'events', 'friends', 'fundraisers', 'gaming', 'games', 'help', 'jobs',
+        'live', 'login', 'login.php', 'memories', 'messages', 'notifications', 'pages', 'permalink.php', 'photo',
+        'photo.php', 'photos', 'policies', 'privacy', 'reel', 'reels', 'saved', 'search', 'settings', 'stories',
+        'story.php'
+    ];
+
+    // Path segments of a single post inside a group or profile
+    const SINGLE_POST_PATHS = ['posts', 'permalink', 'videos', 'photos'];
+
+    // Function to find the home News Feed posts: the heading with a localized "News Feed posts" text,
+    // then the way from it to the posts container given by the selector pack
+    function findByFeedHeader(doc, locale, pack) {
+        const headers = [...CleanFeedLocales.getFeedHeaders(locale), ...CleanFeedSelectors.getHeaderTexts(pack, locale)];
+        const header = Array.from(doc.querySelectorAll(pack.feedHeader.selector)).find(element =>
+            headers.includes(element.textContent.trim())
+        );
+
+        let base = header;
+        for (let level = 0; base && level < pack.feedHeader.parentLevels; level++) {
+            base = base.parentElement;
+        }
+        if (!base) return null;
+
+        const container = base.childNodes[pack.feedHeader.childIndex];
+        return container && container.children ? container : null;
+    }
+
+    // Function to find the closest element listing several units that each hold an item link
+    // (Marketplace listings, Watch videos), walking up from the first item
+    function findItemList(doc, itemSelector, pack) {
+        const main = CleanFeedSelectors.findFirst(doc, pack.pageRoots) || doc.body;
+        if (!main) return null;
+
+        const first = main.querySelector(itemSelector);
+        let current = first;
+        while (current && current !== main) {
+            const parent = current.parentElement;
+            if (!parent) return null;
+
+            const units = Array.from(parent.children).filter(child => child.matches(itemSelector) || child.querySelector(itemSelector));
+            if (units.length > 1) return parent;
+            current = parent;
+        }
+        return null;
+    }
+
+    // Function to get the surface of a URL: one of the SURFACES ids, or 'other'
+    function getSurface(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return OTHER_SURFACE;
+        }
+
+        const segments = parsed.pathname.split('/').filter(Boolean);
+        const first = (segments[0] || '').toLowerCase();
+
+        if (segments.length === 0 || first === 'home.php') return 'home';
+        if (first === 'watch') return 'watch';
+        if (first === 'marketplace') return 'marketplace';
+        if (first === 'groups') {
+            return segments.some(segment => SINGLE_POST_PATHS.includes(segment)) ? OTHER_SURFACE : 'groups';
+        }
+        if (first === 'profile.php' || first === 'people') return 'profile';
+        if (segments.length === 1 && !RESERVED_PATHS.includes(first)) return 'profile';
+        return OTHER_SURFACE;
+    }
+
+    // Function to get the adapter of a surface, or null for pages without a feed
+    function getAdapter(surface) {
+        return SURFACES.find(entry => entry.id === surface) || null;
+    }
+
+    // Function to find the post container of a surface on a page with a selector pack (the built-in one by default),
+    // returns null when it is not found (yet), in which case the content script uses its fallback scan
+    function findContainer(surface, doc, locale, pack) {
+        const adapter = getAdapter(surface);
+        if (!adapter) return null;
+
+        const resolved = pack || CleanFeedSelectors.BUILT_IN_PACK;
+        const selectors = resolved.surfaces[surface] || { containers: [], items: '' };
+        try {
+            return (adapter.feedHeader && findByFeedHeader(doc, locale, resolved)) ||
+                CleanFeedSelectors.findFirst(doc, selectors.containers) ||
+                (selectors.items && findItemList(doc, selectors.items, resolved)) ||
+                null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Function to get the default per-surface settings: every surface filtered, with every detector
+    // detectors holds only the detectors turned on or off on the surface, the others follow the global switches
+    function getDefaultSettings() {
+        const settings = {};
+        SURFACES.forEach(surface => {
+            settings[surface.id] = { enabled: true, detectors: {} };
+        });
+        return settings;
+    }
+
+    // Function to merge stored per-surface settings with the defaults
+    function normalizeSettings(stored) {
+        const settings = getDefaultSettings();
+        if (!stored || typeof stored !== 'object') return settings;
+
+        SURFACES.forEach(surface => {
+            const entry = stored[surface.id];
+            if (!entry || typeof entry !== 'object') return;
+
+            settings[surface.id].enabled = entry.enabled !== false;
+            if (entry.detectors && typeof entry.detectors === 'object') {
+                Object.keys(entry.detectors).forEach(id => {
+                    if (typeof entry.detectors[id] === 'boolean') settings[surface.id].detectors[id] = entry.detectors[id];
+                });
+            }
+        });
+        return settings;
+    }
+
+    // Function to check whether posts are filtered on a surface: it has a feed, and is not turned off
+    function isFiltered(surface, settings) {
+        if (!getAdapter(surface)) return false;
+        return normalizeSettings(settings)[surface].enabled;
+    }
+
+    // Function to get the detector switches used on a surface: the global switches,
+    // with the detectors turned on or off for the surface
+    function getDetectorSettings(detectors, settings, surface) {
+        const flags = { ...detectors };
+        const entry = normalizeSettings(settings)[surface];
+        if (entry) {
+            Object.keys(entry.detectors).forEach(id => {
+                flags[id] = entry.detectors[id];
+            });
+        }
+        return flags;
+    }
+
+    // Function to check whether a filter rule or keyword is used on a surface: its page is the surface,
+    // or all pages (the default of entries stored before they had a page)
+    function appliesTo(entry, surface) {
+        return !entry.surface || entry.surface === ALL_SURFACES || entry.surface === surface;
+    }
+
+    // Function to check the page of a filter rule or keyword, returns an error message or null
+    function validateScope(surface) {
+        if (surface === undefined || surface === ALL_SURFACES || getAdapter(surface)) return null;
+        return `Unknown page "${surface}"`;
+    }
+
+    return {
+        SURFACES,
+        OTHER_SURFACE,
+        ALL_SURFACES,
+        getSurface,
+        getAdapter,
+        findContainer,
+        getDefaultSettings,
+        normalizeSettings,
+        isFiltered,
+        getDetectorSettings,
+        appliesTo,
+        validateScope
+    };
+})();
@@ -0,0 +1,129 @@
+// CleanFeedFB - Turn a saved Facebook page into an anonymized test snapshot
+// Usage: npm run fixture:add -- <saved-page.html> <fixture-name>
+// Writes tests/fixtures/<fixture-name>.html. Run `UPDATE_FIXTURES=1 npm test` afterwards and review the result.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { FIXTURES_DIR } = require('./harness');
+
+// Elements that carry no markup the classifier looks at
+const REMOVED_ELEMENTS = 'script, noscript, iframe, link, meta:not([charset]), template, object, embed';
+
+// Attributes kept on every element, anything else is dropped
+const KEPT_ATTRIBUTES = [
+    'charset', 'class', 'id', 'style', 'role', 'tabindex', 'dir', 'lang', 'hidden', 'href',
+    'aria-label', 'aria-labelledby', 'aria-hidden',
+    'data-pagelet', 'data-testid', 'data-ad-preview', 'data-ad-comet-preview', 'data-ad-rendering-role'
+];
+
+// Link paths whose first segments describe the unit type and are kept as they are
+const STRUCTURAL_PATHS = ['groups', 'reel', 'stories', 'ads', 'friends', 'onthisday', 'memories', 'watch', 'events', 'marketplace', 'hashtag', 'photo', 'posts', 'videos'];
+
+// Elements whose text is the author of a post (see AUTHOR_SELECTORS in source-lists.js)
+const AUTHOR_SELECTOR = '[data-ad-rendering-role="profile_name"] a[href], h2 a[href], h3 a[href], h4 a[href], strong a[href], a[href] strong';
+
+// Elements holding the post message
+const MESSAGE_SELECTOR = '[data-ad-preview="message"], [data-ad-comet-preview="message"], [data-ad-rendering-role="story_message"]';
+
+// Function to replace every value with a stable placeholder, the same value always gets the same placeholder
+function createReplacer(format) {
+    const seen = new Map();
+    return value => {
+        if (!seen.has(value)) {
+            seen.set(value, format(seen.size + 1));
+        }
+        return seen.get(value);
+    };
+}
+
+// Function to anonymize a saved page, returns the snapshot HTML
+function anonymizeSnapshot(html) {
+    const { window } = new JSDOM(html);
+    const { document } = window;
+
+    const anonymizeName = createReplacer(index => `Author ${index}`);
+    const anonymizeSlug = createReplacer(index => `author.${index}`);
+    const anonymizeNumber = createReplacer(index => String(100000000000000 + index));
+
+    // Drop scripts, embeds and comments
+    document.querySelectorAll(REMOVED_ELEMENTS).forEach(element => element.remove());
+    const comments = document.createTreeWalker(document, window.NodeFilter.SHOW_COMMENT);
+    const commentNodes = [];
+    while (comments.nextNode()) commentNodes.push(comments.currentNode);
+    commentNodes.forEach(node => node.remove());
+
+    // Replace author names, also where they appear in accessibility labels ("Follow Jane Doe")
+    const names = [];
+    document.querySelectorAll(AUTHOR_SELECTOR).forEach(element => {
+        const name = element.textContent.trim();
+        if (name) {
+            names.push(name);
+            element.textContent = anonymizeName(name);
+        }
+    });
+    names.sort((a, b) => b.length - a.length);
+    document.querySelectorAll('[aria-label]').forEach(element => {
+        const label = names.reduce((text, name) => text.split(name).join(anonymizeName(name)), element.getAttribute('aria-label'));
+        element.setAttribute('aria-label', label);
+    });
+
+    // Replace message text and media
+    document.querySelectorAll(MESSAGE_SELECTOR).forEach((element, index) => {
+        element.textContent = `Message text ${index + 1}.`;
+    });
+    document.querySelectorAll('img, video, source, image').forEach(element => {
+        ['src', 'srcset', 'poster', 'xlink:href', 'alt'].forEach(name => element.removeAttribute(name));
+    });
+
+    // Keep only the attributes the classifier reads
+    document.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            if (!KEPT_ATTRIBUTES.includes(attribute.name)) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+    });
+
+    // Rewrite links: keep the structural path, replace profile names and numeric IDs, drop tracking parameters
+    document.querySelectorAll('[href]').forEach(element => {
+        let url;
+        try {
+            url = new URL(element.getAttribute('href'), 'https://www.facebook.com/');
+        } catch (error) {
+            element.setAttribute('href', '#');
+            return;
+        }
+
+        const segments = url.pathname.split('/').filter(Boolean).map((segment, index) => {
+            if (/^\d+$/.test(segment)) return anonymizeNumber(segment);
+            if (index === 0 && (STRUCTURAL_PATHS.includes(segment) || segment.endsWith('.php'))) return segment;
+            if (index > 0) return segment;
+            return anonymizeSlug(segment);
+        });
+        const id = url.searchParams.get('id');
+        const query = id ? `?id=${anonymizeNumber(id)}` : '';
+        const host = url.hostname.endsWith('facebook.com') ? url.hostname : 'example.com';
+        element.setAttribute('href', `https://${host}/${segments.join('/')}${query}`);
+    });
+
+    return '<!DOCTYPE html>\n' + document.documentElement.outerHTML + '\n';
+}
+
+// Command line entry point
+if (require.main === module) {
+    const [input, name] = process.argv.slice(2);
+    if (!input || !name || !/^[a-z0-9-]+$/.test(name)) {
+        console.error('Usage: npm run fixture:add -- <saved-page.html> <fixture-name>');
+        console.error('The fixture name may contain lowercase letters, digits and dashes.');
+        process.exit(1);
+    }
+
+    const output = path.join(FIXTURES_DIR, `${name}.html`);
+    fs.writeFileSync(output, anonymizeSnapshot(fs.readFileSync(input, 'utf8')));
+    console.log(`Wrote ${path.relative(process.cwd(), output)}`);
+    console.log('Now check the file for anything personal, then run `UPDATE_FIXTURES=1 npm test` and review the expected result.');
+}
+
+module.exports = { anonymizeSnapshot };
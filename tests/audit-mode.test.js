@@ -0,0 +1,58 @@
+// CleanFeedFB - Audit mode: outline the posts that would be hidden, without hiding or counting them
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot } = require('./harness');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+
+test('matching posts are outlined with a badge instead of hidden', async () => {
+    const result = await runSnapshot(html, { auditMode: true }, async ({ window }) => {
+        const document = window.document;
+        const posts = document.querySelectorAll('[data-cleanfeed-audit]');
+        assert.strictEqual(posts.length, 3);
+        posts.forEach(post => {
+            const badge = post.querySelector('.cleanfeed-audit-badge');
+            assert.ok(badge);
+            assert.match(badge.textContent, /Would hide/);
+            assert.match(badge.textContent, /Triggered by: /);
+            assert.ok(post.querySelector('[data-cleanfeed-audit-trigger]'));
+        });
+
+        const post = document.querySelector('.post-follow');
+        assert.strictEqual(post.getAttribute('data-cleanfeed-audit'), 'follow');
+        assert.match(post.querySelector('.cleanfeed-audit-badge').textContent, /Would hide · Follow/);
+    });
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.hidden, []);
+    assert.strictEqual(result.messages.filter(message => message.type === 'POST_HIDDEN').length, 0);
+});
+
+test('turning audit mode off hides the outlined posts', async () => {
+    const result = await runSnapshot(html, { auditMode: true }, async ({ window, sendMessage }) => {
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { auditMode: false } });
+        // Wait for the hide delay, then finish the fade-out jsdom does not run
+        await new Promise(resolve => setTimeout(resolve, 150));
+        window.document.querySelectorAll('.cleanfeed-hide-transition.hide').forEach(element => {
+            element.dispatchEvent(new window.Event('transitionend'));
+        });
+
+        const document = window.document;
+        assert.strictEqual(document.querySelectorAll('[data-cleanfeed-audit], .cleanfeed-audit-badge').length, 0);
+        assert.strictEqual(document.querySelectorAll('[data-cleanfeed-audit-trigger]').length, 0);
+        assert.strictEqual(document.querySelectorAll('[data-follow-hidden="true"]').length, 3);
+    });
+
+    assert.strictEqual(result.messages.filter(message => message.type === 'POST_HIDDEN').length, 3);
+});
+
+test('turning the extension off removes the outlines', async () => {
+    await runSnapshot(html, { auditMode: true }, async ({ window, sendMessage }) => {
+        await sendMessage({ type: 'TOGGLE_EXTENSION', enabled: false });
+        assert.strictEqual(window.document.querySelectorAll('[data-cleanfeed-audit], .cleanfeed-audit-badge').length, 0);
+    });
+});
@@ -0,0 +1,82 @@
+// CleanFeedFB - Toolbar badge: the content script reports its tab's state, the background script draws the badge
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot, loadBackground } = require('./harness');
+
+// Function to let the badge updates that run after a response finish
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+// Function to get the tab statuses a content script reported
+function getStatuses(result) {
+    return result.messages.filter(message => message.type === 'TAB_STATUS').map(message => message.status);
+}
+
+test('the content script reports an active feed, and its tab count with every hidden post', async () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+    const result = await runSnapshot(html);
+
+    assert.deepStrictEqual(getStatuses(result), ['active']);
+    const tabCounts = result.messages.filter(message => message.type === 'POST_HIDDEN').map(message => message.tabCount);
+    assert.deepStrictEqual(tabCounts, [1, 2, 3]);
+});
+
+test('the content script reports a missing feed and a disabled tab', async () => {
+    const legacy = fs.readFileSync(path.join(FIXTURES_DIR, 'legacy-fallback.html'), 'utf8');
+    assert.deepStrictEqual(getStatuses(await runSnapshot(legacy)), ['no-feed']);
+
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+    assert.deepStrictEqual(getStatuses(await runSnapshot(html, { enabled: false })), ['disabled']);
+});
+
+test('the badge shows the posts hidden in the tab', async () => {
+    const background = loadBackground({ lastResetDate: new Date().toDateString() });
+    const tab = { tab: { id: 7 } };
+
+    await background.send({ type: 'TAB_STATUS', status: 'active', count: 0 }, tab);
+    await settle();
+    assert.strictEqual(background.badges[7].text, '');
+    assert.strictEqual(background.badges[7].color, '#1877f2');
+
+    await background.send({ type: 'POST_HIDDEN', category: 'follow', tabCount: 1 }, tab);
+    await background.send({ type: 'POST_HIDDEN', category: 'join', tabCount: 2 }, tab);
+    await settle();
+    assert.strictEqual(background.badges[7].text, '2');
+    assert.strictEqual(background.badges[7].title, 'CleanFeedFB - 2 hidden in this tab, 2 today');
+});
+
+test('with the today mode every tab shows the posts hidden today', async () => {
+    const background = loadBackground({ lastResetDate: new Date().toDateString(), hiddenCount: 10, badgeCount: 'today' });
+    await background.send({ type: 'TAB_STATUS', status: 'active', count: 0 }, { tab: { id: 1 } });
+    await background.send({ type: 'TAB_STATUS', status: 'active', count: 0 }, { tab: { id: 2 } });
+
+    await background.send({ type: 'POST_HIDDEN', category: 'follow', tabCount: 1 }, { tab: { id: 1 } });
+    await settle();
+    assert.strictEqual(background.badges[1].text, '11');
+    assert.strictEqual(background.badges[2].text, '11');
+
+    background.changeStorage({ badgeCount: { oldValue: 'today', newValue: 'tab' } });
+    await settle();
+    assert.strictEqual(background.badges[1].text, '1');
+    assert.strictEqual(background.badges[2].text, '');
+});
+
+test('disabled, missing feed, error and paused states are shown on the badge', async () => {
+    const background = loadBackground({ lastResetDate: new Date().toDateString() });
+    await background.send({ type: 'TAB_STATUS', status: 'disabled', count: 4 }, { tab: { id: 1 } });
+    await background.send({ type: 'TAB_STATUS', status: 'no-feed', count: 0 }, { tab: { id: 2 } });
+    await background.send({ type: 'TAB_STATUS', status: 'error', count: 0 }, { tab: { id: 3 } });
+    await background.send({ type: 'TAB_STATUS', status: 'paused', count: 2 }, { tab: { id: 4 } });
+    await settle();
+
+    assert.deepStrictEqual([background.badges[1].text, background.badges[1].color], ['off', '#8a8d91']);
+    assert.deepStrictEqual([background.badges[2].text, background.badges[2].color], ['?', '#8a8d91']);
+    assert.match(background.badges[2].title, /News Feed not found/);
+    assert.deepStrictEqual([background.badges[3].text, background.badges[3].color], ['!', '#e41e3f']);
+    assert.deepStrictEqual([background.badges[4].text, background.badges[4].color], ['||', '#8a8d91']);
+});
@@ -0,0 +1,37 @@
+// CleanFeedFB - Classifier tests against saved News Feed snapshots
+// Run with `npm test`. Set UPDATE_FIXTURES=1 to rewrite the expected results from the current behaviour.
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { runSnapshot, listFixtures } = require('./harness');
+
+const UPDATE = process.env.UPDATE_FIXTURES === '1';
+
+for (const fixture of listFixtures()) {
+    const expectation = fixture.expectation || { description: '', settings: {}, hidden: [] };
+
+    test(`${fixture.name}: ${expectation.description || 'snapshot'}`, async () => {
+        const html = fs.readFileSync(fixture.htmlFile, 'utf8');
+        const result = await runSnapshot(html, expectation.settings || {});
+
+        if (UPDATE) {
+            const updated = { ...expectation, hidden: result.hidden };
+            fs.writeFileSync(fixture.expectationFile, JSON.stringify(updated, null, 2) + '\n');
+            return;
+        }
+
+        assert.ok(fixture.expectation, `No expectation for ${fixture.name}, run with UPDATE_FIXTURES=1 and review the result`);
+
+        assert.deepStrictEqual(result.errors, [], 'The content scripts threw errors');
+        assert.deepStrictEqual(result.hidden, expectation.hidden);
+
+        // Every hidden post is reported to the background exactly once, with its reason
+        const reported = result.messages
+            .filter(message => message.type === 'POST_HIDDEN')
+            .map(message => message.category)
+            .sort();
+        assert.deepStrictEqual(reported, expectation.hidden.map(entry => entry.reason).sort());
+    });
+}
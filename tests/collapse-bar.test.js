@@ -0,0 +1,87 @@
+// CleanFeedFB - Collapsed "post hidden" bars and their actions
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot } = require('./harness');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+
+// Function to find a bar button by its text
+function findButton(bar, text) {
+    return Array.from(bar.querySelectorAll('button')).find(button => button.textContent === text);
+}
+
+test('collapsed posts get a bar with the reason in front of them', async () => {
+    await runSnapshot(html, { hideStyle: 'collapse' }, async ({ window }) => {
+        const bars = window.document.querySelectorAll('[data-cleanfeed-bar]');
+        assert.strictEqual(bars.length, 3);
+        bars.forEach(bar => {
+            assert.strictEqual(bar.nextElementSibling.getAttribute('data-follow-hidden'), 'true');
+            assert.ok(findButton(bar, 'Show'));
+            assert.ok(findButton(bar, 'Hide similar'));
+        });
+        assert.match(bars[0].textContent, /Post hidden · Follow/);
+    });
+});
+
+test('"Show" reveals only its own post and removes the bar', async () => {
+    await runSnapshot(html, { hideStyle: 'collapse' }, async ({ window }) => {
+        const post = window.document.querySelector('.post-join');
+        findButton(post.previousElementSibling, 'Show').click();
+
+        assert.strictEqual(post.hasAttribute('data-follow-hidden'), false);
+        assert.strictEqual(post.previousElementSibling.hasAttribute('data-cleanfeed-bar'), false);
+        assert.strictEqual(window.document.querySelectorAll('[data-cleanfeed-bar]').length, 2);
+    });
+});
+
+test('"Hide similar" blocklists the source and hides its other posts', async () => {
+    // The first post, which no detector matches, comes from the same page as the Follow post
+    // Labelled posts are hidden without a transition
+    const samePage = html.replace('https://www.facebook.com/author.one?__cft__=abc"><strong>Author One', 'https://www.facebook.com/page.two"><strong>Page Two');
+
+    const result = await runSnapshot(samePage, { hideStyle: 'label' }, async ({ window }) => {
+        const regular = window.document.querySelector('.post-regular');
+        assert.strictEqual(regular.hasAttribute('data-follow-hidden'), false);
+
+        const post = window.document.querySelector('.post-follow');
+        findButton(post.previousElementSibling, 'Hide similar').click();
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        assert.strictEqual(regular.getAttribute('data-follow-hidden'), 'true');
+        assert.match(regular.previousElementSibling.textContent, /Blocked source "Page Two"/);
+        assert.strictEqual(window.document.querySelectorAll('[data-cleanfeed-bar]').length, 4);
+    });
+
+    assert.ok(result.messages.some(message => message.type === 'POST_HIDDEN' && message.category === 'blocklist'));
+});
+
+test('"Always allow this source" shows the posts of that author', async () => {
+    await runSnapshot(html, { hideStyle: 'collapse' }, async ({ window }) => {
+        const post = window.document.querySelector('.post-follow-aria');
+        findButton(post.previousElementSibling, 'Always allow this source').click();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        assert.strictEqual(post.hasAttribute('data-follow-hidden'), false);
+        assert.strictEqual(window.document.querySelectorAll('[data-follow-hidden="true"]').length, 2);
+    });
+});
+
+test('sources added from the posts of another tab apply to this tab too', async () => {
+    await runSnapshot(html, { hideStyle: 'label' }, async ({ window, changeStorage }) => {
+        const document = window.document;
+
+        // "Hide similar" on a post of Author One in another tab
+        changeStorage({ blocklist: ['https://www.facebook.com/author.one'] });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual(document.querySelector('.post-regular').getAttribute('data-follow-hidden'), 'true');
+
+        // "Always allow this source" on a post of Page Two in another tab
+        changeStorage({ allowlist: ['https://www.facebook.com/page.two'] });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.strictEqual(document.querySelector('.post-follow').hasAttribute('data-follow-hidden'), false);
+    });
+});
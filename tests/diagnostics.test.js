@@ -0,0 +1,97 @@
+// CleanFeedFB - Diagnostics: the health of a tab, and the redacted report bundle
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { FIXTURES_DIR, runSnapshot, loadScripts } = require('./harness');
+
+const lookup = loadScripts(['locales.js', 'selector-packs.js', 'surfaces.js', 'diagnostics.js'], { URL });
+const CleanFeedDiagnostics = lookup('CleanFeedDiagnostics');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+const legacyHtml = fs.readFileSync(path.join(FIXTURES_DIR, 'legacy-fallback.html'), 'utf8');
+
+// Dimmed posts are hidden without a transition
+const settings = { hideStyle: 'dim' };
+
+test('the skeleton keeps the layout and drops text, names and links', () => {
+    const { document } = new JSDOM('<body><div class="feed" role="feed">' +
+        '<div class="post" data-follow-reason="Keyword &quot;secret&quot;"><h4><a href="/jane.doe.42?__cft__=x"><strong>Jane Doe</strong></a></h4>' +
+        '<a href="/groups/123/permalink/456/">1h</a><div role="button" tabindex="0" aria-label="Follow Jane Doe" style="background: url(https://x/jane.jpg)">Follow</div>' +
+        '<img src="https://x/jane.jpg" alt="Jane Doe"><script>var secret = 1;</script></div></div></body>').window;
+
+    const skeleton = CleanFeedDiagnostics.buildSkeleton(document.querySelector('.feed'));
+    assert.strictEqual(skeleton.html, [
+        '<div class="feed" role="feed">',
+        '  <div class="post" data-follow-reason="">',
+        '    <h4>',
+        '      <a href="https://www.facebook.com/name">',
+        '        <strong></strong>',
+        '      </a>',
+        '    </h4>',
+        '    <a href="https://www.facebook.com/groups/0/permalink/0"></a>',
+        '    <div role="button" tabindex="0" aria-label="" style="background: url()"></div>',
+        '    <img alt=""></img>',
+        '  </div>',
+        '</div>'
+    ].join('\n'));
+    assert.strictEqual(`${skeleton.elements} ${skeleton.truncated}`, '8 false');
+});
+
+test('large feeds are cut off in the skeleton, and the report counts the personal lists only', () => {
+    const { document } = new JSDOM(`<body><div id="feed">${'<div></div>'.repeat(CleanFeedDiagnostics.MAX_SKELETON_ELEMENTS + 5)}</div></body>`).window;
+    const skeleton = CleanFeedDiagnostics.buildSkeleton(document.getElementById('feed'));
+    assert.strictEqual(`${skeleton.elements} ${skeleton.truncated}`, `${CleanFeedDiagnostics.MAX_SKELETON_ELEMENTS} true`);
+    assert.match(skeleton.html, /truncated after/);
+
+    const report = CleanFeedDiagnostics.createReport({ status: 'active' }, {
+        hideSponsored: true,
+        keywordRules: [{ keyword: 'my topic' }],
+        allowlist: ['https://www.facebook.com/my.friend'],
+        blocklist: [],
+        filterRules: [
+            { id: 'default-follow', term: 'follow', pattern: '', matchType: 'prefix', target: 'both', enabled: true },
+            { id: 'rule-a', pattern: 'my\\s+neighbour', matchType: 'regex', target: 'text', enabled: true }
+        ]
+    }, '1.2.0', 'Test browser');
+    const text = JSON.stringify(report);
+    assert.strictEqual(report.format, CleanFeedDiagnostics.FORMAT);
+    assert.strictEqual(JSON.stringify(report.settings), '{"hideSponsored":true,"keywordRules":{"entries":1},"allowlist":{"entries":1},"blocklist":{"entries":0},' +
+        '"filterRules":{"builtIn":[{"id":"default-follow","term":"follow","pattern":"","matchType":"prefix","target":"both","enabled":true}],"custom":1}}');
+    assert.ok(!text.includes('my topic') && !text.includes('my.friend') && !text.includes('neighbour'));
+});
+
+test('a tab reports the posts container, the posts found and its scans', async () => {
+    await runSnapshot(html, settings, async ({ sendMessage }) => {
+        const diagnostics = await sendMessage({ type: 'GET_DIAGNOSTICS' });
+        assert.strictEqual(`${diagnostics.status} ${diagnostics.feedRootFound} ${diagnostics.postsFound} ${diagnostics.legacyFallbackRuns}`, 'active true 5 0');
+        assert.ok(diagnostics.scans > 0 && diagnostics.lastScanMs >= 0);
+        assert.strictEqual(diagnostics.errors.length, 0);
+        assert.strictEqual(diagnostics.skeleton, undefined);
+
+        const rows = CleanFeedDiagnostics.describe(diagnostics);
+        assert.strictEqual(rows.filter(row => row.problem).length, 0);
+
+        // The report bundle holds the skeleton of the posts container, without the authors and messages
+        const withSkeleton = await sendMessage({ type: 'GET_DIAGNOSTICS', includeSkeleton: true });
+        assert.strictEqual(withSkeleton.skeletonRoot, 'posts container');
+        assert.match(withSkeleton.skeleton.html, /<div class="x1lliihq post-follow" data-cleanfeed-id="" data-follow-hidden="true" data-follow-reason="" data-cleanfeed-style="dim">/);
+        assert.ok(!/Author One|Had a great walk|Follow<|author\.one/.test(withSkeleton.skeleton.html));
+    });
+});
+
+test('a tab without the posts container reports the legacy fallback runs', async () => {
+    await runSnapshot(legacyHtml, settings, async ({ sendMessage }) => {
+        const diagnostics = await sendMessage({ type: 'GET_DIAGNOSTICS', includeSkeleton: true });
+        assert.strictEqual(`${diagnostics.status} ${diagnostics.feedRootFound} ${diagnostics.postsFound}`, 'no-feed false 0');
+        assert.ok(diagnostics.legacyFallbackRuns > 0);
+        assert.strictEqual(diagnostics.legacyFallbackButtons, 2);
+        assert.strictEqual(diagnostics.skeletonRoot, 'fallback root');
+
+        const problems = CleanFeedDiagnostics.describe(diagnostics).filter(row => row.problem).map(row => row.label);
+        assert.strictEqual(problems.join(', '), 'Tab status, Posts container found, Legacy fallback');
+    });
+});
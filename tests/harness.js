@@ -0,0 +1,323 @@
+// CleanFeedFB - Offline test harness
+// Loads a saved News Feed snapshot into jsdom, runs the content scripts from manifest.json against it
+// with a fake extension API, and reports which elements were hidden and why. No network access is used.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// The polyfill refuses to run outside an extension, the fake API below replaces it
+const SKIPPED_SCRIPTS = ['browser-polyfill.min.js'];
+
+// Settings applied to every fixture unless the fixture overrides them
+// The long scan interval keeps the periodic check out of the way, the initial scan and the observer do the work
+const BASE_SETTINGS = {
+    enabled: true,
+    scanInterval: 30,
+    hideDelay: 0,
+    debugMode: false
+};
+
+// How long the page must stay unchanged before the run is considered finished
+const SETTLE_MS = 100;
+
+// Upper bound for a single fixture run
+const MAX_RUN_MS = 5000;
+
+// Function to list the content scripts in manifest order
+function getContentScripts() {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    return manifest.content_scripts[0].js.filter(file => !SKIPPED_SCRIPTS.includes(file));
+}
+
+// Function to create the fake extension API exposed to the content scripts as `browser`
+// listeners collects the runtime.onMessage listeners, so tests can message the content script, and
+// storageListeners the storage.onChanged listeners, told about every write to sync storage
+function createBrowserAPI(settings, messages, listeners, storageListeners) {
+    return {
+        storage: {
+            sync: {
+                get: async (defaults) => ({ ...defaults, ...settings }),
+                set: async (values) => changeStorage(settings, storageListeners, values)
+            },
+            local: {
+                get: async (defaults) => ({ ...defaults, ...settings })
+            },
+            onChanged: { addListener: listener => storageListeners.push(listener) }
+        },
+        runtime: {
+            sendMessage: async (message) => {
+                messages.push(message);
+                return null;
+            },
+            onMessage: { addListener: listener => listeners.push(listener) }
+        }
+    };
+}
+
+// Function to write values to the fake sync storage and tell the storage.onChanged listeners, as the browser does
+// for a write from any tab or page of the extension
+function changeStorage(settings, storageListeners, values) {
+    const changes = {};
+    Object.keys(values).forEach(key => {
+        changes[key] = { oldValue: settings[key], newValue: values[key] };
+        settings[key] = values[key];
+    });
+    storageListeners.forEach(listener => listener(changes, 'sync'));
+}
+
+// Function to describe an element by its path from <body>, e.g. "body > div:nth-child(2) > div:nth-child(3)"
+function getElementPath(element) {
+    const parts = [];
+    let current = element;
+    while (current && current.tagName && current.tagName.toLowerCase() !== 'body') {
+        const index = Array.prototype.indexOf.call(current.parentElement.children, current) + 1;
+        parts.unshift(`${current.tagName.toLowerCase()}:nth-child(${index})`);
+        current = current.parentElement;
+    }
+    parts.unshift('body');
+    return parts.join(' > ');
+}
+
+// Function to wait for a number of milliseconds
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Function to send a message to the listeners of a script the way the extension messaging does, resolves with the response
+function sendToContent(listeners, message, sender = {}) {
+    return new Promise(resolve => {
+        let answered = false;
+        const sendResponse = response => {
+            answered = true;
+            resolve(response);
+        };
+        const keepOpen = listeners.map(listener => listener(message, sender, sendResponse)).some(result => result === true);
+        if (!answered && !keepOpen) resolve(undefined);
+    });
+}
+
+// Function to run the content scripts against an HTML snapshot
+// Returns { hidden: [{ path, reason }], messages, errors } where messages are those sent to the background
+// and errors are the uncaught exceptions thrown by the content scripts
+// inspect, if given, is awaited with { window, sendMessage, changeStorage } before the page is closed,
+// changeStorage(values) writes to sync storage the way another tab would
+async function runSnapshot(html, settings = {}, inspect = null) {
+    const messages = [];
+    const errors = [];
+    const listeners = [];
+    const storageListeners = [];
+    const storedSettings = { ...BASE_SETTINGS, ...settings };
+    let running = true;
+
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => {
+        // Observers may still fire while the window is being closed, and jsdom reports
+        // features it lacks (pseudo-element styles) as errors although the scripts handle them
+        if (running && error.type !== 'not implemented') errors.push(error.detail || error);
+    });
+
+    const dom = new JSDOM(html, {
+        url: 'https://www.facebook.com/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const { window } = dom;
+
+    try {
+        window.browser = createBrowserAPI(storedSettings, messages, listeners, storageListeners);
+
+        // jsdom has no layout, scrolling is a no-op
+        window.Element.prototype.scrollIntoView = () => {};
+
+        // Run each file as a separate classic script so their top-level constants are shared, as in the browser
+        const context = dom.getInternalVMContext();
+        getContentScripts().forEach(file => {
+            const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+            new vm.Script(source, { filename: file }).runInContext(context);
+        });
+
+        // jsdom does not run CSS transitions, so finish them by hand until nothing changes any more
+        const start = Date.now();
+        let lastState = '';
+        let stableSince = Date.now();
+        while (Date.now() - start < MAX_RUN_MS) {
+            await sleep(20);
+            window.document.querySelectorAll('.cleanfeed-hide-transition.hide').forEach(element => {
+                element.dispatchEvent(new window.Event('transitionend'));
+            });
+
+            const state = `${window.document.querySelectorAll('[data-follow-hidden="true"]').length}/` +
+                `${window.document.querySelectorAll('.cleanfeed-hide-transition').length}`;
+            if (state !== lastState) {
+                lastState = state;
+                stableSince = Date.now();
+            } else if (Date.now() - stableSince >= SETTLE_MS) {
+                break;
+            }
+        }
+
+        const hidden = Array.from(window.document.querySelectorAll('[data-follow-hidden="true"]')).map(element => ({
+            path: getElementPath(element),
+            reason: element.getAttribute('data-follow-reason')
+        }));
+
+        if (inspect) {
+            await inspect({
+                window,
+                sendMessage: message => sendToContent(listeners, message),
+                changeStorage: values => changeStorage(storedSettings, storageListeners, values)
+            });
+        }
+
+        return { hidden, messages, errors };
+    } finally {
+        running = false;
+        window.close();
+    }
+}
+
+// Function to load shared scripts (e.g. those of the options page) into a bare context, without a page
+// globals are added to the context (e.g. a fake `browser`), returns a lookup for the scripts' top-level names,
+// e.g. lookup('CleanFeedRules')
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, setTimeout, clearTimeout, ...globals });
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        new vm.Script(source, { filename: file }).runInContext(context);
+    });
+    return name => vm.runInContext(name, context);
+}
+
+// Function to create a fake storage area over an object of values, supporting the get/set/remove forms the scripts use
+function createStorageArea(values) {
+    return {
+        get: async (keys) => {
+            if (keys === null) return { ...values };
+            const result = {};
+            Object.keys(keys).forEach(key => {
+                result[key] = key in values ? values[key] : keys[key];
+            });
+            return result;
+        },
+        set: async (changes) => Object.assign(values, changes),
+        remove: async (keys) => [].concat(keys).forEach(key => delete values[key])
+    };
+}
+
+// Function to load the background script with a fake extension API over the given storage.sync values
+// Returns { sync, local, openedPages, badges, tabMessages, alarms, install(details), send(message, sender),
+// changeStorage(changes), fireAlarm(name) }, where send resolves with the response, badges maps a tab ID to its
+// { text, color, title }, tabMessages lists the messages sent to the Facebook tab and alarms maps names to times
+function loadBackground(stored = {}, version = '1.2.0') {
+    const sync = { ...stored };
+    const local = {};
+    const openedPages = [];
+    const badges = {};
+    const tabMessages = [];
+    const alarms = {};
+    const storageListeners = [];
+    const alarmListeners = [];
+    const installListeners = [];
+    const messageListeners = [];
+    const noop = { addListener: () => {} };
+
+    const browser = {
+        storage: {
+            sync: createStorageArea(sync),
+            local: createStorageArea(local),
+            onChanged: { addListener: listener => storageListeners.push(listener) }
+        },
+        runtime: {
+            onMessage: { addListener: listener => messageListeners.push(listener) },
+            onStartup: noop,
+            onInstalled: { addListener: listener => installListeners.push(listener) },
+            getManifest: () => ({ version: version }),
+            getURL: page => `extension://id/${page}`,
+            sendMessage: async () => {}
+        },
+        tabs: {
+            create: async ({ url }) => openedPages.push(url),
+            query: async () => [{ id: 1, url: 'https://www.facebook.com/' }],
+            sendMessage: async (tabId, message) => tabMessages.push(message),
+            onRemoved: noop,
+            onUpdated: noop
+        },
+        alarms: {
+            create: (name, { when }) => { alarms[name] = when; },
+            clear: name => { delete alarms[name]; },
+            onAlarm: { addListener: listener => alarmListeners.push(listener) }
+        },
+        action: {
+            setBadgeText: async ({ tabId, text }) => { badges[tabId] = { ...badges[tabId], text }; },
+            setBadgeBackgroundColor: async ({ tabId, color }) => { badges[tabId] = { ...badges[tabId], color }; },
+            setTitle: async ({ tabId, title }) => { badges[tabId] = { ...badges[tabId], title }; }
+        }
+    };
+
+    loadScripts(['schedule.js', 'background.js'], { browser });
+    return {
+        sync,
+        local,
+        openedPages,
+        badges,
+        tabMessages,
+        alarms,
+        install: details => Promise.all(installListeners.map(listener => listener(details))),
+        send: (message, sender = {}) => sendToContent(messageListeners, message, sender),
+        changeStorage: changes => {
+            Object.keys(changes).forEach(key => { sync[key] = changes[key].newValue; });
+            storageListeners.forEach(listener => listener(changes, 'sync'));
+        },
+        fireAlarm: name => alarmListeners.forEach(listener => listener({ name }))
+    };
+}
+
+// Function to list the fixtures
+// Each expectation "name.json" checks the snapshot "name.html", or the one named by its "snapshot" field
+// so that one snapshot can be checked under several settings. Snapshots without an expectation are listed too.
+function listFixtures() {
+    const files = fs.readdirSync(FIXTURES_DIR).sort();
+    const fixtures = files
+        .filter(file => file.endsWith('.json'))
+        .map(file => {
+            const name = file.replace(/\.json$/, '');
+            const expectation = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+            return {
+                name: name,
+                htmlFile: path.join(FIXTURES_DIR, expectation.snapshot || `${name}.html`),
+                expectationFile: path.join(FIXTURES_DIR, file),
+                expectation: expectation
+            };
+        });
+
+    const checked = new Set(fixtures.map(fixture => fixture.htmlFile));
+    files
+        .filter(file => file.endsWith('.html') && !checked.has(path.join(FIXTURES_DIR, file)))
+        .forEach(file => {
+            const name = file.replace(/\.html$/, '');
+            fixtures.push({
+                name: name,
+                htmlFile: path.join(FIXTURES_DIR, file),
+                expectationFile: path.join(FIXTURES_DIR, `${name}.json`),
+                expectation: null
+            });
+        });
+
+    return fixtures;
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    runSnapshot,
+    listFixtures,
+    loadScripts,
+    loadBackground,
+    getElementPath
+};
@@ -0,0 +1,46 @@
+// CleanFeedFB - Hidden posts log entries and revealing a post from the log
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot } = require('./harness');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+
+test('hidden posts are reported with author, snippet and permalink', async () => {
+    const result = await runSnapshot(html);
+    const entries = result.messages.filter(message => message.type === 'POST_HIDDEN').map(message => message.entry);
+
+    const follow = entries.find(entry => entry.author === 'Page Two');
+    assert.ok(follow, 'The Follow post is logged');
+    assert.strictEqual(follow.authorUrl, 'https://www.facebook.com/page.two');
+    assert.strictEqual(follow.snippet, 'Check out our latest article.');
+    assert.match(follow.reason, /Follow/);
+    assert.ok(follow.postId);
+
+    // Post IDs are unique within the page
+    assert.strictEqual(new Set(entries.map(entry => entry.postId)).size, entries.length);
+});
+
+test('REVEAL_POST shows the post again and later scans leave it visible', async () => {
+    let revealed = null;
+    await runSnapshot(html, {}, async ({ window, sendMessage }) => {
+        const post = window.document.querySelector('.post-follow');
+        const postId = post.getAttribute('data-cleanfeed-id');
+
+        const response = await sendMessage({ type: 'REVEAL_POST', postId: postId });
+        assert.strictEqual(response.success, true);
+        assert.strictEqual(post.hasAttribute('data-follow-hidden'), false);
+
+        // A settings change triggers a full scan
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { hideDelay: 0 } });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        revealed = post.hasAttribute('data-follow-hidden');
+
+        const missing = await sendMessage({ type: 'REVEAL_POST', postId: 'unknown' });
+        assert.strictEqual(missing.success, false);
+    });
+    assert.strictEqual(revealed, false);
+});
@@ -0,0 +1,89 @@
+// CleanFeedFB - Hide styles: how filtered posts look, and undoing them
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot } = require('./harness');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+
+const STYLES = ['remove', 'collapse', 'blur', 'dim', 'label'];
+
+// Function to check that no post or marker carries anything left by a hide style
+function assertNothingHidden(document) {
+    assert.strictEqual(document.querySelectorAll('[data-follow-hidden], [data-cleanfeed-style]').length, 0);
+    assert.strictEqual(document.querySelectorAll('[data-follow-placeholder], .cleanfeed-hide-transition').length, 0);
+    ['.post-follow', '.post-join', '.post-follow-aria'].forEach(selector => {
+        assert.strictEqual(document.querySelector(selector).style.display, '');
+    });
+}
+
+['blur', 'dim'].forEach(style => {
+    test(`"${style}" keeps filtered posts in place`, async () => {
+        const result = await runSnapshot(html, { hideStyle: style }, async ({ window }) => {
+            const posts = window.document.querySelectorAll('[data-follow-hidden="true"]');
+            assert.strictEqual(posts.length, 3);
+            posts.forEach(post => {
+                assert.strictEqual(post.getAttribute('data-cleanfeed-style'), style);
+                assert.strictEqual(post.style.display, '');
+            });
+            assert.strictEqual(window.document.querySelectorAll('[data-cleanfeed-bar]').length, 0);
+        });
+        assert.deepStrictEqual(result.errors, []);
+    });
+});
+
+test('"label" keeps posts visible under a bar naming the reason', async () => {
+    await runSnapshot(html, { hideStyle: 'label' }, async ({ window }) => {
+        const bars = window.document.querySelectorAll('[data-cleanfeed-bar]');
+        assert.strictEqual(bars.length, 3);
+        bars.forEach(bar => {
+            const post = bar.nextElementSibling;
+            assert.strictEqual(post.getAttribute('data-cleanfeed-style'), 'label');
+            assert.strictEqual(post.style.display, '');
+            const buttons = Array.from(bar.querySelectorAll('button')).map(button => button.textContent);
+            assert.deepStrictEqual(buttons, ['Always allow this source', 'Hide similar']);
+        });
+        assert.match(bars[0].textContent, /Filtered · Follow/);
+    });
+});
+
+test('a per-reason style overrides the global one', async () => {
+    await runSnapshot(html, { hideStyle: 'remove', reasonHideStyles: { join: 'dim', follow: 'unknown' } }, async ({ window }) => {
+        const document = window.document;
+        assert.strictEqual(document.querySelector('.post-join').getAttribute('data-cleanfeed-style'), 'dim');
+        assert.strictEqual(document.querySelector('.post-follow').getAttribute('data-cleanfeed-style'), 'remove');
+        assert.strictEqual(document.querySelector('.post-follow').style.display, 'none');
+    });
+});
+
+test('changing the style restyles posts already hidden', async () => {
+    await runSnapshot(html, { hideStyle: 'remove' }, async ({ window, sendMessage }) => {
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { hideStyle: 'blur' } });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const post = window.document.querySelector('.post-follow');
+        assert.strictEqual(post.getAttribute('data-cleanfeed-style'), 'blur');
+        assert.strictEqual(post.style.display, '');
+    });
+});
+
+STYLES.forEach(style => {
+    test(`turning the extension off undoes "${style}"`, async () => {
+        await runSnapshot(html, { hideStyle: style }, async ({ window, sendMessage }) => {
+            assert.strictEqual(window.document.querySelectorAll('[data-cleanfeed-style]').length, 3);
+            await sendMessage({ type: 'TOGGLE_EXTENSION', enabled: false });
+            assertNothingHidden(window.document);
+        });
+    });
+
+    test(`refreshing the state undoes "${style}" before scanning again`, async () => {
+        await runSnapshot(html, { hideStyle: style }, async ({ window, sendMessage }) => {
+            const response = await sendMessage({ type: 'REFRESH_STATE' });
+            assert.strictEqual(response.success, true);
+            assertNothingHidden(window.document);
+        });
+    });
+});
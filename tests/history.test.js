@@ -0,0 +1,58 @@
+// CleanFeedFB - Daily statistics history and its CSV export
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground, loadScripts } = require('./harness');
+
+// Function to get the YYYY-MM-DD key of a day, days ago
+function dayKey(daysAgo) {
+    const date = new Date();
+    date.setDate(date.getDate() - daysAgo);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+test('GET_HISTORY returns one entry per day with the counts by reason', async () => {
+    const background = loadBackground({ lastResetDate: new Date().toDateString() });
+    background.local.statisticsHistory = {
+        [dayKey(2)]: { total: 3, byReason: { follow: 2, sponsored: 1 } }
+    };
+
+    await background.send({ type: 'POST_HIDDEN', category: 'follow' });
+    await background.send({ type: 'POST_HIDDEN', category: 'reels' });
+    const history = await background.send({ type: 'GET_HISTORY', days: 7 });
+
+    assert.strictEqual(history.length, 7);
+    assert.strictEqual(history.map(day => day.date).join(), [6, 5, 4, 3, 2, 1, 0].map(dayKey).join());
+    assert.strictEqual(JSON.stringify(history[4]), JSON.stringify({ date: dayKey(2), total: 3, byReason: { follow: 2, sponsored: 1 } }));
+    assert.strictEqual(JSON.stringify(history[6]), JSON.stringify({ date: dayKey(0), total: 2, byReason: { follow: 1, reels: 1 } }));
+    assert.strictEqual(history[5].total, 0);
+});
+
+test('RESET_STATISTICS clears the history', async () => {
+    const background = loadBackground({ lastResetDate: new Date().toDateString() });
+    background.local.statisticsHistory = { [dayKey(1)]: { total: 5, byReason: { follow: 5 } } };
+
+    await background.send({ type: 'RESET_STATISTICS' });
+    const history = await background.send({ type: 'GET_HISTORY', days: 3 });
+
+    assert.strictEqual(history.map(day => day.total).join(), '0,0,0');
+});
+
+test('the CSV export has a column per reason found in the history', () => {
+    const lookup = loadScripts(['category-detectors.js', 'history-chart.js']);
+    const csv = lookup('CleanFeedHistoryChart').toCsv([
+        { date: '2025-03-01', total: 4, byReason: { sponsored: 1, follow: 3 } },
+        { date: '2025-03-02', total: 0, byReason: {} },
+        { date: '2025-03-03', total: 1, byReason: { reels: 1 } }
+    ]);
+
+    assert.strictEqual(csv, [
+        'date,total,follow,sponsored,reels',
+        '2025-03-01,4,3,1,0',
+        '2025-03-02,0,0,0,0',
+        '2025-03-03,1,0,0,1',
+        ''
+    ].join('\n'));
+});
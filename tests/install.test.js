@@ -0,0 +1,45 @@
+// CleanFeedFB - Install and update handling of the background script
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadBackground } = require('./harness');
+
+test('a first install records the install date and opens the onboarding page', async () => {
+    const background = loadBackground({});
+    await background.install({ reason: 'install' });
+
+    assert.strictEqual(background.sync.firstInstallDate, new Date().toDateString());
+    assert.strictEqual(background.sync.settingsVersion, 2);
+    assert.deepStrictEqual(background.openedPages, ['extension://id/onboarding.html']);
+});
+
+test('an update migrates the stored settings and opens the "what\'s new" page', async () => {
+    const background = loadBackground({
+        enabled: true,
+        totalHidden: 120,
+        scanInterval: 90,
+        hideDelay: '250',
+        debugMode: false,
+        filterStrings: ['Follow', 'Join']
+    });
+    await background.install({ reason: 'update', previousVersion: '1.0' });
+
+    assert.strictEqual(background.sync.settingsVersion, 2);
+    assert.strictEqual(background.sync.firstInstallDate, new Date().toDateString());
+    assert.strictEqual(JSON.stringify(background.sync.hiddenByReason), '{}');
+    assert.strictEqual(background.sync.scanInterval, 30);
+    assert.strictEqual(background.sync.hideDelay, 250);
+    assert.strictEqual('filterStrings' in background.sync, false);
+    assert.strictEqual(background.sync.totalHidden, 120);
+    assert.deepStrictEqual(background.openedPages, ['extension://id/whats-new.html?from=1.0']);
+});
+
+test('an update keeps a recorded install date and migrated settings', async () => {
+    const background = loadBackground({ firstInstallDate: 'Mon Jan 06 2025', scanInterval: 90, settingsVersion: 2 });
+    await background.install({ reason: 'update', previousVersion: '1.2.0' });
+
+    assert.strictEqual(background.sync.firstInstallDate, 'Mon Jan 06 2025');
+    assert.strictEqual(background.sync.scanInterval, 90);
+    assert.deepStrictEqual(background.openedPages, []);
+});
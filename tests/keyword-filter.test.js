@@ -0,0 +1,34 @@
+// CleanFeedFB - Keyword filtering: words, phrases and regular expressions matched on the folded post text
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+const CleanFeedKeywords = loadScripts(['surfaces.js', 'keyword-filter.js'])('CleanFeedKeywords');
+
+// Function to get the text a keyword rule matches, or null
+function matchText(pattern, matchType, text) {
+    const compiled = CleanFeedKeywords.compileKeywords([{ pattern: pattern, matchType: matchType }]);
+    const match = CleanFeedKeywords.findKeywordMatch(compiled, text);
+    return match ? match.matchedText : null;
+}
+
+test('words and phrases ignore case and accents', () => {
+    assert.strictEqual(matchText('Café', 'word', 'Opening a new CAFE downtown'), 'cafe');
+    assert.strictEqual(matchText('spoiler*', 'word', 'No spoilers please'), 'spoilers');
+    assert.strictEqual(matchText('season finale', 'phrase', 'The Season - Finale aired'), 'season - finale');
+});
+
+test('regular expressions keep the meaning of their upper-case escapes', () => {
+    assert.strictEqual(matchText('win\\S+', 'regex', 'Winners announced'), 'winners');
+    assert.strictEqual(matchText('win\\S+', 'regex', 'win big'), null);
+    assert.strictEqual(matchText('\\Bcoin', 'regex', 'Bitcoin is up'), 'coin');
+    assert.strictEqual(matchText('\\Bcoin', 'regex', 'coin toss'), null);
+
+    // Escapes of punctuation are accepted as in the filter rules, and the pattern matches case-insensitively without its accents
+    assert.strictEqual(CleanFeedKeywords.validateKeyword({ pattern: 'covid\\-19', matchType: 'regex' }), null);
+    assert.strictEqual(matchText('covid\\-19', 'regex', 'COVID-19 update'), 'covid-19');
+    assert.strictEqual(matchText('\\#ad\\b', 'regex', 'Great deal #AD'), '#ad');
+    assert.strictEqual(matchText('crème', 'regex', 'CREME brulee'), 'creme');
+});
@@ -0,0 +1,76 @@
+// CleanFeedFB - Navigation lifecycle: which pages are filtered, and restarting on Facebook's in-page navigation
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot, loadScripts } = require('./harness');
+
+const CleanFeedSurfaces = loadScripts(['surfaces.js'], { URL })('CleanFeedSurfaces');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+const hook = fs.readFileSync(path.join(__dirname, '..', 'history-hook.js'), 'utf8');
+
+// Dimmed posts are hidden without a transition, so the tests only wait for the restart and the hide delay
+const settings = { hideStyle: 'dim' };
+
+// Function to wait for a restart after a navigation: the settle delay, then the hide delay
+function waitForNavigation() {
+    return new Promise(resolve => setTimeout(resolve, 700));
+}
+
+test('feeds are told apart from pages without posts to filter', () => {
+    const surfaces = [
+        'https://www.facebook.com/',
+        'https://www.facebook.com/?sk=h_chr',
+        'https://www.facebook.com/groups/feed/',
+        'https://www.facebook.com/groups/123456/posts/789/',
+        'https://www.facebook.com/watch/?v=1',
+        'https://www.facebook.com/marketplace/category/vehicles',
+        'https://www.facebook.com/profile.php?id=4',
+        'https://www.facebook.com/zuck',
+        'https://www.facebook.com/messages/t/42',
+        'https://www.facebook.com/notifications'
+    ].map(url => CleanFeedSurfaces.getSurface(url));
+
+    assert.strictEqual(surfaces.join(), 'home,home,groups,other,watch,marketplace,profile,profile,other,other');
+    assert.strictEqual(CleanFeedSurfaces.isFiltered('other'), false);
+    assert.strictEqual(CleanFeedSurfaces.getSurface('not a url'), 'other');
+});
+
+test('filtering stops on pages without a feed and starts again when the feed is back', async () => {
+    await runSnapshot(html, settings, async ({ window, sendMessage }) => {
+        window.eval(hook);
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'active');
+
+        window.history.pushState({}, '', '/messages/t/42');
+        await waitForNavigation();
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'inactive');
+
+        // A rescan shows the hidden posts and does not hide them again here
+        await sendMessage({ type: 'REFRESH_STATE' });
+        await waitForNavigation();
+        assert.strictEqual(window.document.querySelectorAll('[data-follow-hidden="true"]').length, 0);
+
+        window.history.pushState({}, '', '/');
+        await waitForNavigation();
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'active');
+        assert.strictEqual(window.document.querySelectorAll('[data-follow-hidden="true"]').length, 3);
+
+        // The styles are injected once, however often the page changes
+        assert.strictEqual(window.document.querySelectorAll('#cleanfeed-styles').length, 1);
+    });
+});
+
+test('back and forward navigation is picked up without the history hook', async () => {
+    const result = await runSnapshot(html, settings, async ({ window }) => {
+        window.history.pushState({}, '', '/notifications');
+        window.dispatchEvent(new window.PopStateEvent('popstate'));
+        await waitForNavigation();
+    });
+
+    const statuses = result.messages.filter(message => message.type === 'TAB_STATUS').map(message => message.status);
+    assert.strictEqual(statuses[statuses.length - 1], 'inactive');
+    assert.deepStrictEqual(result.errors, []);
+});
@@ -0,0 +1,71 @@
+// CleanFeedFB - Post identity: posts keyed by their story ID while Facebook re-renders and reuses post nodes
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { FIXTURES_DIR, runSnapshot, loadScripts } = require('./harness');
+
+const CleanFeedPostInfo = loadScripts(['post-info.js'], { URL, URLSearchParams })('CleanFeedPostInfo');
+
+// The home fixture, with a timestamp link to its story in every post
+let storyNumber = 0;
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8')
+    .replace(/<\/h4>/g, () => `</h4><a href="https://www.facebook.com/story/posts/pfbid0${++storyNumber}?__cft__=x">1h</a>`);
+
+// Dimmed posts are hidden without a transition
+const settings = { hideStyle: 'dim' };
+
+// Function to wait for the observer and the classification queue
+function waitForQueue() {
+    return new Promise(resolve => setTimeout(resolve, 300));
+}
+
+// Function to get the story ID of a post written as HTML
+function storyIdOf(body) {
+    const { document } = new JSDOM(`<body><div id="post">${body}</div></body>`).window;
+    return CleanFeedPostInfo.getStoryId(document.getElementById('post'));
+}
+
+test('the story ID is taken from the permalink or the data-ft attribute', () => {
+    assert.strictEqual(storyIdOf('<a href="/page.two/posts/pfbid02abc?__cft__=x">1h</a>'), 'pfbid02abc');
+    assert.strictEqual(storyIdOf('<a href="/permalink.php?story_fbid=123&id=4">1h</a>'), '123');
+    assert.strictEqual(storyIdOf('<a href="/groups/5/permalink/678/">1h</a>'), '678');
+    assert.strictEqual(storyIdOf('<div data-ft=\'{"top_level_post_id":"901"}\'></div>'), '901');
+    assert.strictEqual(storyIdOf('<a href="/author.one">Author One</a>'), '');
+});
+
+test('a post Facebook renders again in a new node is hidden again without counting it twice', async () => {
+    const result = await runSnapshot(html, settings, async ({ window, sendMessage }) => {
+        const original = window.document.querySelector('.post-follow');
+        const fresh = window.document.createElement('div');
+        fresh.className = 'x1lliihq post-follow-again';
+        fresh.innerHTML = original.innerHTML;
+        original.replaceWith(fresh);
+        await waitForQueue();
+
+        assert.strictEqual(fresh.getAttribute('data-follow-hidden'), 'true');
+        assert.strictEqual(fresh.getAttribute('data-cleanfeed-id'), original.getAttribute('data-cleanfeed-id'));
+
+        const state = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(`${state.hiddenOnPage} ${state.tabCount}`, '3 3');
+    });
+
+    assert.strictEqual(result.messages.filter(message => message.type === 'POST_HIDDEN').length, 3);
+});
+
+test('a hidden post node reused for another post is shown again', async () => {
+    await runSnapshot(html, settings, async ({ window, sendMessage }) => {
+        const node = window.document.querySelector('.post-join');
+        node.innerHTML = '<div class="x1yztbdb"><h4><a href="https://www.facebook.com/author.six"><strong>Author Six</strong></a></h4>' +
+            '<a href="https://www.facebook.com/author.six/posts/pfbid099">2h</a>' +
+            '<div data-ad-preview="message"><span dir="auto">Lovely weather.</span></div></div>';
+        await waitForQueue();
+
+        assert.strictEqual(node.hasAttribute('data-follow-hidden'), false);
+        assert.strictEqual(node.hasAttribute('data-cleanfeed-style'), false);
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).hiddenOnPage, 2);
+    });
+});
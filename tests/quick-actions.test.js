@@ -0,0 +1,70 @@
+// CleanFeedFB - Popup quick actions of the content script: tab status, rescan, reveal on the page and per-tab pause
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot } = require('./harness');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+
+// Dimmed posts are hidden without a transition, so the tests only wait for the restart and the hide delay
+const settings = { hideStyle: 'dim' };
+
+// Function to wait for a refresh: 200ms before the restart, then the hide delay
+function waitForRestart() {
+    return new Promise(resolve => setTimeout(resolve, 400));
+}
+
+// Function to count the posts hidden on the page
+function countHidden(window) {
+    return window.document.querySelectorAll('[data-follow-hidden="true"]').length;
+}
+
+test('the tab status tells whether the feed was found and how many posts are hidden', async () => {
+    await runSnapshot(html, settings, async ({ sendMessage }) => {
+        const state = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(state.status, 'active');
+        assert.strictEqual(state.hiddenOnPage, 3);
+    });
+
+    const legacy = fs.readFileSync(path.join(FIXTURES_DIR, 'legacy-fallback.html'), 'utf8');
+    await runSnapshot(legacy, settings, async ({ sendMessage }) => {
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'no-feed');
+    });
+});
+
+test('revealed posts stay visible until a rescan hides them again', async () => {
+    await runSnapshot(html, settings, async ({ window, sendMessage }) => {
+        const response = await sendMessage({ type: 'REVEAL_ALL' });
+        assert.strictEqual(JSON.stringify(response), JSON.stringify({ success: true, count: 3 }));
+        assert.strictEqual(countHidden(window), 0);
+        assert.strictEqual(window.document.querySelectorAll('[data-cleanfeed-revealed="true"]').length, 3);
+
+        await sendMessage({ type: 'REFRESH_STATE' });
+        await waitForRestart();
+        assert.strictEqual(countHidden(window), 3);
+    });
+});
+
+test('a paused tab shows its posts and stays paused through settings changes until it is resumed', async () => {
+    const result = await runSnapshot(html, settings, async ({ window, sendMessage }) => {
+        const paused = await sendMessage({ type: 'PAUSE_TAB', paused: true });
+        assert.strictEqual(paused.status, 'paused');
+        assert.strictEqual(countHidden(window), 0);
+
+        // Settings changes do not restart filtering in a paused tab
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { hideSponsored: true } });
+        await waitForRestart();
+        assert.strictEqual(countHidden(window), 0);
+
+        await sendMessage({ type: 'PAUSE_TAB', paused: false });
+        await waitForRestart();
+        assert.strictEqual(countHidden(window), 3);
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'active');
+    });
+
+    const statuses = result.messages.filter(message => message.type === 'TAB_STATUS').map(message => message.status);
+    assert.deepStrictEqual(statuses, ['active', 'paused', 'active']);
+});
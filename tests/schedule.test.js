@@ -0,0 +1,166 @@
+// CleanFeedFB - Snooze and weekly schedule: deciding when posts are filtered, and enforcing it in every tab
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, runSnapshot, loadScripts, loadBackground } = require('./harness');
+
+const CleanFeedSchedule = loadScripts(['schedule.js'])('CleanFeedSchedule');
+
+// Work hours on weekdays; 8 January 2025 is a Wednesday
+const workHours = { enabled: true, mode: 'only', windows: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }] };
+const at = (day, hours, minutes = 0) => new Date(2025, 0, day, hours, minutes);
+
+test('a schedule filters only during its windows, and tells when that changes', () => {
+    const working = CleanFeedSchedule.getState({ schedule: workHours }, at(8, 10));
+    assert.strictEqual(JSON.stringify(working), JSON.stringify({ active: true, reason: 'on', until: at(8, 17).getTime(), profile: 'normal' }));
+
+    const evening = CleanFeedSchedule.getState({ schedule: workHours }, at(8, 20));
+    assert.strictEqual(JSON.stringify(evening), JSON.stringify({ active: false, reason: 'scheduled', until: at(9, 9).getTime(), profile: 'normal' }));
+
+    // Saturday: the next window is on Monday
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: workHours }, at(11, 12)).until, at(13, 9).getTime());
+});
+
+test('a window past midnight and the except mode', () => {
+    const nights = { enabled: true, mode: 'except', windows: [{ days: [5], start: '22:00', end: '07:00' }] };
+
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: nights }, at(10, 23)).active, false);
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: nights }, at(11, 6)).active, false);
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: nights }, at(11, 7)).active, true);
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: nights }, at(9, 23)).active, true);
+});
+
+test('each time window filters with its own profile', () => {
+    const week = {
+        enabled: true,
+        mode: 'only',
+        windows: [
+            { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', profile: 'strict' },
+            { days: [1, 2, 3, 4, 5], start: '17:00', end: '22:00', profile: 'relaxed' },
+            { days: [6, 0], start: '10:00', end: '22:00' }
+        ]
+    };
+
+    // Work hours are strict until the relaxed evening starts, which ends the day's filtering
+    const working = CleanFeedSchedule.getState({ schedule: week }, at(8, 10));
+    assert.strictEqual(`${working.profile} ${working.until === at(8, 17).getTime()}`, 'strict true');
+    const evening = CleanFeedSchedule.getState({ schedule: week }, at(8, 18));
+    assert.strictEqual(`${evening.profile} ${evening.until === at(8, 22).getTime()}`, 'relaxed true');
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: week }, at(8, 23)).active, false);
+
+    // Windows stored without a profile use the settings as they are
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: week }, at(11, 12)).profile, 'normal');
+
+    const relaxed = CleanFeedSchedule.getProfileDetectors({ sources: true, buttons: true, keywords: true }, 'relaxed');
+    assert.strictEqual(`${relaxed.sources} ${relaxed.buttons} ${relaxed.keywords}`, 'true false false');
+    assert.strictEqual(CleanFeedSchedule.describeWindow(week.windows[1]), 'Mon-Fri 17:00-22:00 (Relaxed filtering)');
+    assert.strictEqual(CleanFeedSchedule.validateWindow({ ...week.windows[0], profile: 'lenient' }), 'Unknown filtering profile "lenient"');
+});
+
+test('the on/off switch and a snooze go before the schedule', () => {
+    const snoozeUntil = at(8, 10, 15).getTime();
+    assert.strictEqual(CleanFeedSchedule.getState({ enabled: false, schedule: workHours }, at(8, 10)).reason, 'off');
+    assert.strictEqual(CleanFeedSchedule.getState({ snoozeUntil: snoozeUntil, schedule: workHours }, at(8, 10)).until, snoozeUntil);
+    assert.strictEqual(CleanFeedSchedule.getState({ snoozeUntil: snoozeUntil, schedule: workHours }, at(8, 11)).reason, 'on');
+    assert.strictEqual(CleanFeedSchedule.getSnoozeEnd('tomorrow', at(8, 22)), at(9, 0).getTime());
+});
+
+test('invalid windows are reported and ignored', () => {
+    assert.strictEqual(CleanFeedSchedule.validateWindow({ days: [], start: '09:00', end: '17:00' }), 'Choose at least one day');
+    assert.strictEqual(CleanFeedSchedule.validateWindow({ days: [1], start: '9am', end: '17:00' }), 'Times must be written as HH:MM');
+
+    const broken = { enabled: true, mode: 'only', windows: [{ days: [1], start: '10:00', end: '10:00' }] };
+    assert.strictEqual(CleanFeedSchedule.getState({ schedule: broken }, at(8, 20)).active, true);
+    assert.strictEqual(CleanFeedSchedule.describeWindow(workHours.windows[0]), 'Mon-Fri 09:00-17:00');
+});
+
+test('the background script turns filtering off in every tab while snoozed, and on again when the snooze ends', async () => {
+    const background = loadBackground({ lastResetDate: new Date().toDateString() });
+    const toggles = () => background.tabMessages.filter(message => message.type === 'TOGGLE_EXTENSION').map(message => message.enabled);
+    const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+    background.changeStorage({ snoozeUntil: { newValue: Date.now() + 60000 } });
+    await settle();
+    assert.deepStrictEqual(toggles(), [false]);
+    assert.strictEqual(background.alarms['filtering-change'], background.sync.snoozeUntil);
+
+    // The alarm fires when the snooze is over
+    background.sync.snoozeUntil = Date.now() - 1;
+    background.fireAlarm('filtering-change');
+    await settle();
+    assert.deepStrictEqual(toggles(), [false, true]);
+    assert.strictEqual('snoozeUntil' in background.sync, false);
+    assert.strictEqual('filtering-change' in background.alarms, false);
+});
+
+test('the background script switches every tab to the profile of the time window', async () => {
+    const background = loadBackground({ lastResetDate: new Date().toDateString() });
+    const profiles = () => background.tabMessages.filter(message => message.type === 'SET_FILTERING_PROFILE').map(message => message.profile);
+    const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+    const everyDay = [0, 1, 2, 3, 4, 5, 6];
+    const day = (morning, afternoon) => ({
+        enabled: true,
+        mode: 'only',
+        windows: [
+            { days: everyDay, start: '00:00', end: '12:00', profile: morning },
+            { days: everyDay, start: '12:00', end: '00:00', profile: afternoon }
+        ]
+    });
+    const morning = new Date().getHours() < 12;
+
+    background.changeStorage({ schedule: { newValue: day('relaxed', 'strict') } });
+    await settle();
+    assert.deepStrictEqual(profiles(), [morning ? 'relaxed' : 'strict']);
+
+    // The alarm fires as the next window starts, only a change of profile is sent
+    background.sync.schedule = day('strict', 'relaxed');
+    background.fireAlarm('filtering-change');
+    background.fireAlarm('filtering-change');
+    await settle();
+    assert.deepStrictEqual(profiles(), morning ? ['relaxed', 'strict'] : ['strict', 'relaxed']);
+});
+
+test('a tab filters its posts again with the profile it is switched to', async () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+    await runSnapshot(html, { hideStyle: 'dim' }, async ({ window, sendMessage }) => {
+        const styles = () => Array.from(window.document.querySelectorAll('[data-follow-hidden="true"]'))
+            .map(post => post.getAttribute('data-cleanfeed-style')).join(' ');
+        assert.strictEqual(styles(), 'dim dim dim');
+
+        // The relaxed profile leaves the Follow/Join buttons alone
+        await sendMessage({ type: 'SET_FILTERING_PROFILE', profile: 'relaxed' });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual(styles(), '');
+
+        // The strict profile removes the posts whatever the hide style: they fade out (jsdom never ends the transition)
+        await sendMessage({ type: 'SET_FILTERING_PROFILE', profile: 'strict' });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.strictEqual(window.document.querySelectorAll('.cleanfeed-hide-transition.hide').length, 3);
+    });
+});
+
+test('a strict time window hides Sponsored posts although they are not hidden in the settings', async () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-sponsored.html'), 'utf8');
+    await runSnapshot(html, { hideSponsored: false }, async ({ window, sendMessage }) => {
+        const document = window.document;
+        assert.strictEqual(document.querySelectorAll('[data-follow-hidden="true"]').length, 0);
+
+        await sendMessage({ type: 'SET_FILTERING_PROFILE', profile: 'strict' });
+        await new Promise(resolve => setTimeout(resolve, 300));
+        document.querySelectorAll('.cleanfeed-hide-transition.hide').forEach(post => post.dispatchEvent(new window.Event('transitionend')));
+
+        const reasons = Array.from(document.querySelectorAll('[data-follow-hidden="true"]')).map(post => post.getAttribute('data-follow-reason'));
+        assert.strictEqual(reasons.join(' '), 'sponsored sponsored sponsored sponsored');
+    });
+});
+
+test('a snoozed tab does not hide posts', async () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+    const result = await runSnapshot(html, { snoozeUntil: Date.now() + 60000 });
+
+    assert.deepStrictEqual(result.hidden, []);
+    assert.deepStrictEqual(result.messages.filter(message => message.type === 'TAB_STATUS').map(message => message.status), ['disabled']);
+});
@@ -0,0 +1,97 @@
+// CleanFeedFB - Selector packs: validating imported packs, and finding posts with them or the built-in pack
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { FIXTURES_DIR, runSnapshot, loadScripts } = require('./harness');
+
+// A document lets the pack validation parse the selectors
+const CleanFeedSelectors = loadScripts(['selector-packs.js'], { document: new JSDOM('').window.document })('CleanFeedSelectors');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+const legacyHtml = fs.readFileSync(path.join(FIXTURES_DIR, 'legacy-fallback.html'), 'utf8');
+
+// Dimmed posts are hidden without a transition
+const settings = { hideStyle: 'dim' };
+
+// Function to build a pack from the built-in one with some fields replaced
+function createPack(changes) {
+    return { ...JSON.parse(JSON.stringify(CleanFeedSelectors.BUILT_IN_PACK)), name: 'Test pack', version: 2, ...changes };
+}
+
+test('the built-in pack is valid and broken packs are refused with the reasons', () => {
+    assert.strictEqual(CleanFeedSelectors.validatePack(CleanFeedSelectors.BUILT_IN_PACK).length, 0);
+
+    const broken = createPack({ version: 0, clickable: ['div[[', 'a'] });
+    broken.legacy.classPatterns = ['^x(\\w+$'];
+    assert.strictEqual(CleanFeedSelectors.validatePack(broken).join(' | '),
+        'version must be a whole number from 1 | clickable must list valid selectors | legacy.classPatterns must list valid regular expressions');
+
+    assert.strictEqual(CleanFeedSelectors.parsePack('{ not json').errors[0], 'The file is not valid JSON');
+    assert.match(CleanFeedSelectors.parsePack(JSON.stringify(createPack({ schemaVersion: 9 }))).errors[0], /not supported/);
+    assert.strictEqual(CleanFeedSelectors.resolvePack(broken), CleanFeedSelectors.BUILT_IN_PACK);
+    assert.strictEqual(CleanFeedSelectors.validatePack(createPack({ readyRoots: [] })).join(' | '), 'readyRoots must list valid selectors');
+
+    // Packs made before the page roots and wrapped containers existed get the built-in ones
+    const older = createPack({});
+    delete older.readyRoots;
+    delete older.pageRoots;
+    delete older.legacy.wrappedContainers;
+    const resolved = CleanFeedSelectors.resolvePack(older);
+    assert.strictEqual(CleanFeedSelectors.validatePack(older).length, 0);
+    assert.strictEqual(resolved.readyRoots.join(), '[role="main"],[role="feed"]');
+    assert.strictEqual(resolved.legacy.wrappedContainers[0].selector, '[data-ft]');
+});
+
+test('an imported pack finds the posts after Facebook renamed the feed heading', async () => {
+    const renamed = html.replace('<h3 class="html-h3" dir="auto">News Feed posts</h3>', '<h2 class="feed-title">Feed posts</h2>');
+    const pack = createPack({ feedHeader: { selector: 'h2.feed-title', texts: { en: ['Feed posts'] }, parentLevels: 1, childIndex: 2 } });
+
+    await runSnapshot(renamed, settings, async ({ sendMessage }) => {
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'no-feed');
+    });
+
+    await runSnapshot(renamed, { ...settings, selectorPack: pack }, async ({ sendMessage }) => {
+        const state = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(`${state.status} ${state.hiddenOnPage} ${state.selectorPack}`, 'active 3 Test pack (version 2)');
+    });
+});
+
+test('the built-in pack is used when an imported pack finds no posts', async () => {
+    const pack = createPack({ feedHeader: { selector: 'h3.renamed', texts: {}, parentLevels: 1, childIndex: 2 } });
+
+    await runSnapshot(html, { ...settings, selectorPack: pack }, async ({ sendMessage }) => {
+        const state = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(`${state.status} ${state.hiddenOnPage} ${state.selectorPack}`, 'active 3 Built-in (version 1)');
+        assert.strictEqual(state.selectorPackFallback, true);
+
+        // Importing a pack again starts from that pack
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { selectorPack: createPack({}) } });
+        const updated = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(`${updated.selectorPack} ${updated.selectorPackFallback}`, 'Test pack (version 2) false');
+    });
+});
+
+test('an imported pack moves the page roots and post containers of the legacy fallback', async () => {
+    const renamed = legacyHtml
+        .replace('<div role="main">', '<div id="app-main">')
+        .replace(/role="article"|data-pagelet="FeedUnit_2"/g, 'data-unit="post"');
+    const pack = createPack({
+        readyRoots: ['#app-main'],
+        fallbackRoots: ['#app-main'],
+        legacy: {
+            ...CleanFeedSelectors.BUILT_IN_PACK.legacy,
+            postContainers: [],
+            wrappedContainers: [{ selector: '[data-unit="post"]', contains: '[role="button"]' }]
+        }
+    });
+
+    // The built-in pack waits for a main column that never comes
+    assert.strictEqual((await runSnapshot(renamed, settings)).hidden.length, 0);
+
+    const result = await runSnapshot(renamed, { ...settings, selectorPack: pack });
+    assert.strictEqual(result.hidden.map(entry => entry.reason).join(), 'follow,join');
+});
@@ -0,0 +1,127 @@
+// CleanFeedFB - Settings import/export documents
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+const lookup = loadScripts([
+    'locales.js',
+    'filter-rules.js',
+    'category-detectors.js',
+    'source-lists.js',
+    'keyword-filter.js',
+    'classifier-registry.js',
+    'detectors.js',
+    'hide-styles.js',
+    'schedule.js',
+    'surfaces.js',
+    'settings-transfer.js'
+]);
+const Transfer = lookup('CleanFeedSettingsTransfer');
+
+// Function to copy a value out of the script context, so it compares with values of this realm
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const STORED = {
+    enabled: false,
+    hiddenCount: 12,
+    totalHidden: 340,
+    scanInterval: 5,
+    hideDelay: 100,
+    debugMode: false,
+    hideSponsored: true,
+    locale: 'it',
+    hideStyle: 'collapse',
+    reasonHideStyles: { keyword: 'dim' },
+    filterRules: [{ id: 'default-follow', term: 'follow', pattern: '', matchType: 'prefix', target: 'both', surface: 'all', enabled: true }],
+    keywordRules: [{ id: 'keyword-a', pattern: 'giveaway', matchType: 'word', surface: 'all', enabled: true }],
+    allowlist: ['facebook.com/MyPage'],
+    blocklist: []
+};
+
+test('an export round-trips through the import', () => {
+    const exported = Transfer.createExport(STORED, '1.0');
+    assert.strictEqual(exported.schemaVersion, Transfer.SCHEMA_VERSION);
+    assert.strictEqual(exported.settings.enabled, undefined);
+    assert.strictEqual(exported.settings.hiddenCount, undefined);
+
+    const result = Transfer.parseImport(JSON.stringify(exported));
+    assert.deepStrictEqual(plain(result.errors), []);
+    assert.strictEqual(result.fromVersion, Transfer.SCHEMA_VERSION);
+
+    const imported = plain(Transfer.buildImportedSettings(result.document, {}, 'replace'));
+    assert.strictEqual(imported.locale, 'it');
+    assert.strictEqual(imported.hideStyle, 'collapse');
+    assert.deepStrictEqual(imported.reasonHideStyles, { keyword: 'dim' });
+    assert.deepStrictEqual(imported.keywordRules, STORED.keywordRules);
+    assert.deepStrictEqual(imported.allowlist, STORED.allowlist);
+    assert.strictEqual(imported.hiddenCount, undefined);
+});
+
+test('a flat version 1 file is migrated', () => {
+    const result = Transfer.parseImport(JSON.stringify({ enabled: true, scanInterval: 10, hideDelay: 200, debugMode: true, totalHidden: 5 }));
+    assert.deepStrictEqual(plain(result.errors), []);
+    assert.strictEqual(result.fromVersion, 1);
+    assert.deepStrictEqual(plain(result.document.settings), { scanInterval: 10, hideDelay: 200, debugMode: true });
+
+    // Version 1 had the Follow/Join buttons built in
+    const terms = result.document.rules.filterRules.map(rule => rule.term);
+    assert.deepStrictEqual(plain(terms), ['follow', 'join']);
+});
+
+test('invalid files are refused with the reasons', () => {
+    const cases = [
+        ['not json', /Not a JSON file/],
+        ['{"hello": "world"}', /Not a CleanFeedFB settings file/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 99, "settings": {}, "rules": {}}', /newer version/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {"scanInterval": 0}, "rules": {}}', /"scanInterval" has an invalid value/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {"hideStyle": "explode"}, "rules": {}}', /"hideStyle" has an invalid value/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {}, "rules": {"filterRules": [{"pattern": "(", "matchType": "regex"}]}}', /Filter rule 1: Invalid regular expression/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {}, "rules": {"filterRules": [{"pattern": "Subscribe", "matchType": "fuzzy"}]}}', /Filter rule 1: Unknown match type "fuzzy"/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {}, "rules": {"filterRules": [{"pattern": "Subscribe", "target": "title"}]}}', /Filter rule 1: Unknown target "title"/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {}, "rules": {"keywordRules": [{"pattern": "crypto", "matchType": "glob"}]}}', /Keyword 1: Unknown match type "glob"/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {}, "rules": {"keywordRules": [{"pattern": "crypto", "surface": "messenger"}]}}', /Keyword 1: Unknown page "messenger"/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {"schedule": {"enabled": true, "windows": [{"days": [1], "start": "9am", "end": "17:00"}]}}, "rules": {}}', /Schedule window 1: Times must be written as HH:MM/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {"schedule": {"enabled": true, "windows": [{"days": ["Mon"], "start": "09:00", "end": "17:00"}]}}, "rules": {}}', /Schedule window 1: Days must be numbers/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {"schedule": {"enabled": true, "windows": [{"days": [6], "start": "10:00", "end": "22:00", "profile": "lenient"}]}}, "rules": {}}', /Schedule window 1: Unknown filtering profile "lenient"/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {"schedule": {"mode": "never", "windows": []}}, "rules": {}}', /"schedule" has an invalid value/],
+        ['{"format": "cleanfeedfb-settings", "schemaVersion": 2, "settings": {}, "rules": {"allowlist": "x"}}', /"allowlist" must be a list/]
+    ];
+    cases.forEach(([text, expected]) => {
+        const result = Transfer.parseImport(text);
+        assert.strictEqual(result.document, null, text);
+        assert.match(result.errors.join('\n'), expected, text);
+    });
+});
+
+test('merging keeps the current entries and adds the missing ones', () => {
+    const document = Transfer.parseImport(JSON.stringify({
+        format: 'cleanfeedfb-settings',
+        schemaVersion: 2,
+        settings: { hideSponsored: true },
+        rules: {
+            filterRules: [
+                { id: 'default-follow', term: 'follow', pattern: '', matchType: 'prefix', target: 'both' },
+                { id: 'default-follow', pattern: 'Subscribe', matchType: 'exact', target: 'text' }
+            ],
+            keywordRules: [{ id: 'keyword-b', pattern: 'GIVEAWAY', matchType: 'word' }, { id: 'keyword-c', pattern: 'crypto', matchType: 'word' }],
+            allowlist: ['facebook.com/mypage', 'facebook.com/OtherPage'],
+            blocklist: ['Spam Page']
+        }
+    })).document;
+
+    const merged = plain(Transfer.buildImportedSettings(document, STORED, 'merge'));
+    assert.strictEqual(merged.hideSponsored, true);
+    assert.deepStrictEqual(merged.filterRules.map(rule => rule.pattern || rule.term), ['follow', 'Subscribe']);
+    assert.notStrictEqual(merged.filterRules[1].id, 'default-follow');
+    assert.deepStrictEqual(merged.keywordRules.map(keyword => keyword.pattern), ['giveaway', 'crypto']);
+    assert.deepStrictEqual(merged.allowlist, ['facebook.com/MyPage', 'facebook.com/OtherPage']);
+    assert.deepStrictEqual(merged.blocklist, ['Spam Page']);
+
+    const replaced = plain(Transfer.buildImportedSettings(document, STORED, 'replace'));
+    assert.deepStrictEqual(replaced.keywordRules.map(keyword => keyword.pattern), ['GIVEAWAY', 'crypto']);
+    assert.deepStrictEqual(replaced.allowlist, ['facebook.com/mypage', 'facebook.com/OtherPage']);
+});
@@ -0,0 +1,25 @@
+// CleanFeedFB - Allowlist and blocklist entries: URL patterns and author names
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+const CleanFeedSources = loadScripts(['source-lists.js'], { URL })('CleanFeedSources');
+
+// Function to get the type each entry is compiled to, e.g. "url name"
+function getTypes(entries) {
+    return CleanFeedSources.compileList(entries).map(matcher => matcher.type).join(' ');
+}
+
+test('entries that look like a URL are URL patterns, everything else a name', () => {
+    assert.strictEqual(getTypes(['https://www.facebook.com/page.two', 'm.facebook.com/groups/1*', '/groups/2', 'groups/3*']), 'url url url url');
+    assert.strictEqual(getTypes(['Dr. Smith', "St. John's Church", 'Daily Deals*', 'local.news']), 'name name name name');
+});
+
+test('author names with dots match the author of a post', () => {
+    const compiled = CleanFeedSources.compileList(['Dr. Smith', 'facebook.com/groups/3*']);
+    assert.strictEqual(CleanFeedSources.findMatch(compiled, { name: 'Dr. Smith', url: null }), 'Dr. Smith');
+    assert.strictEqual(CleanFeedSources.findMatch(compiled, { name: 'Dr Smith', url: null }), null);
+    assert.strictEqual(CleanFeedSources.findMatch(compiled, { name: 'Group', url: CleanFeedSources.normalizeUrl('https://www.facebook.com/groups/300/') }), 'facebook.com/groups/3*');
+});
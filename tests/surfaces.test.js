@@ -0,0 +1,142 @@
+// CleanFeedFB - Surface adapters: finding the posts of each Facebook page, and the per-surface settings
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { FIXTURES_DIR, runSnapshot, loadScripts } = require('./harness');
+
+const lookup = loadScripts(['locales.js', 'selector-packs.js', 'surfaces.js'], { URL });
+const CleanFeedSurfaces = lookup('CleanFeedSurfaces');
+
+const html = fs.readFileSync(path.join(FIXTURES_DIR, 'feed-follow-join.html'), 'utf8');
+
+// Dimmed posts are hidden without a transition, so the tests only wait for the restart and the hide delay
+const settings = { hideStyle: 'dim' };
+
+// A Groups feed: the posts of the home fixture in a [role="feed"] list, without the News Feed header
+const groupsHtml = html
+    .replace(/<h3 class="html-h3"[^>]*>News Feed posts<\/h3><div class="x1lliihq"><\/div>/, '')
+    .replace('<div class="x1hc1fzr x1unhpq9">', '<div role="feed" class="x1hc1fzr x1unhpq9">');
+
+// The home fixture with its posts in a [role="feed"] list as well, so they are found on both surfaces
+const sharedHtml = html.replace('<div class="x1hc1fzr x1unhpq9">', '<div role="feed" class="x1hc1fzr x1unhpq9">');
+
+// Function to wait for a restart after a navigation: the settle delay, then the hide delay
+function waitForNavigation() {
+    return new Promise(resolve => setTimeout(resolve, 700));
+}
+
+// Function to get the class of the posts container a surface adapter finds on a page
+function findContainerClass(surface, body) {
+    const { document } = new JSDOM(`<body>${body}</body>`).window;
+    const container = CleanFeedSurfaces.findContainer(surface, document, 'en');
+    return container ? container.className : null;
+}
+
+test('each surface adapter finds the list of post units of its page', () => {
+    assert.strictEqual(findContainerClass('home', html.replace(/^[\s\S]*<body>|<\/body>[\s\S]*$/g, '')), 'x1hc1fzr x1unhpq9');
+    assert.strictEqual(findContainerClass('groups', '<div role="main"><div role="feed" class="posts"><div></div></div></div>'), 'posts');
+    assert.strictEqual(findContainerClass('profile', '<div role="main"><div data-pagelet="ProfileTimeline" class="timeline"></div></div>'), 'timeline');
+
+    const listings = [1, 2, 3].map(id => `<div class="tile"><div><a href="/marketplace/item/${id}/">Item ${id}</a></div></div>`).join('');
+    assert.strictEqual(findContainerClass('marketplace', `<div role="main"><div class="grid">${listings}</div></div>`), 'grid');
+
+    const videos = [1, 2].map(id => `<div class="video"><a href="/watch/?v=${id}">Video ${id}</a></div>`).join('');
+    assert.strictEqual(findContainerClass('watch', `<div role="main"><div><div class="videos">${videos}</div></div></div>`), 'videos');
+
+    // A single listing is not a list, and pages without a feed have no adapter
+    assert.strictEqual(findContainerClass('marketplace', '<div role="main"><a href="/marketplace/item/1/">Item</a></div>'), null);
+    assert.strictEqual(findContainerClass('other', '<div role="feed"></div>'), null);
+});
+
+test('a surface can be turned off, or turn detectors on or off over the global switches', () => {
+    const surfaceSettings = { marketplace: { enabled: false }, groups: { detectors: { buttons: false, sponsored: 'no', keywords: true } } };
+    const flags = CleanFeedSurfaces.getDetectorSettings({ buttons: true, sponsored: true, keywords: false }, surfaceSettings, 'groups');
+
+    assert.strictEqual(CleanFeedSurfaces.isFiltered('marketplace', surfaceSettings), false);
+    assert.strictEqual(CleanFeedSurfaces.isFiltered('groups', surfaceSettings), true);
+    assert.strictEqual(JSON.stringify(flags), JSON.stringify({ buttons: false, sponsored: true, keywords: true }));
+
+    // Without an override a surface follows the global switches
+    assert.strictEqual(CleanFeedSurfaces.getDetectorSettings({ buttons: false }, surfaceSettings, 'home').buttons, false);
+});
+
+test('filter rules and keywords are used on all pages or on their own page', () => {
+    assert.strictEqual(CleanFeedSurfaces.appliesTo({ pattern: 'a' }, 'groups'), true);
+    assert.strictEqual(CleanFeedSurfaces.appliesTo({ surface: 'all' }, 'watch'), true);
+    assert.strictEqual(CleanFeedSurfaces.appliesTo({ surface: 'groups' }, 'groups'), true);
+    assert.strictEqual(CleanFeedSurfaces.appliesTo({ surface: 'groups' }, 'home'), false);
+
+    assert.strictEqual(CleanFeedSurfaces.validateScope('marketplace'), null);
+    assert.strictEqual(CleanFeedSurfaces.validateScope('other'), 'Unknown page "other"');
+});
+
+test('posts of the Groups feed are found by its adapter, not the page-wide fallback', async () => {
+    await runSnapshot(groupsHtml, settings, async ({ window, sendMessage }) => {
+        // On the home page the News Feed header is missing: the fallback finds no post containers
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'no-feed');
+        assert.strictEqual(window.document.querySelectorAll('[data-follow-hidden="true"]').length, 0);
+
+        window.history.pushState({}, '', '/groups/feed/');
+        window.dispatchEvent(new window.PopStateEvent('popstate'));
+        await waitForNavigation();
+
+        const state = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(`${state.status} ${state.surface} ${state.hiddenOnPage}`, 'active groups 3');
+    });
+});
+
+test('changing the settings of the current surface filters the page again', async () => {
+    await runSnapshot(html, settings, async ({ window, sendMessage }) => {
+        const countHidden = () => window.document.querySelectorAll('[data-follow-hidden="true"]').length;
+        assert.strictEqual(countHidden(), 3);
+
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { surfaceSettings: { home: { enabled: false } } } });
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'inactive');
+        assert.strictEqual(countHidden(), 0);
+
+        // The home feed without the Follow/Join button detector
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { surfaceSettings: { home: { detectors: { buttons: false } } } } });
+        await waitForNavigation();
+        assert.strictEqual((await sendMessage({ type: 'GET_TAB_STATUS' })).status, 'active');
+        assert.strictEqual(countHidden(), 0);
+
+        await sendMessage({ type: 'SETTINGS_UPDATED', settings: { surfaceSettings: {} } });
+        await waitForNavigation();
+        assert.strictEqual(countHidden(), 3);
+    });
+});
+
+test('the Groups feed uses its own keywords, filter rules and detector overrides', async () => {
+    const groupSettings = {
+        ...settings,
+        detectors: { keywords: false },
+        surfaceSettings: { groups: { detectors: { keywords: true } } },
+        keywordRules: [{ pattern: 'walk', matchType: 'word', surface: 'groups' }],
+        filterRules: [
+            { id: 'default-follow', term: 'follow', pattern: '', matchType: 'prefix', target: 'both', enabled: true },
+            { id: 'default-join', term: 'join', pattern: '', matchType: 'prefix', target: 'both', enabled: true },
+            { pattern: 'Following', matchType: 'exact', target: 'text', surface: 'groups' }
+        ]
+    };
+    await runSnapshot(sharedHtml, groupSettings, async ({ window, sendMessage }) => {
+        const isHidden = selector => window.document.querySelector(selector).getAttribute('data-follow-hidden') === 'true';
+
+        // The home feed only has the Follow/Join rules of all pages, and its keywords detector is off
+        let state = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(`${state.surface} ${state.hiddenOnPage}`, 'home 3');
+        assert.strictEqual(isHidden('.post-regular') || isHidden('.post-following'), false);
+
+        window.history.pushState({}, '', '/groups/feed/');
+        window.dispatchEvent(new window.PopStateEvent('popstate'));
+        await waitForNavigation();
+
+        // In Groups the keywords detector is turned on, and the Groups keyword and rule hide two more posts
+        state = await sendMessage({ type: 'GET_TAB_STATUS' });
+        assert.strictEqual(`${state.surface} ${state.hiddenOnPage}`, 'groups 5');
+        assert.strictEqual(isHidden('.post-regular') && isHidden('.post-following'), true);
+    });
+});
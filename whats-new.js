@@ -0,0 +1,103 @@
+// "What's new" page script for CleanFeedFB
+// Opened by the background script after an update, lists the changes since the previous version (?from=x.y.z)
+(function() {
+    'use strict';
+
+    // Browser compatibility
+    const browserAPI = (typeof browser !== 'undefined') ? browser : chrome;
+
+    // Release notes, newest first
+    const RELEASE_NOTES = [
+        {
+            version: '1.2.0',
+            changes: [
+                'Filter rules: edit the button texts that hide a post, with exact, prefix, whole word and regex matching',
+                'Facebook in Italian, German, Spanish, French and Portuguese is recognized, with auto-detection',
+                'Optionally hide Sponsored posts, Reels, Stories, "People You May Know", "Suggested for you" and Memories',
+                'Keywords: hide posts about topics you choose',
+                'Allowlist and blocklist of pages, groups and people',
+                'Hidden posts log in the popup and settings, with a button to show any post again',
+                'Hide styles: remove, collapse into a bar, blur, dim or label, globally or per reason',
+                'Audit Mode: outline what would be hidden without hiding anything',
+                'Import and export of your settings and rules',
+                'New posts are filtered as soon as they appear, with less work on long feeds',
+                'The statistics are counted reliably across several Facebook tabs, per hide reason',
+                'Daily history of the statistics with a chart per hide reason and CSV export',
+                'Toolbar badge with the posts hidden in the tab or today, and the state of the tab',
+                'Popup actions for the current tab: rescan, show the hidden posts, and pause filtering in this tab only',
+                'Pause filtering for 15 minutes, an hour or until tomorrow, and weekly filtering schedules with strict and relaxed time windows',
+                'Filtering follows you around Facebook reliably, and stays off on pages without a feed',
+                'Posts are found reliably in Groups, Watch, Marketplace and on profiles, each with its own switch, detectors, filter rules and keywords',
+                'Hidden posts stay hidden and are counted once while Facebook reloads the feed as you scroll',
+                'Selector packs: import updated page selectors from a file when Facebook changes its layout',
+                'Diagnostics in the settings, with a report to attach to bug reports that leaves out your posts and names'
+            ]
+        },
+        {
+            version: '1.1.0',
+            changes: [
+                'Turn hiding on and off from the toolbar button',
+                'Daily and total statistics of hidden posts'
+            ]
+        }
+    ];
+
+    // Function to compare two dotted version numbers, returns a negative, zero or positive number
+    function compareVersions(a, b) {
+        const partsA = String(a).split('.').map(part => parseInt(part) || 0);
+        const partsB = String(b).split('.').map(part => parseInt(part) || 0);
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const difference = (partsA[i] || 0) - (partsB[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
+    // Render the notes of the versions after fromVersion, up to the installed one
+    function renderNotes(fromVersion, currentVersion) {
+        const container = document.getElementById('releaseNotes');
+        const notes = RELEASE_NOTES.filter(release =>
+            compareVersions(release.version, currentVersion) <= 0 &&
+            (!fromVersion || compareVersions(release.version, fromVersion) > 0));
+
+        if (notes.length === 0) {
+            const text = document.createElement('p');
+            text.textContent = 'Bug fixes and improvements.';
+            container.appendChild(text);
+            return;
+        }
+
+        notes.forEach(release => {
+            const title = document.createElement('h2');
+            title.textContent = `Version ${release.version}`;
+            const list = document.createElement('ul');
+            release.changes.forEach(change => {
+                const item = document.createElement('li');
+                item.textContent = change;
+                list.appendChild(item);
+            });
+            container.append(title, list);
+        });
+    }
+
+    // Initialize the page
+    function initialize() {
+        const fromVersion = new URLSearchParams(window.location.search).get('from');
+        const currentVersion = browserAPI.runtime.getManifest().version;
+
+        document.getElementById('updateSummary').textContent = fromVersion
+            ? `Updated from version ${fromVersion} to ${currentVersion}. Your settings were kept.`
+            : `You are running version ${currentVersion}.`;
+        renderNotes(fromVersion, currentVersion);
+
+        document.getElementById('openSettings').addEventListener('click', () => browserAPI.runtime.openOptionsPage());
+        document.getElementById('closePage').addEventListener('click', () => window.close());
+    }
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initialize);
+    } else {
+        initialize();
+    }
+})();